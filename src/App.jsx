@@ -1,27 +1,57 @@
-import { useState, useEffect } from 'react';
-import { GraduationCap, Database, BarChart3, Sun, Moon } from 'lucide-react';
+import { useState, useEffect, useRef } from 'react';
+import { GraduationCap, Database, BarChart3, Table2, Sun, Moon } from 'lucide-react';
 import FileUpload from './components/FileUpload';
 import StudentSearch from './components/StudentSearch';
 import Dashboard from './components/Dashboard';
-import { enrichGradesWithTraza } from './utils/parsers';
+import CohortTable from './components/CohortTable';
+import EquivalenceEditor from './components/EquivalenceEditor';
+import { getStudentRecords } from './utils/parsers';
+import { mergeGradeRecords } from './utils/gradeMerge';
+import { reconsolidateGradeRecords } from './utils/gradeConsolidation';
+import { loadCourseEquivalences, persistCourseEquivalences, mergeCourseEquivalences, summarizeUnmatchedCourses } from './utils/courseEquivalences';
+import { addCurriculum, createCurriculumEntry } from './utils/curriculumRegistry';
+import { mergePlanHomologations } from './utils/planHomologations';
+import { runInWorker } from './utils/workerClient';
+import { isCancelledError } from './utils/indicatorJobs';
+import { DEFAULT_WEIGHT_PROFILE, parseWeightProfiles, mergeWeightProfiles, findWeightProfile } from './utils/weightProfiles';
+import { DEFAULT_LEVEL_SCHEME, parseLevelScheme } from './utils/levels';
 import uvmLogo from './assets/uvm-logo.png';
 import './App.css';
 
+// Consolidation rules and grade scales change together: grades are recomputed from both
+const EMPTY_GRADE_SETTINGS = { consolidationRules: [], gradeScales: [] };
+
 function App() {
   const [loadedFiles, setLoadedFiles] = useState({});
   const [gradesData, setGradesData] = useState([]);
   const [criticalityData, setCriticalityData] = useState(null);
-  const [curriculumData, setCurriculumData] = useState(null);
+  // One malla per plan version: [{ plan, titulo, data }] (see curriculumRegistry.js)
+  const [curricula, setCurricula] = useState([]);
   const [selectedStudent, setSelectedStudent] = useState(null);
   const [demographicData, setDemographicData] = useState(null);
   const [studentRut, setStudentRut] = useState('');
+  const [weightProfiles, setWeightProfiles] = useState([DEFAULT_WEIGHT_PROFILE]);
+  const [selectedProfileId, setSelectedProfileId] = useState(DEFAULT_WEIGHT_PROFILE.id);
+  const [levelScheme, setLevelScheme] = useState(DEFAULT_LEVEL_SCHEME);
+  const [gradeSettings, setGradeSettings] = useState(EMPTY_GRADE_SETTINGS);
+  const [appliedGradeSettings, setAppliedGradeSettings] = useState(EMPTY_GRADE_SETTINGS);
+  const [equivalences, setEquivalences] = useState(() => loadCourseEquivalences());
+  const [homologations, setHomologations] = useState([]);
+  const [mallaMatch, setMallaMatch] = useState(null);
   const [activeTab, setActiveTab] = useState('upload');
   const [theme, setTheme] = useState('dark');
+  // Bundled malla, restored on reset
+  const defaultCurriculum = useRef(null);
 
   useEffect(() => {
     document.documentElement.setAttribute('data-theme', theme);
   }, [theme]);
 
+  // The equivalence table is kept in this browser across sessions
+  useEffect(() => {
+    persistCourseEquivalences(equivalences);
+  }, [equivalences]);
+
   // Load default data automatically
   useEffect(() => {
     const loadDefaultData = async () => {
@@ -30,7 +60,8 @@ function App() {
         const mallaRes = await fetch(import.meta.env.BASE_URL + 'malla_kine_2015.json');
         if (mallaRes.ok) {
           const mallaData = await mallaRes.json();
-          setCurriculumData(mallaData);
+          defaultCurriculum.current = createCurriculumEntry(mallaData, 'malla_kine_2015.json');
+          setCurricula(prev => addCurriculum(prev, defaultCurriculum.current));
           console.log('Malla curricular 2015 cargada automáticamente');
         }
 
@@ -41,6 +72,27 @@ function App() {
           setCriticalityData(critData);
           console.log('Datos de criticidad por defecto cargados');
         }
+
+        // Load Weighting Profiles
+        const profilesRes = await fetch(import.meta.env.BASE_URL + 'perfiles_ponderacion.json');
+        if (profilesRes.ok) {
+          const { profiles, errors } = parseWeightProfiles(await profilesRes.json());
+          if (errors.length) console.warn('Perfiles de ponderación con errores:', errors);
+          setWeightProfiles(prev => mergeWeightProfiles(prev, profiles));
+          console.log(`${profiles.length} perfiles de ponderación cargados`);
+        }
+
+        // Load Level Taxonomy
+        const levelsRes = await fetch(import.meta.env.BASE_URL + 'niveles_indicador.json');
+        if (levelsRes.ok) {
+          const { scheme, errors } = parseLevelScheme(await levelsRes.json());
+          if (scheme) {
+            setLevelScheme(scheme);
+            console.log(`Clasificación de niveles cargada: ${scheme.nombre}`);
+          } else {
+            console.warn('Clasificación de niveles inválida:', errors);
+          }
+        }
       } catch (error) {
         console.error('Error cargando datos por defecto:', error);
       }
@@ -48,33 +100,52 @@ function App() {
     loadDefaultData();
   }, []);
 
-  // Effect to enrich grades when curriculum or grades load
+  // Match the loaded grades against the malla in the worker (summary for the upload tab).
+  // Components enrich their own subset, so the raw grades stay untouched in state.
   useEffect(() => {
-    if (gradesData.length > 0 && curriculumData) {
-      // Avoid infinite loop if data is already enriched and identical
-      // Simple check: check if first record has 'enMalla' property
-      const needsEnrichment = !gradesData[0].hasOwnProperty('enMalla');
-
-      // Or better: Re-run always if curriculum changes? 
-      // To be safe, we just update. But setGradesData triggers re-render.
-      // We should use a derived state or separate ref?
-      // For simplicity/robustness given the constraints:
-      // We will update it only if we detect a change in curriculum or new raw data.
-
-      const enriched = enrichGradesWithTraza(gradesData, curriculumData);
-
-      // Only set if different to avoid loop
-      if (JSON.stringify(enriched) !== JSON.stringify(gradesData)) {
-        setGradesData(enriched);
-      }
-    }
-  }, [gradesData, curriculumData]);
+    if (gradesData.length === 0 || curricula.length === 0) return;
+
+    const job = runInWorker('enrich', { gradesData, curricula, equivalences, homologations });
+    job.promise
+      .then(enriched => setMallaMatch({
+        gradesData,
+        curricula,
+        equivalences,
+        homologations,
+        total: enriched.length,
+        inMalla: enriched.filter(r => r.enMalla).length,
+        ambiguous: enriched.filter(r => r.coincidenciaMalla?.ambigua).length,
+        homologated: enriched.filter(r => r.homologacion).length,
+        missingPlans: [...new Set(enriched.map(r => r.mallaFaltante).filter(Boolean))],
+        unmatched: summarizeUnmatchedCourses(enriched)
+      }))
+      .catch(error => {
+        if (!isCancelledError(error)) console.error('Error asociando notas a la malla:', error);
+      });
+
+    return () => job.cancel();
+  }, [gradesData, curricula, equivalences, homologations]);
+
+  // Grades already loaded are recomputed from their partial items whenever the rules
+  // or scales change, always with the latest pair (several files may arrive in one batch)
+  const { consolidationRules, gradeScales } = gradeSettings;
+  if (appliedGradeSettings !== gradeSettings) {
+    setAppliedGradeSettings(gradeSettings);
+    setGradesData(prev => reconsolidateGradeRecords(prev, consolidationRules, gradeScales));
+    setSelectedStudent(prev => (prev ? reconsolidateGradeRecords(prev, consolidationRules, gradeScales) : prev));
+  }
+
+  const mallaSummary = mallaMatch?.gradesData === gradesData && mallaMatch?.curricula === curricula &&
+    mallaMatch?.equivalences === equivalences && mallaMatch?.homologations === homologations
+    ? mallaMatch
+    : null;
 
   const toggleTheme = () => {
     setTheme(prev => prev === 'dark' ? 'light' : 'dark');
   };
 
-  const handleDataLoaded = (type, data, filename) => {
+  // options: { mode: 'merge' | 'replace' } for grades (see FileUpload's merge step)
+  const handleDataLoaded = (type, data, filename, options = {}) => {
     setLoadedFiles(prev => ({
       ...prev,
       [type]: { data, filename }
@@ -82,18 +153,37 @@ function App() {
 
     switch (type) {
       case 'grades':
-        setGradesData(prev => [...prev, ...data]);
+        setGradesData(prev => mergeGradeRecords(prev, data, options.mode));
         break;
       case 'criticality':
         setCriticalityData(data);
         break;
       case 'curriculum':
-        setCurriculumData(data);
+        setCurricula(prev => addCurriculum(prev, createCurriculumEntry(data, filename)));
+        break;
+      case 'weights':
+        setWeightProfiles(prev => mergeWeightProfiles(prev, data));
+        if (data.length > 0) setSelectedProfileId(data[0].id);
+        break;
+      case 'levels':
+        setLevelScheme(data);
+        break;
+      case 'consolidation':
+        setGradeSettings(prev => ({ ...prev, consolidationRules: data }));
+        break;
+      case 'equivalences':
+        setEquivalences(prev => mergeCourseEquivalences(prev, data));
+        break;
+      case 'homologations':
+        setHomologations(prev => mergePlanHomologations(prev, data));
+        break;
+      case 'scales':
+        setGradeSettings(prev => ({ ...prev, gradeScales: data }));
         break;
       default:
         // For unknown types, try to add to grades if it has the right structure
         if (Array.isArray(data) && data[0]?.rut) {
-          setGradesData(prev => [...prev, ...data]);
+          setGradesData(prev => mergeGradeRecords(prev, data));
         }
     }
   };
@@ -104,6 +194,12 @@ function App() {
     setActiveTab('results');
   };
 
+  // From the cohort table: no demographic form was filled for this student
+  const handleCohortStudentSelect = (rut) => {
+    setDemographicData(null);
+    handleStudentSelect(getStudentRecords(gradesData, rut), rut);
+  };
+
   const handleDemographicChange = (data) => {
     setDemographicData(data);
   };
@@ -112,10 +208,15 @@ function App() {
     setLoadedFiles({});
     setGradesData([]);
     setCriticalityData(null);
-    setCurriculumData(null);
+    setCurricula(defaultCurriculum.current ? addCurriculum([], defaultCurriculum.current) : []);
+    setHomologations([]);
     setSelectedStudent(null);
     setDemographicData(null);
     setStudentRut('');
+    setWeightProfiles([DEFAULT_WEIGHT_PROFILE]);
+    setSelectedProfileId(DEFAULT_WEIGHT_PROFILE.id);
+    setLevelScheme(DEFAULT_LEVEL_SCHEME);
+    setGradeSettings(EMPTY_GRADE_SETTINGS);
     setActiveTab('upload');
   };
 
@@ -155,6 +256,14 @@ function App() {
               <BarChart3 size={18} />
               Consulta
             </button>
+            <button
+              className={`nav-tab ${activeTab === 'cohort' ? 'active' : ''}`}
+              onClick={() => setActiveTab('cohort')}
+              disabled={gradesData.length === 0}
+            >
+              <Table2 size={18} />
+              Cohorte
+            </button>
             <button
               className={`nav-tab ${activeTab === 'results' ? 'active' : ''}`}
               onClick={() => setActiveTab('results')}
@@ -180,11 +289,26 @@ function App() {
               <FileUpload
                 onDataLoaded={handleDataLoaded}
                 loadedFiles={loadedFiles}
+                gradesData={gradesData}
+                consolidationRules={consolidationRules}
+                gradeScales={gradeScales}
               />
 
               {gradesData.length > 0 && (
                 <div className="action-prompt">
-                  <p>✓ Datos cargados correctamente</p>
+                  <p>
+                    ✓ Datos cargados correctamente
+                    {curricula.length > 0 && (
+                      <span className="action-prompt-detail">
+                        {mallaSummary
+                          ? `${mallaSummary.total} registros, ${mallaSummary.inMalla} asociados a la malla` +
+                            (mallaSummary.ambiguous > 0 ? `, ${mallaSummary.ambiguous} con coincidencia ambigua` : '') +
+                            (mallaSummary.homologated > 0 ? `, ${mallaSummary.homologated} homologados desde otro plan` : '') +
+                            (mallaSummary.missingPlans.length > 0 ? `; sin malla cargada para el plan ${mallaSummary.missingPlans.join(', ')}` : '')
+                          : 'Asociando registros a la malla…'}
+                      </span>
+                    )}
+                  </p>
                   <button
                     className="btn btn-primary"
                     onClick={() => setActiveTab('search')}
@@ -193,6 +317,15 @@ function App() {
                   </button>
                 </div>
               )}
+
+              {gradesData.length > 0 && curricula.length > 0 && mallaSummary && (
+                <EquivalenceEditor
+                  unmatched={mallaSummary.unmatched}
+                  equivalences={equivalences}
+                  curricula={curricula}
+                  onChange={setEquivalences}
+                />
+              )}
             </div>
           )}
 
@@ -206,14 +339,36 @@ function App() {
             </div>
           )}
 
+          {activeTab === 'cohort' && (
+            <div className="tab-content fade-in">
+              <CohortTable
+                gradesData={gradesData}
+                criticalityData={criticalityData}
+                curricula={curricula}
+                equivalences={equivalences}
+                homologations={homologations}
+                weightProfile={findWeightProfile(weightProfiles, selectedProfileId)}
+                levelScheme={levelScheme}
+                onStudentSelect={handleCohortStudentSelect}
+              />
+            </div>
+          )}
+
           {activeTab === 'results' && (
             <div className="tab-content fade-in">
               <Dashboard
                 studentRecords={selectedStudent}
+                gradesData={gradesData}
                 criticalityData={criticalityData}
-                curriculumData={curriculumData}
+                curricula={curricula}
+                equivalences={equivalences}
+                homologations={homologations}
                 demographicData={demographicData}
                 studentRut={studentRut}
+                weightProfile={findWeightProfile(weightProfiles, selectedProfileId)}
+                weightProfiles={weightProfiles}
+                onWeightProfileChange={setSelectedProfileId}
+                levelScheme={levelScheme}
               />
             </div>
           )}
@@ -0,0 +1,148 @@
+/**
+ * CohortPositionPanel Component
+ * Percentile and ranking of the student within their cohort (same malla, same entry year),
+ * with a small distribution histogram per score marking the student's position.
+ */
+
+import { useState, useMemo, useEffect } from 'react';
+import { UsersRound, Loader2 } from 'lucide-react';
+import { runInWorker } from '../utils/workerClient';
+import { isCancelledError } from '../utils/indicatorJobs';
+import { getCohortKey, selectCohortRecords, summarizeCohortPosition, MIN_COHORT_SIZE } from '../utils/cohortStats';
+import { groupRecordsByStudent } from '../utils/batch';
+import { COMPONENT_KEYS, COMPONENT_SHORT_LABELS } from '../utils/weightProfiles';
+
+function DistributionHistogram({ histogram, value, color = 'var(--accent)' }) {
+    const width = 160;
+    const height = 48;
+    const maxCount = Math.max(1, ...histogram.map(b => b.count));
+    const barWidth = width / histogram.length;
+    const markerX = (Math.max(0, Math.min(100, value)) / 100) * width;
+
+    return (
+        <svg viewBox={`0 0 ${width} ${height + 4}`} className="cohort-histogram">
+            {histogram.map((bin, idx) => {
+                const barHeight = (bin.count / maxCount) * height;
+                const containsStudent = value >= bin.from && (value < bin.to || (idx === histogram.length - 1 && value <= bin.to));
+                return (
+                    <rect
+                        key={idx}
+                        x={idx * barWidth + 1}
+                        y={height - barHeight}
+                        width={barWidth - 2}
+                        height={barHeight}
+                        className={containsStudent ? 'cohort-histogram-bar student' : 'cohort-histogram-bar'}
+                    >
+                        <title>{`${bin.from.toFixed(0)}-${bin.to.toFixed(0)}%: ${bin.count} estudiantes`}</title>
+                    </rect>
+                );
+            })}
+            <line x1={markerX} x2={markerX} y1={0} y2={height + 4} stroke={color} strokeWidth={2} />
+        </svg>
+    );
+}
+
+export default function CohortPositionPanel({ gradesData, studentRecords, criticalityData, curricula = [], equivalences = [], homologations = [], weightProfile, levelScheme, levelInfo }) {
+    const cohort = useMemo(() => getCohortKey(studentRecords), [studentRecords]);
+
+    const cohortRecords = useMemo(
+        () => (cohort.entryYear ? selectCohortRecords(gradesData, cohort) : []),
+        [gradesData, cohort]
+    );
+    const cohortSize = useMemo(() => groupRecordsByStudent(cohortRecords).size, [cohortRecords]);
+
+    // Peers are computed in the worker; results are tagged with the inputs they belong to
+    const jobInputs = useMemo(
+        () => ({ gradesData: cohortRecords, criticalityData, curricula, weightProfile, levelScheme, equivalences, homologations }),
+        [cohortRecords, criticalityData, curricula, weightProfile, levelScheme, equivalences, homologations]
+    );
+    const [result, setResult] = useState({ inputs: null, rows: [], error: null });
+
+    useEffect(() => {
+        if (cohortSize < MIN_COHORT_SIZE) return;
+
+        const job = runInWorker('cohort', jobInputs);
+        job.promise
+            .then(rows => setResult({ inputs: jobInputs, rows, error: null }))
+            .catch(error => {
+                if (!isCancelledError(error)) setResult({ inputs: jobInputs, rows: [], error: error.message });
+            });
+
+        return () => job.cancel();
+    }, [jobInputs, cohortSize]);
+
+    if (cohortSize < MIN_COHORT_SIZE) {
+        return (
+            <div className="cohort-position-section">
+                <h3 className="subsection-title">
+                    <UsersRound size={20} />
+                    Posición en la Cohorte
+                </h3>
+                <p className="hint-text">
+                    {cohort.entryYear
+                        ? `Se necesitan al menos ${MIN_COHORT_SIZE} estudiantes de la malla ${cohort.malla} con ingreso ${cohort.entryYear} para comparar (hay ${cohortSize}).`
+                        : 'Los registros del estudiante no tienen año, no se puede determinar su cohorte.'}
+                </p>
+            </div>
+        );
+    }
+
+    const computing = result.inputs !== jobInputs;
+    const position = computing ? null : summarizeCohortPosition(result.rows, studentRecords[0]?.rut);
+
+    return (
+        <div className="cohort-position-section">
+            <h3 className="subsection-title">
+                <UsersRound size={20} />
+                Posición en la Cohorte
+            </h3>
+            <p className="hint-text">
+                Malla {cohort.malla}, ingreso {cohort.entryYear} · {cohortSize} estudiantes.
+                Comparación sin el índice demográfico (no disponible para el resto de la cohorte).
+            </p>
+
+            {computing && (
+                <div className="upload-progress">
+                    <Loader2 size={16} className="spin-icon" />
+                    <span className="upload-progress-text">Calculando indicador de la cohorte…</span>
+                </div>
+            )}
+
+            {!computing && result.error && (
+                <p className="hint-text grade-fail">Error en el cálculo de la cohorte: {result.error}</p>
+            )}
+
+            {position && (
+                <>
+                    <div className="cohort-position-total" style={{ '--level-color': levelInfo?.color }}>
+                        <div>
+                            <span className="cohort-position-rank">#{position.rank}</span>
+                            <span className="cohort-position-of"> de {position.size}</span>
+                        </div>
+                        <div>
+                            <span className="cohort-position-percentile">P{position.total.percentile.toFixed(0)}</span>
+                            <span className="cohort-position-of"> del total ({position.total.value.toFixed(1)}%)</span>
+                        </div>
+                        <DistributionHistogram histogram={position.total.histogram} value={position.total.value} color={levelInfo?.color} />
+                    </div>
+
+                    <div className="cohort-position-grid">
+                        {COMPONENT_KEYS.map(key => {
+                            const comp = position.components[key];
+                            return (
+                                <div key={key} className="cohort-position-card">
+                                    <div className="cohort-position-card-header">
+                                        <span>{COMPONENT_SHORT_LABELS[key]}</span>
+                                        <strong>P{comp.percentile.toFixed(0)}</strong>
+                                    </div>
+                                    <DistributionHistogram histogram={comp.histogram} value={comp.value} />
+                                    <span className="cohort-position-of">{comp.value.toFixed(0)}%</span>
+                                </div>
+                            );
+                        })}
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
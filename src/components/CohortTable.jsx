@@ -0,0 +1,228 @@
+/**
+ * CohortTable Component
+ * Batch results of the exit indicator for every student in the loaded grades.
+ * Sortable and filterable; clicking a row opens the student's Dashboard.
+ */
+
+import { useState, useMemo, useEffect, useRef } from 'react';
+import { Table2, ChevronDown, ChevronUp, Loader2, X, RotateCcw, AlertTriangle } from 'lucide-react';
+import { filterAndSortCohortRows } from '../utils/batch';
+import { runInWorker } from '../utils/workerClient';
+import { isCancelledError } from '../utils/indicatorJobs';
+import { COMPONENT_KEYS, COMPONENT_SHORT_LABELS } from '../utils/weightProfiles';
+import { DEFAULT_LEVEL_SCHEME } from '../utils/levels';
+import { formatRut } from '../utils/rut';
+
+// Stable empty list while a computation is running
+const NO_ROWS = [];
+
+function SortHeader({ column, label, sort, onSort }) {
+    return (
+        <th onClick={() => onSort(column)} className="sortable">
+            {label}
+            {sort.key === column && (sort.direction === 'asc' ? <ChevronUp size={14} /> : <ChevronDown size={14} />)}
+        </th>
+    );
+}
+
+export default function CohortTable({ gradesData, criticalityData, curricula = [], equivalences = [], homologations = [], weightProfile, levelScheme = DEFAULT_LEVEL_SCHEME, onStudentSelect }) {
+    const [filters, setFilters] = useState({ query: '', levelClass: '', malla: '', minCoverage: 0 });
+    const [sort, setSort] = useState({ key: 'totalScore', direction: 'desc' });
+
+    // Batch computation runs in the worker; the result is tagged with the inputs it belongs to
+    const jobInputs = useMemo(
+        () => ({ gradesData, criticalityData, curricula, weightProfile, levelScheme, equivalences, homologations }),
+        [gradesData, criticalityData, curricula, weightProfile, levelScheme, equivalences, homologations]
+    );
+    const [run, setRun] = useState(0);
+    const [result, setResult] = useState({ inputs: null, run: 0, rows: [], error: null, cancelled: false });
+    const [progress, setProgress] = useState(null);
+    const jobRef = useRef(null);
+
+    useEffect(() => {
+        const job = runInWorker('cohort', jobInputs, {
+            onProgress: (p) => setProgress({ inputs: jobInputs, run, ...p })
+        });
+        jobRef.current = job;
+
+        job.promise
+            .then(rows => setResult({ inputs: jobInputs, run, rows, error: null, cancelled: false }))
+            .catch(error => setResult({
+                inputs: jobInputs,
+                run,
+                rows: [],
+                error: isCancelledError(error) ? null : error.message,
+                cancelled: isCancelledError(error)
+            }));
+
+        return () => job.cancel();
+    }, [jobInputs, run]);
+
+    const isCurrent = (state) => state?.inputs === jobInputs && state?.run === run;
+    const computing = !isCurrent(result);
+    const rows = computing ? NO_ROWS : result.rows;
+    const currentProgress = isCurrent(progress) ? progress : null;
+
+    const mallas = useMemo(() => Array.from(new Set(rows.map(r => String(r.malla)))).sort(), [rows]);
+
+    // Students whose plan has no curriculum loaded (evaluated against another malla)
+    const missingPlans = useMemo(() => {
+        const counts = {};
+        rows.filter(r => r.mallaFaltante).forEach(r => { counts[r.mallaFaltante] = (counts[r.mallaFaltante] || 0) + 1; });
+        return Object.entries(counts);
+    }, [rows]);
+
+    const visibleRows = useMemo(() => filterAndSortCohortRows(rows, filters, sort), [rows, filters, sort]);
+
+    const levelCounts = useMemo(() => {
+        const counts = {};
+        rows.forEach(r => { counts[r.levelClass] = (counts[r.levelClass] || 0) + 1; });
+        return counts;
+    }, [rows]);
+
+    const handleSort = (key) => {
+        setSort(prev => prev.key === key
+            ? { key, direction: prev.direction === 'asc' ? 'desc' : 'asc' }
+            : { key, direction: key === 'rut' || key === 'malla' ? 'asc' : 'desc' });
+    };
+
+    const updateFilter = (field, value) => {
+        setFilters(prev => ({ ...prev, [field]: value }));
+    };
+
+    return (
+        <div className="cohort-container">
+            <h2 className="section-title">
+                <Table2 size={24} />
+                Indicador de Egreso por Cohorte
+            </h2>
+            {computing ? (
+                <div className="upload-progress">
+                    <Loader2 size={16} className="spin-icon" />
+                    <span className="upload-progress-text">
+                        {currentProgress
+                            ? `${currentProgress.done} de ${currentProgress.total} estudiantes calculados`
+                            : 'Preparando cálculo…'}
+                    </span>
+                    <progress value={currentProgress?.done || 0} max={currentProgress?.total || 1} />
+                    <button className="btn btn-ghost" onClick={() => jobRef.current?.cancel()}>
+                        <X size={16} />
+                        Cancelar
+                    </button>
+                </div>
+            ) : (result.error || result.cancelled) ? (
+                <div className="upload-progress">
+                    <span className="upload-progress-text">
+                        {result.cancelled ? 'Cálculo cancelado.' : `Error en el cálculo: ${result.error}`}
+                    </span>
+                    <button className="btn btn-secondary" onClick={() => setRun(r => r + 1)}>
+                        <RotateCcw size={16} />
+                        Reintentar
+                    </button>
+                </div>
+            ) : (
+                <p className="hint-text">
+                    {rows.length} estudiantes calculados. El índice demográfico no se incluye en el cálculo masivo (sin datos por estudiante).
+                </p>
+            )}
+
+            {missingPlans.length > 0 && (
+                <p className="hint-text grade-fail">
+                    <AlertTriangle size={14} />{' '}
+                    Sin malla cargada para {missingPlans.map(([plan, count]) => `el plan ${plan} (${count} ${count === 1 ? 'estudiante' : 'estudiantes'})`).join(', ')}:
+                    se evaluaron con otra malla. Carga la estructura curricular de cada plan.
+                </p>
+            )}
+
+            <div className="cohort-level-summary">
+                {levelScheme.niveles.map(lvl => (
+                    <button
+                        key={lvl.id}
+                        className={`legend-item cohort-level-chip ${filters.levelClass === lvl.id ? 'active' : ''}`}
+                        style={{ '--level-color': lvl.color }}
+                        onClick={() => updateFilter('levelClass', filters.levelClass === lvl.id ? '' : lvl.id)}
+                    >
+                        <span className="legend-dot"></span>
+                        {lvl.label}: {levelCounts[lvl.id] || 0}
+                    </button>
+                ))}
+            </div>
+
+            <div className="cohort-filters">
+                <input
+                    type="text"
+                    className="search-input"
+                    placeholder="Filtrar por RUT"
+                    value={filters.query}
+                    onChange={(e) => updateFilter('query', e.target.value)}
+                />
+                <select value={filters.levelClass} onChange={(e) => updateFilter('levelClass', e.target.value)}>
+                    <option value="">Todos los niveles</option>
+                    {levelScheme.niveles.map(lvl => (
+                        <option key={lvl.id} value={lvl.id}>Nivel {lvl.label}</option>
+                    ))}
+                </select>
+                <select value={filters.malla} onChange={(e) => updateFilter('malla', e.target.value)}>
+                    <option value="">Todas las mallas</option>
+                    {mallas.map(m => (
+                        <option key={m} value={m}>Malla {m}</option>
+                    ))}
+                </select>
+                <label className="cohort-coverage-filter">
+                    Cobertura mín.
+                    <input
+                        type="number"
+                        min="0"
+                        max="100"
+                        step="5"
+                        value={filters.minCoverage}
+                        onChange={(e) => updateFilter('minCoverage', e.target.value)}
+                    />
+                    %
+                </label>
+            </div>
+
+            <div className="table-container">
+                <table className="students-table cohort-table">
+                    <thead>
+                        <tr>
+                            <SortHeader column="rut" label="RUT" sort={sort} onSort={handleSort} />
+                            <SortHeader column="malla" label="Malla" sort={sort} onSort={handleSort} />
+                            <SortHeader column="totalScore" label="Total" sort={sort} onSort={handleSort} />
+                            <th>Nivel</th>
+                            {COMPONENT_KEYS.map(key => (
+                                <SortHeader key={key} column={key} label={COMPONENT_SHORT_LABELS[key]} sort={sort} onSort={handleSort} />
+                            ))}
+                            <SortHeader column="coveragePct" label="Cobertura" sort={sort} onSort={handleSort} />
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {visibleRows.map(row => (
+                            <tr key={row.rut} onClick={() => onStudentSelect(row.rut)}>
+                                <td className="rut-cell">{formatRut(row.rut)}</td>
+                                <td title={row.mallaFaltante ? `Sin malla cargada para el plan ${row.mallaFaltante}; evaluado con la malla ${row.mallaAplicada ?? '—'}` : undefined}>
+                                    {row.malla}
+                                    {row.mallaFaltante && <AlertTriangle size={12} className="malla-missing-icon" />}
+                                </td>
+                                <td><strong>{row.totalScore.toFixed(1)}%</strong></td>
+                                <td>
+                                    <span className="level-badge cohort-level" style={{ '--level-color': row.levelInfo.color }}>
+                                        {row.level}
+                                    </span>
+                                </td>
+                                {COMPONENT_KEYS.map(key => (
+                                    <td key={key}>{(row.components[key] * 100).toFixed(0)}%</td>
+                                ))}
+                                <td className={row.coveragePct < 80 ? 'grade-fail' : ''}>{row.coveragePct.toFixed(0)}%</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+
+            {!computing && visibleRows.length === 0 && (
+                <p className="hint-text">Ningún estudiante coincide con los filtros.</p>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,208 @@
+/**
+ * ColumnMappingWizard Component
+ * Import step for grade files: shows which source column feeds each field,
+ * lets the user change it with a live preview, picks the grade scale of the file
+ * and saves the mapping as a named profile.
+ */
+
+import { useState, useMemo } from 'react';
+import { Columns3, Check, X, Trash2 } from 'lucide-react';
+import { GRADE_FIELDS, normalizeGradeRow, detectRowsDecimalSeparator } from '../utils/gradeColumns';
+import { applyImportProfile } from '../utils/importProfiles';
+import { INDICATOR_SCALE, isIndicatorScale } from '../utils/gradeScales';
+
+// Rows shown in the preview
+const PREVIEW_ROWS = 5;
+
+// Normalized fields shown in the preview table
+const PREVIEW_FIELDS = ['rut', 'codigoAsignatura', 'nombreAsignatura', 'evaluacion', 'nota', 'peso', 'anio', 'semestre', 'oportunidad', 'malla', 'estado'];
+
+export default function ColumnMappingWizard({ fileName, table, initialMapping, profiles = [], scales = [], onConfirm, onCancel, onDeleteProfile }) {
+    const [mapping, setMapping] = useState(() => ({ ...initialMapping }));
+    // '' = scale of each record's malla, else the indicator scale
+    const [escala, setEscala] = useState('');
+    const [saveProfile, setSaveProfile] = useState(true);
+    const [profileName, setProfileName] = useState(() => fileName.replace(/\.[^.]+$/, ''));
+
+    const sampleRows = useMemo(() => table.rows.slice(0, PREVIEW_ROWS), [table]);
+
+    const preview = useMemo(() => {
+        const decimalSeparator = detectRowsDecimalSeparator(table.rows, mapping);
+        return sampleRows.map(row => normalizeGradeRow(row, mapping, decimalSeparator));
+    }, [table, sampleRows, mapping]);
+
+    const missingCourse = mapping.codigoAsignatura === undefined && mapping.nombreAsignatura === undefined &&
+        (mapping.materia === undefined || mapping.curso === undefined);
+    const canImport = mapping.rut !== undefined && mapping.nota !== undefined && !missingCourse;
+
+    const handleFieldChange = (field, header) => {
+        setMapping(prev => {
+            const next = { ...prev };
+            if (header === '') delete next[field];
+            else next[field] = header;
+            return next;
+        });
+    };
+
+    const handleApplyProfile = (id) => {
+        const profile = profiles.find(p => p.id === id);
+        if (profile) {
+            setMapping(applyImportProfile(profile, table.headers));
+            setEscala(profile.escala || '');
+            setProfileName(profile.nombre);
+        }
+    };
+
+    const handleConfirm = () => {
+        onConfirm({ mapping, escala: escala || null, profileName: saveProfile ? profileName : null });
+    };
+
+    const selectedScale = scales.find(s => s.id === escala);
+
+    const usedBy = (header) => GRADE_FIELDS.find(f => mapping[f.field] === header)?.label;
+
+    return (
+        <div className="mapping-wizard">
+            <h3 className="subsection-title">
+                <Columns3 size={20} />
+                Asignación de columnas: {fileName}
+            </h3>
+            <p className="hint-text">
+                {table.rows.length} filas leídas, {table.headers.length} columnas. Revisa qué columna del archivo alimenta cada campo antes de importar.
+            </p>
+
+            {profiles.length > 0 && (
+                <div className="mapping-profiles">
+                    <label>
+                        Aplicar perfil guardado:
+                        <select defaultValue="" onChange={(e) => handleApplyProfile(e.target.value)}>
+                            <option value="" disabled>Selecciona un perfil…</option>
+                            {profiles.map(p => (
+                                <option key={p.id} value={p.id}>{p.nombre}</option>
+                            ))}
+                        </select>
+                    </label>
+                    {onDeleteProfile && (
+                        <div className="mapping-profile-list">
+                            {profiles.map(p => (
+                                <span key={p.id} className="file-type-badge">
+                                    {p.nombre}
+                                    <button className="btn btn-ghost" onClick={() => onDeleteProfile(p.id)} title="Eliminar perfil">
+                                        <Trash2 size={12} />
+                                    </button>
+                                </span>
+                            ))}
+                        </div>
+                    )}
+                </div>
+            )}
+
+            <div className="mapping-profiles">
+                <label>
+                    Escala de notas:
+                    <select value={escala} onChange={(e) => setEscala(e.target.value)}>
+                        <option value="">Según la malla ({INDICATOR_SCALE.nombre} si no tiene)</option>
+                        {scales.map(s => (
+                            <option key={s.id} value={s.id}>{s.nombre}</option>
+                        ))}
+                    </select>
+                </label>
+                {selectedScale && !isIndicatorScale(selectedScale) && (
+                    <span className="hint-text">
+                        Notas de {selectedScale.min} a {selectedScale.max}; se convierten a {INDICATOR_SCALE.nombre}
+                        {selectedScale.tabla ? ' con la tabla de la escala' : ` (${selectedScale.aprobacion} → ${INDICATOR_SCALE.aprobacion.toFixed(1)})`}.
+                    </span>
+                )}
+            </div>
+
+            <div className="table-container">
+                <table className="mapping-table">
+                    <thead>
+                        <tr>
+                            <th>Campo</th>
+                            <th>Columna de origen</th>
+                            <th>Ejemplo</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {GRADE_FIELDS.map(({ field, label }) => (
+                            <tr key={field} className={mapping[field] === undefined ? 'unmapped' : ''}>
+                                <td>{label}</td>
+                                <td>
+                                    <select value={mapping[field] ?? ''} onChange={(e) => handleFieldChange(field, e.target.value)}>
+                                        <option value="">(sin asignar)</option>
+                                        {table.headers.map(header => {
+                                            const owner = usedBy(header);
+                                            return (
+                                                <option key={header} value={header}>
+                                                    {header}{owner && mapping[field] !== header ? ` — usada en ${owner}` : ''}
+                                                </option>
+                                            );
+                                        })}
+                                    </select>
+                                </td>
+                                <td className="mapping-sample">
+                                    {mapping[field] !== undefined ? String(sampleRows[0]?.[mapping[field]] ?? '') : '—'}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+
+            <h4 className="mapping-preview-title">Vista previa ({Math.min(PREVIEW_ROWS, table.rows.length)} primeras filas)</h4>
+            <div className="table-container">
+                <table className="mapping-table">
+                    <thead>
+                        <tr>
+                            {PREVIEW_FIELDS.map(field => (
+                                <th key={field}>{GRADE_FIELDS.find(f => f.field === field)?.label || field}</th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {preview.map((record, idx) => (
+                            <tr key={idx}>
+                                {PREVIEW_FIELDS.map(field => (
+                                    <td key={field}>{record[field] ?? '—'}</td>
+                                ))}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+
+            {!canImport && (
+                <p className="hint-text grade-fail">
+                    Asigna al menos RUT, Nota y una columna de asignatura (código, nombre o materia + curso).
+                </p>
+            )}
+
+            <div className="mapping-actions">
+                <label className="radio-label">
+                    <input type="checkbox" checked={saveProfile} onChange={(e) => setSaveProfile(e.target.checked)} />
+                    <span>Guardar como perfil</span>
+                </label>
+                {saveProfile && (
+                    <input
+                        type="text"
+                        className="search-input mapping-profile-name"
+                        value={profileName}
+                        onChange={(e) => setProfileName(e.target.value)}
+                        placeholder="Nombre del perfil"
+                    />
+                )}
+                <div className="mapping-buttons">
+                    <button className="btn btn-ghost" onClick={onCancel}>
+                        <X size={16} />
+                        Omitir archivo
+                    </button>
+                    <button className="btn btn-primary" onClick={handleConfirm} disabled={!canImport}>
+                        <Check size={16} />
+                        Importar
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
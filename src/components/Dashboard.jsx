@@ -1,13 +1,24 @@
-import { useState } from 'react';
-import { Award, BookOpen, GraduationCap, TrendingUp, BarChart3, Clock, Users, AlertCircle, ChevronDown, ChevronUp, Eye } from 'lucide-react';
+import { useState, useMemo, Fragment } from 'react';
+import { Award, BookOpen, GraduationCap, TrendingUp, BarChart3, Clock, Users, AlertCircle, ChevronDown, ChevronUp, Eye, FlaskConical, AlertTriangle, CalendarClock } from 'lucide-react';
 import ScoreCard from './ScoreCard';
 import RecommendationPanel from './RecommendationPanel';
 import RadarChart from './RadarChart';
+import TimelineChart from './TimelineChart';
+import CohortPositionPanel from './CohortPositionPanel';
+import PrerequisitePanel from './PrerequisitePanel';
 import ExportPanel from './ExportPanel';
+import SimulationPanel from './SimulationPanel';
 import { calculateExitIndicatorWithAudit } from '../utils/calculators';
 import { generateRecommendations, getSummaryText } from '../utils/recommendations';
 import { enrichGradesWithTraza } from '../utils/parsers';
-import { buildMallaIndex } from '../utils/mallaIndex';
+import { getMallaIndex } from '../utils/mallaIndex';
+import { selectCurriculum } from '../utils/curriculumRegistry';
+import { listHomologatedRecords } from '../utils/planHomologations';
+import { describeWeightProfile } from '../utils/weightProfiles';
+import { describeLevelRange } from '../utils/levels';
+import { calculateIndicatorTimeline } from '../utils/timeline';
+import { projectGraduation } from '../utils/graduationProjection';
+import { formatRut } from '../utils/rut';
 
 const componentIcons = {
     approvalRate: BookOpen,
@@ -19,8 +30,52 @@ const componentIcons = {
     demographic: Users
 };
 
-export default function Dashboard({ studentRecords, criticalityData, curriculumData, demographicData, studentRut }) {
+export default function Dashboard({ studentRecords, gradesData = [], criticalityData, curricula = [], equivalences = [], homologations = [], demographicData, studentRut, weightProfile, weightProfiles = [], onWeightProfileChange, levelScheme }) {
     const [showAudit, setShowAudit] = useState(false);
+    const [showSimulation, setShowSimulation] = useState(false);
+    const [expandedCourse, setExpandedCourse] = useState(null);
+
+    const hasRecords = Boolean(studentRecords && studentRecords.length > 0);
+
+    // Malla of the student's plan (see curriculumRegistry.js)
+    const curriculumSelection = useMemo(() => selectCurriculum(curricula, studentRecords), [curricula, studentRecords]);
+    const curriculumData = curriculumSelection.entry?.data ?? null;
+    const curriculumPlan = curriculumSelection.entry?.plan;
+
+    // FIX: Enriquecer registros antes del cálculo
+    const enrichedGrades = useMemo(
+        () => hasRecords
+            ? enrichGradesWithTraza(studentRecords, curriculumData, { equivalences, homologations, plan: curriculumPlan })
+            : [],
+        [hasRecords, studentRecords, curriculumData, equivalences, homologations, curriculumPlan]
+    );
+
+    // Indicator, timeline and graduation projection only change with the records and settings
+    const analysis = useMemo(() => {
+        if (!enrichedGrades.some(r => r.enMalla)) return null;
+        return {
+            // Use audit mode calculator
+            indicatorResult: calculateExitIndicatorWithAudit(
+                enrichedGrades,
+                criticalityData,
+                curriculumData,
+                demographicData,
+                weightProfile,
+                levelScheme
+            ),
+            // Indicator at each anio/semestre cut-off
+            timeline: calculateIndicatorTimeline(
+                enrichedGrades,
+                criticalityData,
+                curriculumData,
+                demographicData,
+                weightProfile,
+                levelScheme
+            ),
+            // Earliest / expected graduation, shown with the permanence component
+            projection: projectGraduation(enrichedGrades, curriculumData)
+        };
+    }, [enrichedGrades, criticalityData, curriculumData, demographicData, weightProfile, levelScheme]);
 
     if (!studentRecords || studentRecords.length === 0) {
         return (
@@ -32,14 +87,12 @@ export default function Dashboard({ studentRecords, criticalityData, curriculumD
         );
     }
 
-    // FIX: Enriquecer registros antes del cálculo
-    const enrichedGrades = enrichGradesWithTraza(studentRecords, curriculumData);
-
     const inMalla = enrichedGrades.filter(r => r.enMalla);
     const totalFilasNotas = studentRecords.length;
     const totalAsignaturasUnicasNotas = new Set(studentRecords.map(r => r.codigoAsignatura || r.nombreAsignatura)).size;
-    const totalRamosMalla = curriculumData ? (Array.isArray(curriculumData) ? curriculumData.length : Object.keys(curriculumData).length) : 0;
-    const uniqueMatchedCourses = new Set(inMalla.map(r => r.codigoMalla || r.nombreMalla)).size;
+    // Every slot of an elective group counts as a course of the plan
+    const totalRamosMalla = curriculumData ? getMallaIndex(curriculumData).allCourses.length : 0;
+    const uniqueMatchedCourses = new Set(inMalla.map(r => r.slotElectivo?.clave || r.codigoMalla || r.nombreMalla)).size;
 
     // Top 20 unmatched
     const unmatched = enrichedGrades.filter(r => !r.enMalla);
@@ -52,6 +105,12 @@ export default function Dashboard({ studentRecords, criticalityData, curriculumD
         .sort((a, b) => b[1] - a[1])
         .slice(0, 20);
 
+    // Old-plan rows re-mapped into the current plan (shown in the audit)
+    const homologatedRows = listHomologatedRecords(enrichedGrades);
+
+    // Names whose best malla candidates were too weak or too close to tell apart
+    const ambiguousMatches = groupAmbiguousMatches(enrichedGrades);
+
     // Validación temporal extendida (Console)
     console.log("--- DEBUG IE CALCULATION ---");
     console.log("Total filas notas:", totalFilasNotas);
@@ -63,7 +122,7 @@ export default function Dashboard({ studentRecords, criticalityData, curriculumD
 
     // Deep Debug: Ver qué hay en el index
     if (curriculumData) {
-        const tempIndex = buildMallaIndex(curriculumData);
+        const tempIndex = getMallaIndex(curriculumData);
         console.log("Muestra Index (primeros 5 nombres):", Array.from(tempIndex.byName.keys()).slice(0, 5));
         console.log("Muestra Index (primeros 5 códigos):", Array.from(tempIndex.byCode.keys()).slice(0, 5));
     }
@@ -118,18 +177,12 @@ export default function Dashboard({ studentRecords, criticalityData, curriculumD
         );
     }
 
-    // Use audit mode calculator
-    const indicatorResult = calculateExitIndicatorWithAudit(
-        enrichedGrades,
-        criticalityData,
-        curriculumData,
-        demographicData
-    );
-
+    const { indicatorResult, timeline, projection } = analysis;
     const recommendations = generateRecommendations(indicatorResult, studentRecords, demographicData);
     const summaryText = getSummaryText(indicatorResult, demographicData);
 
-    const { components, totalScore, level, levelClass, stats, malla, audit, courseBreakdown } = indicatorResult;
+    const { components, totalScore, level, levelClass, levelInfo, levelScheme: appliedScheme, stats, malla, audit, courseBreakdown, weightProfile: appliedProfile } = indicatorResult;
+    const levelStyle = { '--level-color': levelInfo.color };
 
     return (
         <div className="dashboard">
@@ -138,9 +191,31 @@ export default function Dashboard({ studentRecords, criticalityData, curriculumD
                 <div className="student-header">
                     <h2>
                         <GraduationCap size={28} />
-                        Estudiante RUT: {studentRut}
+                        Estudiante RUT: {formatRut(studentRut)}
                     </h2>
-                    <span className="malla-badge">Malla: {malla}</span>
+                    <div className="student-header-badges">
+                        <span className="malla-badge">Malla: {malla}</span>
+                        {curriculumSelection.entry && (
+                            <span className="profile-badge" title={curriculumSelection.entry.titulo}>
+                                Malla aplicada: plan {curriculumSelection.entry.plan}
+                            </span>
+                        )}
+                        {weightProfiles.length > 1 && onWeightProfileChange ? (
+                            <label className="profile-select">
+                                Ponderación:
+                                <select
+                                    value={appliedProfile.id}
+                                    onChange={(e) => onWeightProfileChange(e.target.value)}
+                                >
+                                    {weightProfiles.map(p => (
+                                        <option key={p.id} value={p.id}>{describeWeightProfile(p)}</option>
+                                    ))}
+                                </select>
+                            </label>
+                        ) : (
+                            <span className="profile-badge">Ponderación: {describeWeightProfile(appliedProfile)}</span>
+                        )}
+                    </div>
                 </div>
 
                 {stats.coveragePct < 80 && (
@@ -163,7 +238,25 @@ export default function Dashboard({ studentRecords, criticalityData, curriculumD
                     </div>
                 )}
 
-                <div className={`main-score-card ${levelClass}`}>
+                {(curriculumSelection.missing || !curriculumSelection.entry) && (
+                    <div className="match-ambiguous">
+                        <div className="match-ambiguous-header">
+                            <AlertTriangle size={16} />
+                            <strong>
+                                {curriculumSelection.plan
+                                    ? `No hay malla cargada para el plan ${curriculumSelection.plan}`
+                                    : 'No hay malla cargada'}
+                            </strong>
+                        </div>
+                        {curriculumSelection.entry
+                            ? `Los registros se evaluaron con la malla del plan ${curriculumSelection.entry.plan}; carga la malla del plan del estudiante para un cálculo exacto.`
+                            : 'Carga la malla del plan del estudiante para asociar sus registros.'}
+                    </div>
+                )}
+
+                {ambiguousMatches.length > 0 && <AmbiguousMatches matches={ambiguousMatches} />}
+
+                <div className={`main-score-card ${levelClass}`} style={levelStyle}>
                     <div className="main-score-visual">
                         <div className="score-circle">
                             <svg viewBox="0 0 100 100">
@@ -198,7 +291,7 @@ export default function Dashboard({ studentRecords, criticalityData, curriculumD
 
                     <div className="main-score-info">
                         <h3 className="score-title">Indicador de Egreso</h3>
-                        <div className={`level-badge ${levelClass}`}>
+                        <div className={`level-badge ${levelClass}`} style={levelStyle}>
                             Nivel {level}
                         </div>
                         <div className="quick-stats">
@@ -239,7 +332,8 @@ export default function Dashboard({ studentRecords, criticalityData, curriculumD
                         const Icon = componentIcons[key] || BarChart3;
                         return (
                             <div key={key} className="component-wrapper">
-                                <ScoreCard component={component} />
+                                <ScoreCard component={component} levelScheme={appliedScheme} />
+                                {key === 'permanence' && <GraduationProjection projection={projection} />}
                             </div>
                         );
                     })}
@@ -250,26 +344,76 @@ export default function Dashboard({ studentRecords, criticalityData, curriculumD
             <div className="classification-legend">
                 <h4>Clasificación:</h4>
                 <div className="legend-items">
-                    <div className="legend-item high">
-                        <span className="legend-dot"></span>
-                        ≥ 80% Nivel Alto
-                    </div>
-                    <div className="legend-item medium">
-                        <span className="legend-dot"></span>
-                        60-79.9% Nivel Medio
-                    </div>
-                    <div className="legend-item low">
-                        <span className="legend-dot"></span>
-                        &lt; 60% Nivel Bajo
-                    </div>
+                    {appliedScheme.niveles.map(lvl => (
+                        <div key={lvl.id} className={`legend-item ${lvl.id}`} style={{ '--level-color': lvl.color }}>
+                            <span className="legend-dot"></span>
+                            {describeLevelRange(lvl, appliedScheme)} Nivel {lvl.label}
+                        </div>
+                    ))}
                 </div>
             </div>
 
             {/* Recommendations */}
             <RecommendationPanel recommendations={recommendations} />
 
-            {/* Radar Chart Visualization */}
-            <RadarChart components={components} />
+            {/* Radar Chart + Timeline */}
+            <div className="charts-row">
+                <RadarChart components={components} />
+                <TimelineChart timeline={timeline} levelScheme={appliedScheme} />
+            </div>
+
+            {/* Percentile within the cohort (same malla and entry year) */}
+            <CohortPositionPanel
+                gradesData={gradesData}
+                studentRecords={studentRecords}
+                criticalityData={criticalityData}
+                curricula={curricula}
+                equivalences={equivalences}
+                homologations={homologations}
+                weightProfile={weightProfile}
+                levelScheme={levelScheme}
+                levelInfo={levelInfo}
+            />
+
+            {/* Critical path, blocked courses and attempts without requisites */}
+            <PrerequisitePanel records={enrichedGrades} curriculumData={curriculumData} />
+
+            {/* What-if Simulation Toggle */}
+            <div className="simulation-section">
+                <button
+                    className="btn btn-secondary audit-toggle"
+                    onClick={() => setShowSimulation(!showSimulation)}
+                    style={{
+                        display: 'flex',
+                        alignItems: 'center',
+                        gap: '8px',
+                        margin: '0 auto',
+                        padding: '12px 24px',
+                        fontSize: '1rem'
+                    }}
+                >
+                    <FlaskConical size={18} />
+                    {showSimulation ? 'Ocultar Simulación' : 'Simular Escenarios'}
+                    {showSimulation ? <ChevronUp size={18} /> : <ChevronDown size={18} />}
+                </button>
+
+                {showSimulation && (
+                    <SimulationPanel
+                        key={studentRut}
+                        studentRecords={studentRecords}
+                        enrichedRecords={enrichedGrades}
+                        criticalityData={criticalityData}
+                        curriculumData={curriculumData}
+                        plan={curriculumSelection.entry?.plan}
+                        equivalences={equivalences}
+                        homologations={homologations}
+                        demographicData={demographicData}
+                        weightProfile={weightProfile}
+                        levelScheme={levelScheme}
+                        baseResult={indicatorResult}
+                    />
+                )}
+            </div>
 
             {/* Audit Mode Toggle */}
             <div className="audit-section">
@@ -302,6 +446,15 @@ export default function Dashboard({ studentRecords, criticalityData, curriculumD
                             📊 Modo Auditoría - Desglose Detallado
                         </h3>
 
+                        {/* Weighting profile used */}
+                        <div style={{ marginBottom: '1.5rem', fontSize: '0.85rem', color: 'var(--text-muted)' }}>
+                            Perfil de ponderación: <strong>{describeWeightProfile(appliedProfile)}</strong>
+                            <br />
+                            {Object.entries(components).map(([key, comp]) => (
+                                `${comp.label} ${(appliedProfile.pesos[key] * 100).toFixed(0)}%`
+                            )).join(' · ')}
+                        </div>
+
                         {/* Audit Summary Grid */}
                         <div style={{
                             display: 'grid',
@@ -442,6 +595,8 @@ export default function Dashboard({ studentRecords, criticalityData, curriculumD
                             )}
                         </div>
 
+                        {homologatedRows.length > 0 && <HomologatedRows rows={homologatedRows} />}
+
                         {/* Course Breakdown Table */}
                         {courseBreakdown && courseBreakdown.length > 0 && (
                             <div>
@@ -460,37 +615,68 @@ export default function Dashboard({ studentRecords, criticalityData, curriculumD
                                                 <th style={{ padding: '10px', textAlign: 'center', borderBottom: '2px solid var(--border-color)' }}>Nota Prom.</th>
                                                 <th style={{ padding: '10px', textAlign: 'center', borderBottom: '2px solid var(--border-color)' }}>Criticidad</th>
                                                 <th style={{ padding: '10px', textAlign: 'center', borderBottom: '2px solid var(--border-color)' }}>Semestre</th>
+                                                <th style={{ padding: '10px', textAlign: 'center', borderBottom: '2px solid var(--border-color)' }}>Estado</th>
+                                                <th style={{ padding: '10px', textAlign: 'left', borderBottom: '2px solid var(--border-color)' }}>Origen</th>
                                             </tr>
                                         </thead>
                                         <tbody>
                                             {courseBreakdown.map((course, idx) => (
-                                                <tr key={idx} style={{ borderBottom: '1px solid var(--border-color)' }}>
-                                                    <td style={{ padding: '10px' }}>{course.asignatura}</td>
-                                                    <td style={{ padding: '10px', textAlign: 'center', fontFamily: 'monospace' }}>{course.codigo || '-'}</td>
-                                                    <td style={{ padding: '10px', textAlign: 'center' }}>
-                                                        <span style={{
-                                                            background: course.intentos > 1 ? 'rgba(255, 152, 0, 0.2)' : 'rgba(76, 175, 80, 0.2)',
-                                                            padding: '2px 8px',
-                                                            borderRadius: '4px',
-                                                            fontWeight: course.intentos > 1 ? 'bold' : 'normal'
-                                                        }}>
-                                                            {course.intentos}
-                                                        </span>
-                                                    </td>
-                                                    <td style={{ padding: '10px', textAlign: 'center' }}>{course.notaPromedio}</td>
-                                                    <td style={{ padding: '10px', textAlign: 'center' }}>
-                                                        <span style={{
-                                                            background: course.puntajeCriticidad >= 4 ? 'rgba(244, 67, 54, 0.2)' :
-                                                                course.puntajeCriticidad >= 3 ? 'rgba(255, 152, 0, 0.2)' :
-                                                                    'rgba(76, 175, 80, 0.2)',
-                                                            padding: '2px 8px',
-                                                            borderRadius: '4px'
-                                                        }}>
-                                                            {course.puntajeCriticidad}/5
-                                                        </span>
-                                                    </td>
-                                                    <td style={{ padding: '10px', textAlign: 'center' }}>{course.semestreMalla || '-'}</td>
-                                                </tr>
+                                                <Fragment key={idx}>
+                                                    <tr
+                                                        style={{ borderBottom: '1px solid var(--border-color)' }}
+                                                        className={hasConsolidationDetail(course) ? 'breakdown-expandable' : ''}
+                                                        onClick={() => hasConsolidationDetail(course) && setExpandedCourse(expandedCourse === idx ? null : idx)}
+                                                        title={hasConsolidationDetail(course) ? 'Ver cómo se calculó la nota' : undefined}
+                                                    >
+                                                        <td style={{ padding: '10px' }}>
+                                                            {course.asignatura}
+                                                            {hasConsolidationDetail(course) && (
+                                                                expandedCourse === idx ? <ChevronUp size={14} className="breakdown-chevron" /> : <ChevronDown size={14} className="breakdown-chevron" />
+                                                            )}
+                                                        </td>
+                                                        <td style={{ padding: '10px', textAlign: 'center', fontFamily: 'monospace' }}>{course.codigo || '-'}</td>
+                                                        <td style={{ padding: '10px', textAlign: 'center' }}>
+                                                            <span style={{
+                                                                background: course.intentos > 1 ? 'rgba(255, 152, 0, 0.2)' : 'rgba(76, 175, 80, 0.2)',
+                                                                padding: '2px 8px',
+                                                                borderRadius: '4px',
+                                                                fontWeight: course.intentos > 1 ? 'bold' : 'normal'
+                                                            }}>
+                                                                {course.intentos}
+                                                            </span>
+                                                        </td>
+                                                        <td style={{ padding: '10px', textAlign: 'center' }}>{course.notaPromedio}</td>
+                                                        <td style={{ padding: '10px', textAlign: 'center' }}>
+                                                            <span style={{
+                                                                background: course.puntajeCriticidad >= 4 ? 'rgba(244, 67, 54, 0.2)' :
+                                                                    course.puntajeCriticidad >= 3 ? 'rgba(255, 152, 0, 0.2)' :
+                                                                        'rgba(76, 175, 80, 0.2)',
+                                                                padding: '2px 8px',
+                                                                borderRadius: '4px'
+                                                            }}>
+                                                                {course.puntajeCriticidad}/5
+                                                            </span>
+                                                        </td>
+                                                        <td style={{ padding: '10px', textAlign: 'center' }}>{course.semestreMalla || '-'}</td>
+                                                        <td style={{ padding: '10px', textAlign: 'center' }}>
+                                                            {course.estados.length > 0
+                                                                ? course.estados.map(estado => (
+                                                                    <span key={estado} className="state-badge">{estado}</span>
+                                                                ))
+                                                                : '-'}
+                                                        </td>
+                                                        <td style={{ padding: '10px', fontSize: '0.8rem', color: 'var(--text-muted)' }}>
+                                                            {course.fuentes.length > 0 ? course.fuentes.join(', ') : '-'}
+                                                        </td>
+                                                    </tr>
+                                                    {expandedCourse === idx && (
+                                                        <tr className="breakdown-detail-row">
+                                                            <td colSpan={8}>
+                                                                <ConsolidationDetail attempts={course.detalleIntentos} />
+                                                            </td>
+                                                        </tr>
+                                                    )}
+                                                </Fragment>
                                             ))}
                                         </tbody>
                                     </table>
@@ -522,3 +708,155 @@ export default function Dashboard({ studentRecords, criticalityData, curriculumD
         </div>
     );
 }
+
+function groupAmbiguousMatches(records) {
+    const byName = new Map();
+    records.filter(r => r.coincidenciaMalla?.ambigua).forEach(r => {
+        const name = r.nombreAsignatura || r.codigoAsignatura;
+        if (!byName.has(name)) byName.set(name, { name, count: 0, candidatos: r.coincidenciaMalla.candidatos });
+        byName.get(name).count++;
+    });
+    return Array.from(byName.values());
+}
+
+// Course names left out of the malla because the automatic match was not reliable
+function AmbiguousMatches({ matches }) {
+    return (
+        <div className="match-ambiguous">
+            <div className="match-ambiguous-header">
+                <AlertTriangle size={16} />
+                <strong>{matches.length} {matches.length === 1 ? 'asignatura no se asoció' : 'asignaturas no se asociaron'} a la malla por coincidencia ambigua</strong>
+            </div>
+            <ul>
+                {matches.map(({ name, count, candidatos }) => (
+                    <li key={name}>
+                        <strong>{name}</strong> ({count} {count === 1 ? 'registro' : 'registros'}) — candidatos:{' '}
+                        {candidatos.map(c => `${c.nombre} (${Math.round(c.confianza * 100)}%)`).join(', ')}
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+}
+
+// Projected graduation next to the permanence component (see graduationProjection.js)
+function GraduationProjection({ projection }) {
+    if (!projection) {
+        return (
+            <div className="graduation-projection">
+                <div className="graduation-projection-header">
+                    <CalendarClock size={16} />
+                    <strong>Proyección de egreso</strong>
+                </div>
+                <p className="hint-text">Sin malla o sin períodos en los registros, no se puede proyectar el egreso.</p>
+            </div>
+        );
+    }
+
+    const { minima, esperada, nominal, pendientes, totalPlan, ritmo, rutaCritica } = projection;
+    const describe = ({ periodo, totalSemestres, retraso }) => (
+        `${periodo} · ${totalSemestres} semestres` + (retraso > 0 ? ` (+${retraso} sobre ${nominal})` : ' (sin retraso)')
+    );
+
+    return (
+        <div className="graduation-projection">
+            <div className="graduation-projection-header">
+                <CalendarClock size={16} />
+                <strong>Proyección de egreso</strong>
+            </div>
+            {pendientes === 0 ? (
+                <p>Malla completa: <strong>{describe(minima)}</strong></p>
+            ) : (
+                <ul>
+                    <li>Más temprano: <strong>{describe(minima)}</strong></li>
+                    <li>
+                        Esperado al ritmo actual:{' '}
+                        <strong>{esperada ? describe(esperada) : 'sin asignaturas aprobadas para estimar el ritmo'}</strong>
+                    </li>
+                </ul>
+            )}
+            <p className="graduation-projection-detail">
+                {totalPlan - pendientes} de {totalPlan} asignaturas aprobadas · ritmo {ritmo.toFixed(1)} por semestre
+                · duración nominal {nominal} semestres
+                {rutaCritica.semestres > 0 && ` · ruta crítica ${rutaCritica.semestres} semestres`}
+            </p>
+        </div>
+    );
+}
+
+// Attempts of an earlier plan counted under a course of the current plan
+function HomologatedRows({ rows }) {
+    return (
+        <div className="homologated-rows">
+            <h4 style={{ marginBottom: '1rem' }}>🔁 Filas homologadas ({rows.length})</h4>
+            <div className="table-container">
+                <table className="mapping-table">
+                    <thead>
+                        <tr>
+                            <th>Asignatura cursada</th>
+                            <th>Plan origen</th>
+                            <th>Homologada como</th>
+                            <th>Plan destino</th>
+                            <th>Periodo</th>
+                            <th>Nota</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {rows.map((row, idx) => (
+                            <tr key={idx}>
+                                <td>{row.origen}</td>
+                                <td>{row.planOrigen}</td>
+                                <td>{row.destino}</td>
+                                <td>{row.planDestino}</td>
+                                <td>{row.periodo}</td>
+                                <td>{row.nota}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+}
+
+// Attempts with partial items or rule steps behind their final grade
+function hasConsolidationDetail(course) {
+    return course.detalleIntentos.some(a => a.parciales.length > 1 || a.pasos.length > 0);
+}
+
+const PARTIAL_TYPE_LABELS = { examen: 'Examen', eliminable: 'Descartable', parcial: 'Parcial' };
+
+// How each attempt's final grade was derived from its partial evaluations
+function ConsolidationDetail({ attempts }) {
+    return (
+        <div className="consolidation-detail">
+            {attempts.map((attempt, idx) => (
+                <div key={idx} className="consolidation-attempt">
+                    <div className="consolidation-attempt-header">
+                        <strong>{attempt.periodo}</strong> · oportunidad {attempt.oportunidad} · nota final <strong>{attempt.nota}</strong>
+                        <span className="consolidation-rule">{attempt.regla}</span>
+                        {attempt.escala && <span className="consolidation-rule">Escala {attempt.escala}</span>}
+                    </div>
+                    {attempt.parciales.length > 1 && (
+                        <ul className="consolidation-items">
+                            {attempt.parciales.map((item, itemIdx) => (
+                                <li key={itemIdx} className={item.descartada ? 'discarded' : ''}>
+                                    {item.evaluacion || `Evaluación ${itemIdx + 1}`}
+                                    {' — '}{item.nsp ? `NSP (${item.notaAplicada})` : attempt.escala ? `${item.nota} → ${item.notaAplicada.toFixed(2)}` : item.notaAplicada}
+                                    {item.peso > 0 && ` · peso ${item.peso}`}
+                                    {item.tipo !== 'parcial' && ` · ${PARTIAL_TYPE_LABELS[item.tipo]}`}
+                                    {item.descartada && ' · descartada'}
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                    {attempt.pasos.length > 0 && (
+                        <ol className="consolidation-steps">
+                            {attempt.pasos.map((paso, pasoIdx) => <li key={pasoIdx}>{paso}</li>)}
+                        </ol>
+                    )}
+                </div>
+            ))}
+        </div>
+    );
+}
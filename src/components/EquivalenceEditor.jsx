@@ -0,0 +1,202 @@
+/**
+ * EquivalenceEditor Component
+ * Manual equivalence table for courses the automatic matching left out of the
+ * malla: map each source name to a malla course or mark it as not in the malla.
+ * The table is stored in this browser and can be exported or imported as JSON.
+ */
+
+import { useState, useMemo, useRef } from 'react';
+import { ArrowLeftRight, Download, Upload, Save, Trash2 } from 'lucide-react';
+import { getMallaIndex } from '../utils/mallaIndex';
+import {
+    saveCourseEquivalence,
+    deleteCourseEquivalence,
+    mergeCourseEquivalences,
+    parseCourseEquivalences,
+    downloadCourseEquivalences
+} from '../utils/courseEquivalences';
+
+// Unmatched names listed at once (most frequent first)
+const MAX_UNMATCHED_ROWS = 50;
+
+// Select value for "not in the malla"
+const NOT_IN_MALLA = '__none__';
+
+function describeDestination(equivalence) {
+    if (equivalence.noEnMalla) return 'No está en la malla';
+    const { codigo, nombre } = equivalence.destino;
+    return codigo && nombre ? `${nombre} (${codigo})` : nombre || codigo;
+}
+
+// onChange receives an updater of the table (prev => next), as a state setter does
+export default function EquivalenceEditor({ unmatched = [], equivalences = [], curricula = [], onChange }) {
+    const [choices, setChoices] = useState({});
+    const [importErrors, setImportErrors] = useState([]);
+    const fileInputRef = useRef(null);
+
+    // Courses of every loaded plan, grouped by plan; select values are "plan:course" indexes
+    const mallaGroups = useMemo(
+        () => curricula.map(entry => ({
+            plan: entry.plan,
+            // One entry per elective group: attempts are spread over its slots afterwards
+            courses: getMallaIndex(entry.data).allCourses.filter(course => !course.slot || course.slot.indice === 1)
+        })),
+        [curricula]
+    );
+
+    const handleSave = (origen) => {
+        const choice = choices[origen];
+        if (choice === undefined || choice === '') return;
+        const [groupIdx, courseIdx] = choice.split(':').map(Number);
+        const course = mallaGroups[groupIdx]?.courses[courseIdx];
+        const equivalence = choice === NOT_IN_MALLA
+            ? { origen, noEnMalla: true }
+            : { origen, destino: { codigo: course.codigo, nombre: course.nombre } };
+        onChange(prev => saveCourseEquivalence(prev, equivalence));
+        setChoices(prev => {
+            const next = { ...prev };
+            delete next[origen];
+            return next;
+        });
+    };
+
+    const handleImport = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            const { equivalences: imported, errors } = parseCourseEquivalences(JSON.parse(await file.text()));
+            setImportErrors(errors);
+            if (imported.length > 0) onChange(prev => mergeCourseEquivalences(prev, imported));
+        } catch (error) {
+            setImportErrors([`${file.name}: ${error.message}`]);
+        }
+    };
+
+    return (
+        <div className="equivalence-editor">
+            <h3 className="subsection-title">
+                <ArrowLeftRight size={20} />
+                Equivalencias de asignaturas
+            </h3>
+            <p className="hint-text">
+                Asocia a mano las asignaturas que no se encontraron en la malla, o márcalas como ajenas a ella.
+                Las equivalencias se guardan en este navegador y se aplican antes de la asociación automática.
+            </p>
+
+            <div className="mapping-buttons">
+                <button className="btn btn-ghost" onClick={() => downloadCourseEquivalences(equivalences)} disabled={equivalences.length === 0}>
+                    <Download size={16} />
+                    Exportar JSON
+                </button>
+                <button className="btn btn-ghost" onClick={() => fileInputRef.current?.click()}>
+                    <Upload size={16} />
+                    Importar JSON
+                </button>
+                <input ref={fileInputRef} type="file" accept=".json" onChange={handleImport} style={{ display: 'none' }} />
+            </div>
+
+            {importErrors.length > 0 && (
+                <ul className="equivalence-errors">
+                    {importErrors.map((error, idx) => <li key={idx}>{error}</li>)}
+                </ul>
+            )}
+
+            {unmatched.length > 0 ? (
+                <div className="table-container">
+                    <table className="mapping-table">
+                        <thead>
+                            <tr>
+                                <th>Asignatura en notas</th>
+                                <th>Registros</th>
+                                <th>Sugerencia</th>
+                                <th>Curso de la malla</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {unmatched.slice(0, MAX_UNMATCHED_ROWS).map(({ origen, count, ambigua, candidatos }) => (
+                                <tr key={origen}>
+                                    <td>{origen}</td>
+                                    <td>{count}</td>
+                                    <td className="mapping-sample">
+                                        {candidatos.length > 0
+                                            ? `${candidatos[0].nombre} (${Math.round(candidatos[0].confianza * 100)}%${ambigua ? ', ambigua' : ''})`
+                                            : '—'}
+                                    </td>
+                                    <td>
+                                        <select
+                                            value={choices[origen] ?? ''}
+                                            onChange={(e) => setChoices(prev => ({ ...prev, [origen]: e.target.value }))}
+                                        >
+                                            <option value="">Selecciona…</option>
+                                            <option value={NOT_IN_MALLA}>No está en la malla</option>
+                                            {mallaGroups.map((group, groupIdx) => (
+                                                <optgroup key={group.plan} label={`Plan ${group.plan}`}>
+                                                    {group.courses.map((course, idx) => (
+                                                        <option key={idx} value={`${groupIdx}:${idx}`}>
+                                                            S{course.semestre} · {course.nombre}{course.codigo ? ` (${course.codigo})` : ''}
+                                                        </option>
+                                                    ))}
+                                                </optgroup>
+                                            ))}
+                                        </select>
+                                    </td>
+                                    <td>
+                                        <button
+                                            className="btn btn-ghost"
+                                            onClick={() => handleSave(origen)}
+                                            disabled={!choices[origen]}
+                                            title="Guardar equivalencia"
+                                        >
+                                            <Save size={14} />
+                                        </button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            ) : (
+                <p className="hint-text">Todas las asignaturas de las notas están asociadas a la malla o tienen una equivalencia.</p>
+            )}
+            {unmatched.length > MAX_UNMATCHED_ROWS && (
+                <p className="hint-text">Mostrando {MAX_UNMATCHED_ROWS} de {unmatched.length} asignaturas sin asociar.</p>
+            )}
+
+            {equivalences.length > 0 && (
+                <>
+                    <h4 className="mapping-preview-title">Equivalencias guardadas ({equivalences.length})</h4>
+                    <div className="table-container">
+                        <table className="mapping-table">
+                            <thead>
+                                <tr>
+                                    <th>Origen</th>
+                                    <th>Destino</th>
+                                    <th></th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {equivalences.map(equivalence => (
+                                    <tr key={equivalence.id}>
+                                        <td>{equivalence.origen}</td>
+                                        <td>{describeDestination(equivalence)}</td>
+                                        <td>
+                                            <button
+                                                className="btn btn-ghost"
+                                                onClick={() => onChange(prev => deleteCourseEquivalence(prev, equivalence.id))}
+                                                title="Eliminar equivalencia"
+                                            >
+                                                <Trash2 size={14} />
+                                            </button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
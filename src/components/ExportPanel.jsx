@@ -7,23 +7,27 @@
 import { useState } from 'react';
 import { Copy, FileText, Check } from 'lucide-react';
 import { jsPDF } from 'jspdf';
+import { describeWeightProfile } from '../utils/weightProfiles';
+import { getLevelForScore, hexToRgb } from '../utils/levels';
+import { formatRut } from '../utils/rut';
 
 export default function ExportPanel({ indicatorResult, studentRut, demographicData }) {
     const [copied, setCopied] = useState(false);
     const [generating, setGenerating] = useState(false);
 
-    const { components, totalScore, level, stats } = indicatorResult;
+    const { components, totalScore, level, levelInfo, levelScheme, stats, weightProfile } = indicatorResult;
 
     const generateTextReport = () => {
         let report = `INDICADOR DE EGRESO - REPORTE\n`;
         report += `${'='.repeat(40)}\n\n`;
-        report += `Estudiante RUT: ${studentRut}\n`;
+        report += `Estudiante RUT: ${formatRut(studentRut)}\n`;
         report += `Fecha de generación: ${new Date().toLocaleDateString('es-CL')}\n\n`;
 
         report += `RESULTADO GENERAL\n`;
         report += `${'-'.repeat(20)}\n`;
         report += `Indicador Final: ${totalScore.toFixed(1)}%\n`;
         report += `Nivel: ${level}\n`;
+        report += `Perfil de ponderación: ${describeWeightProfile(weightProfile)}\n`;
         report += `Cursos totales: ${stats.totalCourses}\n`;
         report += `Cursos aprobados: ${stats.approvedCourses}\n`;
         report += `Promedio: ${stats.averageGrade}\n\n`;
@@ -82,12 +86,8 @@ export default function ExportPanel({ indicatorResult, studentRut, demographicDa
             const textColor = [51, 51, 51];
             const mutedColor = [128, 128, 128];
 
-            // Level colors
-            const levelColors = {
-                'Alto': [16, 185, 129],
-                'Medio': [245, 158, 11],
-                'Bajo': [239, 68, 68]
-            };
+            // Level color (from the level taxonomy)
+            const levelColor = hexToRgb(levelInfo.color);
 
             // Header
             doc.setFillColor(...primaryColor);
@@ -123,7 +123,7 @@ export default function ExportPanel({ indicatorResult, studentRut, demographicDa
 
             doc.setFont('helvetica', 'normal');
             doc.setFontSize(14);
-            doc.text(`RUT: ${studentRut}`, margin + 5, y + 11);
+            doc.text(`RUT: ${formatRut(studentRut)}`, margin + 5, y + 11);
 
             y += 30;
 
@@ -142,7 +142,7 @@ export default function ExportPanel({ indicatorResult, studentRut, demographicDa
 
             // Score Circle (simulated with text)
             const scoreX = margin + 25;
-            doc.setFillColor(...(levelColors[level] || accentColor));
+            doc.setFillColor(...levelColor);
             doc.circle(scoreX, y + 10, 18, 'F');
 
             doc.setTextColor(255, 255, 255);
@@ -160,19 +160,16 @@ export default function ExportPanel({ indicatorResult, studentRut, demographicDa
             doc.setFont('helvetica', 'normal');
             doc.setFontSize(10);
             doc.setTextColor(...mutedColor);
-
-            const levelDescriptions = {
-                'Alto': 'Excelente desempeño académico',
-                'Medio': 'Desempeño satisfactorio con oportunidades de mejora',
-                'Bajo': 'Requiere atención prioritaria'
-            };
-            doc.text(levelDescriptions[level] || '', levelX, y + 12);
+            doc.text(levelInfo.descripcion || '', levelX, y + 12);
 
             // Stats
             doc.setTextColor(...textColor);
             doc.setFontSize(9);
             doc.text(`Cursos: ${stats.totalCourses} | Aprobados: ${stats.approvedCourses} | Promedio: ${stats.averageGrade}`, levelX, y + 20);
 
+            doc.setTextColor(...mutedColor);
+            doc.text(`Perfil de ponderación: ${describeWeightProfile(weightProfile)}`, levelX, y + 26);
+
             y += 40;
 
             // Components Table
@@ -221,13 +218,7 @@ export default function ExportPanel({ indicatorResult, studentRut, demographicDa
 
                 // Color-coded value
                 const valuePercent = comp.value * 100;
-                if (valuePercent >= 80) {
-                    doc.setTextColor(16, 185, 129);
-                } else if (valuePercent >= 60) {
-                    doc.setTextColor(245, 158, 11);
-                } else {
-                    doc.setTextColor(239, 68, 68);
-                }
+                doc.setTextColor(...hexToRgb(getLevelForScore(valuePercent, levelScheme).color));
                 doc.text(`${valuePercent.toFixed(1)}%`, margin + 85, y);
 
                 doc.setTextColor(...mutedColor);
@@ -248,7 +239,7 @@ export default function ExportPanel({ indicatorResult, studentRut, demographicDa
             doc.setFont('helvetica', 'bold');
             doc.setTextColor(...textColor);
             doc.text('TOTAL', margin + 2, y);
-            doc.setTextColor(...(levelColors[level] || accentColor));
+            doc.setTextColor(...levelColor);
             doc.text(`${totalScore.toFixed(1)}%`, margin + 135, y);
 
             y += 15;
@@ -1,12 +1,45 @@
 import { useState, useRef } from 'react';
-import { Upload, FileText, X, CheckCircle, AlertCircle } from 'lucide-react';
-import { parseFile } from '../utils/parsers';
+import { Upload, FileText, X, CheckCircle, AlertCircle, Loader2, Info } from 'lucide-react';
+import ColumnMappingWizard from './ColumnMappingWizard';
+import ValidationReport from './ValidationReport';
+import MergeSummary from './MergeSummary';
+import SheetPicker from './SheetPicker';
+import { runInWorker } from '../utils/workerClient';
+import { isCancelledError } from '../utils/indicatorJobs';
 import { normalizeCourseName } from '../utils/mallaIndex';
+import { looksLikeWeightProfiles, parseWeightProfiles } from '../utils/weightProfiles';
+import { looksLikeLevelScheme, parseLevelScheme } from '../utils/levels';
+import { looksLikeConsolidationRules, parseConsolidationRules } from '../utils/gradeConsolidation';
+import { looksLikeGradeScales, parseGradeScales, getAvailableGradeScales } from '../utils/gradeScales';
+import { looksLikeCourseEquivalences, parseCourseEquivalences } from '../utils/courseEquivalences';
+import { looksLikePlanHomologations, parsePlanHomologations } from '../utils/planHomologations';
+import { recognizeColumns } from '../utils/gradeColumns';
+import { compareGradeRecords, mergeGradeRecords } from '../utils/gradeMerge';
+import {
+    loadImportProfiles,
+    saveImportProfile,
+    deleteImportProfile,
+    findImportProfile,
+    applyImportProfile,
+    getHeaderSignature
+} from '../utils/importProfiles';
 
-export default function FileUpload({ onDataLoaded, loadedFiles }) {
+// Wording of the row counter for each job stage
+const PROGRESS_VERBS = { normalize: 'procesadas', validate: 'revisadas' };
+
+export default function FileUpload({ onDataLoaded, loadedFiles, gradesData = [], consolidationRules = [], gradeScales = [] }) {
     const [dragActive, setDragActive] = useState(false);
     const [errors, setErrors] = useState([]);
+    const [notices, setNotices] = useState([]);
+    const [progress, setProgress] = useState(null);
+    const [pendingImport, setPendingImport] = useState(null);
+    const [pendingValidation, setPendingValidation] = useState(null);
+    const [pendingMerge, setPendingMerge] = useState(null);
+    const [pendingSheets, setPendingSheets] = useState(null);
+    const [importProfiles, setImportProfiles] = useState(() => loadImportProfiles());
     const fileInputRef = useRef(null);
+    const currentJobRef = useRef(null);
+    const cancelRequestedRef = useRef(false);
 
     const handleDrag = (e) => {
         e.preventDefault();
@@ -18,13 +51,171 @@ export default function FileUpload({ onDataLoaded, loadedFiles }) {
         }
     };
 
+    // Run a worker job for a file, keeping it cancellable and its progress visible
+    const runFileJob = (fileName, job, payload) => {
+        setProgress({ file: fileName, stage: job, done: 0, total: 0 });
+        const handle = runInWorker(job, payload, {
+            onProgress: (p) => setProgress({ file: fileName, ...p })
+        });
+        currentJobRef.current = handle;
+        return handle.promise;
+    };
+
+    // Sheets to import from a workbook with several grade sheets; null when the user skips the file
+    const resolveSheets = async (fileName, workbook) => {
+        setProgress(null);
+        const sheets = await new Promise(resolve => {
+            setPendingSheets({ fileName, sheets: workbook.sheets, ignored: workbook.ignored, resolve });
+        });
+        setPendingSheets(null);
+        return sheets ? sheets.map(sheet => sheet.table) : null;
+    };
+
+    // Column mapping and grade scale for a grades table: same headers as an earlier sheet of the file,
+    // saved profile for the same headers, or the wizard. Resolves to { mapping, escala },
+    // or null when the user skips the file.
+    const resolveColumnMapping = async (fileName, table, newNotices, mappingCache) => {
+        const signature = getHeaderSignature(table.headers);
+        if (mappingCache.has(signature)) return mappingCache.get(signature);
+
+        const saved = findImportProfile(loadImportProfiles(), table.headers);
+        if (saved) {
+            newNotices.push({ file: fileName, message: `Perfil de importación "${saved.nombre}" aplicado automáticamente` });
+            const resolved = { mapping: applyImportProfile(saved, table.headers), escala: saved.escala || null };
+            mappingCache.set(signature, resolved);
+            return resolved;
+        }
+
+        setProgress(null);
+        const decision = await new Promise(resolve => {
+            setPendingImport({ fileName, table, initialMapping: recognizeColumns(table.headers).mapping, resolve });
+        });
+        setPendingImport(null);
+        if (!decision) return null;
+
+        if (decision.profileName) {
+            setImportProfiles(saveImportProfile(loadImportProfiles(), {
+                nombre: decision.profileName,
+                headers: table.headers,
+                mapping: decision.mapping,
+                escala: decision.escala
+            }));
+        }
+        const resolved = { mapping: decision.mapping, escala: decision.escala };
+        mappingCache.set(signature, resolved);
+        return resolved;
+    };
+
+    // Row-level checks before consolidation. Resolves to the row indexes to exclude
+    // ([] to import everything) or null when the user skips the file.
+    const resolveFlaggedRows = async (fileName, table, mapping, escala, newNotices) => {
+        const report = await runFileJob(fileName, 'validate', { table, mapping, escala, gradeScales });
+        if (report.flaggedRows.length === 0) return [];
+
+        setProgress(null);
+        const decision = await new Promise(resolve => {
+            setPendingValidation({ fileName, report, mapping, resolve });
+        });
+        setPendingValidation(null);
+        if (!decision) return null;
+
+        if (decision === 'exclude') {
+            newNotices.push({ file: fileName, message: `${report.flaggedRows.length} de ${report.checked} filas observadas excluidas de la importación` });
+            return report.flaggedRows.map(row => row.index);
+        }
+        newNotices.push({ file: fileName, message: `${report.flaggedRows.length} filas observadas importadas sin cambios` });
+        return [];
+    };
+
+    // Merge vs replace when grades are already loaded. Resolves to the mode,
+    // or null when the user skips the file.
+    const resolveMergeMode = async (fileName, loadedGrades, records, newNotices) => {
+        if (loadedGrades.length === 0) return 'merge';
+
+        const summary = compareGradeRecords(loadedGrades, records);
+        setProgress(null);
+        const mode = await new Promise(resolve => {
+            setPendingMerge({ fileName, summary, resolve });
+        });
+        setPendingMerge(null);
+
+        if (mode === 'merge') {
+            newNotices.push({ file: fileName, message: `Combinado: ${summary.added} intentos nuevos, ${summary.duplicates} duplicados descartados, ${summary.conflicts} notas actualizadas` });
+        } else if (mode === 'replace') {
+            newNotices.push({ file: fileName, message: `Reemplazó las ${summary.sameSource} notas cargadas desde este archivo por ${summary.incoming} intentos` });
+        }
+        return mode;
+    };
+
+    // Mapping, row checks and consolidation of one grades table (a file or one of its sheets).
+    // Resolves to the records, or null when the user skips it.
+    const importGradeTable = async (label, table, newNotices, newErrors, mappingCache) => {
+        const skipped = table.source?.hoja ? 'Hoja omitida' : 'Archivo omitido';
+
+        const resolved = await resolveColumnMapping(label, table, newNotices, mappingCache);
+        if (!resolved) {
+            if (!cancelRequestedRef.current) newErrors.push({ file: label, error: `${skipped}: no se confirmó la asignación de columnas` });
+            return null;
+        }
+        const { mapping, escala } = resolved;
+        const excludeRows = await resolveFlaggedRows(label, table, mapping, escala, newNotices);
+        if (!excludeRows) {
+            if (!cancelRequestedRef.current) newErrors.push({ file: label, error: `${skipped} tras revisar las filas observadas` });
+            return null;
+        }
+        return runFileJob(label, 'buildGrades', { table, mapping, excludeRows, consolidationRules, escala, gradeScales });
+    };
+
     const processFiles = async (files) => {
         setErrors([]);
+        setNotices([]);
         const newErrors = [];
+        const newNotices = [];
+        cancelRequestedRef.current = false;
+        // Grades as they will be after this batch (App merges them the same way)
+        let loadedGrades = gradesData;
 
         for (const file of files) {
+            if (cancelRequestedRef.current) break;
+
             try {
-                const data = await parseFile(file);
+                // Reading runs in the worker; progress reports rows read so far
+                const table = await runFileJob(file.name, 'readTable', { file });
+
+                if (table.kind === 'table' || table.kind === 'sheets') {
+                    const tables = table.kind === 'sheets' ? await resolveSheets(file.name, table) : [table];
+                    if (!tables) {
+                        newErrors.push({ file: file.name, error: cancelRequestedRef.current ? 'Carga cancelada por el usuario' : 'Archivo omitido: no se eligieron hojas' });
+                        continue;
+                    }
+
+                    // Sheets of one workbook are imported, and merged, as one file
+                    const mappingCache = new Map();
+                    let records = null;
+                    for (const sheetTable of tables) {
+                        if (cancelRequestedRef.current) break;
+                        const label = table.kind === 'sheets' ? `${file.name} › ${sheetTable.source.hoja}` : file.name;
+                        const sheetRecords = await importGradeTable(label, sheetTable, newNotices, newErrors, mappingCache);
+                        if (sheetRecords) records = mergeGradeRecords(records || [], sheetRecords);
+                    }
+                    // A cancel on a later sheet drops the sheets read before it: nothing of the file is loaded
+                    if (cancelRequestedRef.current) {
+                        newErrors.push({ file: file.name, error: 'Carga cancelada por el usuario' });
+                        break;
+                    }
+                    if (!records) continue;
+
+                    const mode = await resolveMergeMode(file.name, loadedGrades, records, newNotices);
+                    if (!mode) {
+                        newErrors.push({ file: file.name, error: cancelRequestedRef.current ? 'Carga cancelada por el usuario' : 'Archivo omitido: no se combinó con las notas cargadas' });
+                        continue;
+                    }
+                    loadedGrades = mergeGradeRecords(loadedGrades, records, mode);
+                    onDataLoaded('grades', records, file.name, { mode });
+                    continue;
+                }
+
+                const data = table.data;
                 const fileType = detectFileType(file.name, data);
 
                 // Hard validation for curriculum
@@ -39,15 +230,108 @@ export default function FileUpload({ onDataLoaded, loadedFiles }) {
                     }
                 }
 
+                // Weighting profiles: only valid profiles are loaded
+                if (fileType === 'weights') {
+                    const { profiles, errors: profileErrors } = parseWeightProfiles(data);
+                    profileErrors.forEach(error => newErrors.push({ file: file.name, error }));
+                    if (profiles.length > 0) onDataLoaded(fileType, profiles, file.name);
+                    continue;
+                }
+
+                // Consolidation rules: only valid rules are loaded
+                if (fileType === 'consolidation') {
+                    const { rules, errors: ruleErrors } = parseConsolidationRules(data);
+                    ruleErrors.forEach(error => newErrors.push({ file: file.name, error }));
+                    if (rules.length > 0) onDataLoaded(fileType, rules, file.name);
+                    continue;
+                }
+
+                // Grade scales: only valid scales are loaded
+                if (fileType === 'scales') {
+                    const { scales, errors: scaleErrors } = parseGradeScales(data);
+                    scaleErrors.forEach(error => newErrors.push({ file: file.name, error }));
+                    if (scales.length > 0) onDataLoaded(fileType, scales, file.name);
+                    continue;
+                }
+
+                // Course equivalences: only valid entries are added to the saved table
+                if (fileType === 'equivalences') {
+                    const { equivalences, errors: equivalenceErrors } = parseCourseEquivalences(data);
+                    equivalenceErrors.forEach(error => newErrors.push({ file: file.name, error }));
+                    if (equivalences.length > 0) onDataLoaded(fileType, equivalences, file.name);
+                    continue;
+                }
+
+                // Plan homologations: only valid entries are loaded
+                if (fileType === 'homologations') {
+                    const { homologations, errors: homologationErrors } = parsePlanHomologations(data);
+                    homologationErrors.forEach(error => newErrors.push({ file: file.name, error }));
+                    if (homologations.length > 0) onDataLoaded(fileType, homologations, file.name);
+                    continue;
+                }
+
+                // Level taxonomy: rejected as a whole when any level is invalid
+                if (fileType === 'levels') {
+                    const { scheme, errors: levelErrors } = parseLevelScheme(data);
+                    levelErrors.forEach(error => newErrors.push({ file: file.name, error }));
+                    if (scheme) onDataLoaded(fileType, scheme, file.name);
+                    continue;
+                }
+
                 onDataLoaded(fileType, data, file.name);
             } catch (error) {
+                if (isCancelledError(error)) {
+                    newErrors.push({ file: file.name, error: 'Carga cancelada por el usuario' });
+                    break;
+                }
                 newErrors.push({ file: file.name, error: error.message });
             }
         }
 
+        currentJobRef.current = null;
+        setProgress(null);
+
         if (newErrors.length > 0) {
             setErrors(newErrors);
         }
+        setNotices(newNotices);
+    };
+
+    const handleCancel = () => {
+        cancelRequestedRef.current = true;
+        currentJobRef.current?.cancel();
+        pendingImport?.resolve(null);
+        pendingValidation?.resolve(null);
+        pendingMerge?.resolve(null);
+        pendingSheets?.resolve(null);
+    };
+
+    const handleMappingConfirm = (decision) => {
+        pendingImport?.resolve(decision);
+    };
+
+    const handleMappingSkip = () => {
+        pendingImport?.resolve(null);
+    };
+
+    const handleValidationDecision = (decision) => {
+        pendingValidation?.resolve(decision);
+    };
+
+    const handleMergeDecision = (mode) => {
+        pendingMerge?.resolve(mode);
+    };
+
+    const handleSheetsConfirm = (sheets) => {
+        pendingSheets?.resolve(sheets);
+    };
+
+    const handleSheetsSkip = () => {
+        pendingSheets?.resolve(null);
+    };
+
+    const handleDeleteProfile = (id) => {
+        setImportProfiles(deleteImportProfile(loadImportProfiles(), id));
     };
 
     const validateCurriculumStructure = (data) => {
@@ -72,6 +356,30 @@ export default function FileUpload({ onDataLoaded, loadedFiles }) {
         const lowerName = filename.toLowerCase();
 
         // Check data structure first (more reliable than filename)
+        if (looksLikeWeightProfiles(data)) {
+            return 'weights';
+        }
+
+        if (looksLikeLevelScheme(data)) {
+            return 'levels';
+        }
+
+        if (looksLikeConsolidationRules(data)) {
+            return 'consolidation';
+        }
+
+        if (looksLikeGradeScales(data)) {
+            return 'scales';
+        }
+
+        if (looksLikeCourseEquivalences(data)) {
+            return 'equivalences';
+        }
+
+        if (looksLikePlanHomologations(data)) {
+            return 'homologations';
+        }
+
         if (Array.isArray(data) && data.length > 0) {
             const sample = data[0];
             const keys = Object.keys(sample).map(k => normalizeCourseName(k, true));
@@ -162,6 +470,79 @@ export default function FileUpload({ onDataLoaded, loadedFiles }) {
                 </div>
             </div>
 
+            {progress && (
+                <div className="upload-progress">
+                    <Loader2 size={16} className="spin-icon" />
+                    <span className="upload-progress-text">
+                        <strong>{progress.file}:</strong>{' '}
+                        {progress.total > 0
+                            ? `${progress.done.toLocaleString('es-CL')} de ${progress.total.toLocaleString('es-CL')} filas ${PROGRESS_VERBS[progress.stage] || 'leídas'}`
+                            : progress.stage === 'buildGrades' ? 'procesando filas…'
+                                : progress.stage === 'validate' ? 'revisando filas…' : 'leyendo archivo…'}
+                    </span>
+                    <progress value={progress.done} max={progress.total || 1} />
+                    <button className="btn btn-ghost" onClick={handleCancel}>
+                        <X size={16} />
+                        Cancelar
+                    </button>
+                </div>
+            )}
+
+            {pendingSheets && (
+                <SheetPicker
+                    key={pendingSheets.fileName}
+                    fileName={pendingSheets.fileName}
+                    sheets={pendingSheets.sheets}
+                    ignored={pendingSheets.ignored}
+                    onConfirm={handleSheetsConfirm}
+                    onCancel={handleSheetsSkip}
+                />
+            )}
+
+            {pendingImport && (
+                <ColumnMappingWizard
+                    key={pendingImport.fileName}
+                    fileName={pendingImport.fileName}
+                    table={pendingImport.table}
+                    initialMapping={pendingImport.initialMapping}
+                    profiles={importProfiles}
+                    scales={getAvailableGradeScales(gradeScales)}
+                    onConfirm={handleMappingConfirm}
+                    onCancel={handleMappingSkip}
+                    onDeleteProfile={handleDeleteProfile}
+                />
+            )}
+
+            {pendingValidation && (
+                <ValidationReport
+                    key={pendingValidation.fileName}
+                    fileName={pendingValidation.fileName}
+                    report={pendingValidation.report}
+                    mapping={pendingValidation.mapping}
+                    onDecision={handleValidationDecision}
+                />
+            )}
+
+            {pendingMerge && (
+                <MergeSummary
+                    key={pendingMerge.fileName}
+                    fileName={pendingMerge.fileName}
+                    summary={pendingMerge.summary}
+                    onDecision={handleMergeDecision}
+                />
+            )}
+
+            {notices.length > 0 && (
+                <div className="upload-notices">
+                    {notices.map((notice, idx) => (
+                        <div key={idx} className="notice-item">
+                            <Info size={16} />
+                            <span><strong>{notice.file}:</strong> {notice.message}</span>
+                        </div>
+                    ))}
+                </div>
+            )}
+
             {errors.length > 0 && (
                 <div className="upload-errors">
                     {errors.map((err, idx) => (
@@ -197,7 +578,13 @@ export default function FileUpload({ onDataLoaded, loadedFiles }) {
                 <ul>
                     <li><strong>Notas académicas:</strong> Excel/CSV con columnas RUT, Asignatura, Nota, Semestre, etc.</li>
                     <li><strong>Criticidad:</strong> JSON con niveles de criticidad por asignatura</li>
-                    <li><strong>Estructura curricular:</strong> JSON con definición de malla y semestres</li>
+                    <li><strong>Estructura curricular:</strong> JSON con definición de malla y semestres; una asignatura repetida en otro semestre o con "electivo": true es un cupo electivo, y "opciones" lista las asignaturas que pueden llenarlo; "prerrequisitos" y "correquisitos" (nombres o códigos) definen los requisitos de cada asignatura</li>
+                    <li><strong>Perfiles de ponderación:</strong> JSON con "perfiles" (id, nombre, versión y pesos que suman 1)</li>
+                    <li><strong>Niveles del indicador:</strong> JSON con "niveles" (umbral mínimo, etiqueta, color, tono y descripción)</li>
+                    <li><strong>Reglas de consolidación:</strong> JSON con "reglas" por malla (peso y nota mínima de examen, descarte de la nota más baja, nota NSP y redondeo)</li>
+                    <li><strong>Escalas de notas:</strong> JSON con "escalas" (id, nombre, mínimo, máximo, nota de aprobación, tabla de conversión opcional y mallas que la usan); las notas se convierten a 1,0–7,0</li>
+                    <li><strong>Equivalencias de asignaturas:</strong> JSON con "equivalencias" (origen y curso de destino en la malla, o "noEnMalla")</li>
+                    <li><strong>Homologaciones entre planes:</strong> JSON con "homologaciones" (planOrigen, planDestino, una o varias asignaturas de origen y la de destino)</li>
                 </ul>
             </div>
         </div>
@@ -209,6 +596,12 @@ function getTypeLabel(type) {
         grades: 'Notas',
         criticality: 'Criticidad',
         curriculum: 'Malla',
+        weights: 'Ponderación',
+        levels: 'Niveles',
+        consolidation: 'Consolidación',
+        scales: 'Escalas',
+        equivalences: 'Equivalencias',
+        homologations: 'Homologaciones',
         unknown: 'Desconocido'
     };
     return labels[type] || type;
@@ -0,0 +1,94 @@
+/**
+ * MergeSummary Component
+ * Import step for a grades file when grades are already loaded: how many attempts
+ * are new, repeated or carry a different grade, and whether to merge or replace.
+ */
+
+import { GitMerge, Replace, X } from 'lucide-react';
+import { formatRut } from '../utils/rut';
+
+// Conflicting attempts listed in the summary
+const MAX_CONFLICT_ROWS = 10;
+
+export default function MergeSummary({ fileName, summary, onDecision }) {
+    return (
+        <div className="merge-summary">
+            <h3 className="subsection-title">
+                <GitMerge size={20} />
+                Combinar con las notas cargadas: {fileName}
+            </h3>
+            <p className="hint-text">
+                Ya hay {summary.existing} intentos de asignatura cargados. Un intento se identifica por RUT, asignatura, período y oportunidad.
+            </p>
+
+            <div className="merge-stats">
+                <div className="merge-stat">
+                    <span className="merge-stat-value">{summary.added}</span>
+                    <span className="merge-stat-label">Nuevos</span>
+                </div>
+                <div className="merge-stat">
+                    <span className="merge-stat-value">{summary.duplicates}</span>
+                    <span className="merge-stat-label">Duplicados</span>
+                </div>
+                <div className={`merge-stat ${summary.conflicts > 0 ? 'conflict' : ''}`}>
+                    <span className="merge-stat-value">{summary.conflicts}</span>
+                    <span className="merge-stat-label">Con nota distinta</span>
+                </div>
+            </div>
+
+            {summary.conflictSamples.length > 0 && (
+                <div className="table-container">
+                    <table className="mapping-table">
+                        <thead>
+                            <tr>
+                                <th>RUT</th>
+                                <th>Asignatura</th>
+                                <th>Período</th>
+                                <th>Oportunidad</th>
+                                <th>Nota cargada</th>
+                                <th>Nota nueva</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {summary.conflictSamples.slice(0, MAX_CONFLICT_ROWS).map(({ key, record, previousNota }) => (
+                                <tr key={key}>
+                                    <td>{formatRut(record.rut)}</td>
+                                    <td>{record.codigoAsignatura || record.nombreAsignatura}</td>
+                                    <td>{record.anio}-{record.semestre}</td>
+                                    <td>{record.oportunidad || 1}</td>
+                                    <td>{previousNota}</td>
+                                    <td>{record.nota}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+            {summary.conflicts > MAX_CONFLICT_ROWS && (
+                <p className="hint-text">Mostrando {MAX_CONFLICT_ROWS} de {summary.conflicts} conflictos.</p>
+            )}
+
+            <p className="hint-text">
+                <strong>Combinar</strong> agrega los intentos nuevos, descarta los duplicados y usa la nota de este archivo en los conflictos.{' '}
+                <strong>Reemplazar</strong> descarta las {summary.sameSource} notas cargadas antes desde este mismo archivo y conserva las de otros archivos.
+            </p>
+
+            <div className="mapping-actions">
+                <div className="mapping-buttons">
+                    <button className="btn btn-ghost" onClick={() => onDecision(null)}>
+                        <X size={16} />
+                        Omitir archivo
+                    </button>
+                    <button className="btn btn-secondary" onClick={() => onDecision('replace')}>
+                        <Replace size={16} />
+                        Reemplazar
+                    </button>
+                    <button className="btn btn-primary" onClick={() => onDecision('merge')}>
+                        <GitMerge size={16} />
+                        Combinar
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,97 @@
+/**
+ * PrerequisitePanel Component
+ * Requisite view of the student's record: critical path to graduation, courses
+ * still blocked by a prerequisite and attempts taken without their requisites.
+ */
+
+import { GitBranch, Lock, AlertTriangle } from 'lucide-react';
+import { getMallaIndex } from '../utils/mallaIndex';
+import { analyzePrerequisites, hasRequisites } from '../utils/prerequisites';
+
+export default function PrerequisitePanel({ records, curriculumData }) {
+    const mallaIndex = curriculumData ? getMallaIndex(curriculumData) : null;
+
+    if (!mallaIndex || !hasRequisites(mallaIndex)) {
+        return (
+            <div className="prerequisite-section">
+                <h3 className="subsection-title">
+                    <GitBranch size={20} />
+                    Prerrequisitos
+                </h3>
+                <p className="hint-text">
+                    La malla aplicada no declara prerrequisitos; agrega "prerrequisitos" o "correquisitos"
+                    a sus asignaturas para ver la ruta crítica y los ramos bloqueados.
+                </p>
+            </div>
+        );
+    }
+
+    const { violaciones, bloqueados, rutaCritica, pendientes } = analyzePrerequisites(records, mallaIndex);
+    const unresolved = mallaIndex.requisiteGraph.unresolved;
+
+    return (
+        <div className="prerequisite-section">
+            <h3 className="subsection-title">
+                <GitBranch size={20} />
+                Prerrequisitos
+            </h3>
+
+            <div className="prerequisite-summary">
+                <div>
+                    <span className="prerequisite-value">{rutaCritica.semestres}</span>
+                    <span className="prerequisite-label"> {rutaCritica.semestres === 1 ? 'semestre' : 'semestres'} de ruta crítica</span>
+                </div>
+                <div>
+                    <span className="prerequisite-value">{pendientes}</span>
+                    <span className="prerequisite-label"> asignaturas pendientes</span>
+                </div>
+                <div>
+                    <span className="prerequisite-value">{bloqueados.length}</span>
+                    <span className="prerequisite-label"> bloqueadas</span>
+                </div>
+            </div>
+            {rutaCritica.cursos.length > 1 && (
+                <p className="hint-text">Ruta crítica: {rutaCritica.cursos.join(' → ')}</p>
+            )}
+
+            {bloqueados.length > 0 && (
+                <>
+                    <h4 className="mapping-preview-title">
+                        <Lock size={14} /> Asignaturas bloqueadas
+                    </h4>
+                    <ul className="prerequisite-list">
+                        {bloqueados.map(({ curso, semestre, faltantes }) => (
+                            <li key={curso}>
+                                <strong>{curso}</strong> (S{semestre || '?'}) — falta aprobar {faltantes.join(', ')}
+                            </li>
+                        ))}
+                    </ul>
+                </>
+            )}
+
+            {violaciones.length > 0 && (
+                <div className="match-ambiguous">
+                    <div className="match-ambiguous-header">
+                        <AlertTriangle size={16} />
+                        <strong>
+                            {violaciones.length} {violaciones.length === 1 ? 'intento cursado' : 'intentos cursados'} sin sus requisitos
+                        </strong>
+                    </div>
+                    <ul>
+                        {violaciones.map((v, idx) => (
+                            <li key={idx}>
+                                <strong>{v.curso}</strong> ({v.periodo}) — {v.tipo} sin aprobar: {v.faltantes.join(', ')}
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+
+            {unresolved.length > 0 && (
+                <p className="hint-text">
+                    Requisitos que no se encontraron en la malla: {unresolved.map(u => `${u.referencia} (${u.curso})`).join(', ')}
+                </p>
+            )}
+        </div>
+    );
+}
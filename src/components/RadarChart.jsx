@@ -4,6 +4,8 @@
  * Pure SVG implementation - no external dependencies
  */
 
+import { COMPONENT_SHORT_LABELS } from '../utils/weightProfiles';
+
 export default function RadarChart({ components }) {
     const size = 300;
     const center = size / 2;
@@ -12,15 +14,7 @@ export default function RadarChart({ components }) {
 
     // Component keys and their short labels for the chart
     const componentKeys = Object.keys(components);
-    const shortLabels = {
-        approvalRate: 'Aprobación',
-        performance: 'Rendimiento',
-        permanence: 'Permanencia',
-        repetition: 'Repetición',
-        criticality: 'Criticidad',
-        relevance: 'Semestre',
-        demographic: 'Demográfico'
-    };
+    const shortLabels = COMPONENT_SHORT_LABELS;
 
     const numPoints = componentKeys.length;
     const angleStep = (2 * Math.PI) / numPoints;
@@ -1,16 +1,16 @@
-export default function ScoreCard({ component, showDetails = true }) {
+import { DEFAULT_LEVEL_SCHEME, getLevelForScore } from '../utils/levels';
+
+export default function ScoreCard({ component, levelScheme = DEFAULT_LEVEL_SCHEME, showDetails = true }) {
     const { label, value, weight, weightedValue, description } = component;
     const percentage = (value * 100).toFixed(1);
     const weightedPercentage = (weightedValue * 100).toFixed(1);
     const weightPercentage = (weight * 100).toFixed(0);
 
-    // Determine color based on value
-    let colorClass = 'medium';
-    if (value >= 0.8) colorClass = 'high';
-    else if (value < 0.5) colorClass = 'low';
+    // Color based on the level the component value falls in
+    const levelInfo = getLevelForScore(value * 100, levelScheme);
 
     return (
-        <div className={`score-card ${colorClass}`}>
+        <div className={`score-card ${levelInfo.id}`} style={{ '--level-color': levelInfo.color }}>
             <div className="score-card-header">
                 <h4 className="score-label">{label}</h4>
                 <span className="score-weight">{weightPercentage}%</span>
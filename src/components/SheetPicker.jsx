@@ -0,0 +1,66 @@
+/**
+ * SheetPicker Component
+ * Import step for workbooks with several grade sheets (exports split by year or
+ * semester): choose which sheets to import. Each record keeps its source sheet.
+ */
+
+import { useState } from 'react';
+import { Layers, Check, X } from 'lucide-react';
+
+export default function SheetPicker({ fileName, sheets, ignored = [], onConfirm, onCancel }) {
+    const [selected, setSelected] = useState(() => new Set(sheets.map(sheet => sheet.name)));
+
+    const toggleSheet = (name) => {
+        setSelected(prev => {
+            const next = new Set(prev);
+            if (next.has(name)) next.delete(name);
+            else next.add(name);
+            return next;
+        });
+    };
+
+    return (
+        <div className="mapping-wizard">
+            <h3 className="subsection-title">
+                <Layers size={20} />
+                Hojas con notas: {fileName}
+            </h3>
+            <p className="hint-text">
+                {sheets.length} hojas tienen encabezados de notas. Elige cuáles importar; cada registro queda marcado con su hoja de origen.
+            </p>
+
+            <div className="sheet-list">
+                {sheets.map(({ name, table }) => (
+                    <label key={name} className="radio-label sheet-option">
+                        <input type="checkbox" checked={selected.has(name)} onChange={() => toggleSheet(name)} />
+                        <span>
+                            <strong>{name}</strong>
+                            <span className="sheet-meta">{table.rows.length} filas · {table.headers.length} columnas</span>
+                        </span>
+                    </label>
+                ))}
+            </div>
+
+            {ignored.length > 0 && (
+                <p className="hint-text">Hojas sin encabezado de notas (no se importan): {ignored.join(', ')}</p>
+            )}
+
+            <div className="mapping-actions">
+                <div className="mapping-buttons">
+                    <button className="btn btn-ghost" onClick={onCancel}>
+                        <X size={16} />
+                        Omitir archivo
+                    </button>
+                    <button
+                        className="btn btn-primary"
+                        onClick={() => onConfirm(sheets.filter(sheet => selected.has(sheet.name)))}
+                        disabled={selected.size === 0}
+                    >
+                        <Check size={16} />
+                        Importar {selected.size} {selected.size === 1 ? 'hoja' : 'hojas'}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,306 @@
+/**
+ * SimulationPanel Component
+ * What-if mode: add hypothetical attempts, edit grades or toggle demographic inputs
+ * and compare the re-calculated indicator against the real one.
+ */
+
+import { useState, useMemo } from 'react';
+import { FlaskConical, Plus, Trash2, RotateCcw } from 'lucide-react';
+import { calculateExitIndicatorWithAudit } from '../utils/calculators';
+import { enrichGradesWithTraza } from '../utils/parsers';
+import { buildMallaIndex } from '../utils/mallaIndex';
+import {
+    createEmptyScenario,
+    getNextPeriod,
+    buildHypotheticalAttempt,
+    applyScenario,
+    isScenarioActive,
+    compareIndicatorResults
+} from '../utils/simulation';
+
+function formatDelta(delta, digits = 1) {
+    if (Math.abs(delta) < 0.05) return '—';
+    return `${delta > 0 ? '+' : ''}${delta.toFixed(digits)}`;
+}
+
+function deltaClass(delta) {
+    if (Math.abs(delta) < 0.05) return 'delta-neutral';
+    return delta > 0 ? 'delta-up' : 'delta-down';
+}
+
+export default function SimulationPanel({
+    studentRecords,
+    enrichedRecords,
+    criticalityData,
+    curriculumData,
+    plan,
+    equivalences = [],
+    homologations = [],
+    demographicData,
+    weightProfile,
+    levelScheme,
+    baseResult
+}) {
+    const [scenario, setScenario] = useState(() => createEmptyScenario(demographicData));
+    const [draft, setDraft] = useState(() => ({ courseIdx: '', nota: '4.0', ...getNextPeriod(studentRecords) }));
+
+    const mallaCourses = useMemo(
+        () => (curriculumData ? buildMallaIndex(curriculumData).allCourses : []),
+        [curriculumData]
+    );
+
+    const simResult = useMemo(() => {
+        const simRecords = applyScenario(studentRecords, scenario);
+        const enriched = enrichGradesWithTraza(simRecords, curriculumData, { equivalences, homologations, plan });
+        return calculateExitIndicatorWithAudit(
+            enriched,
+            criticalityData,
+            curriculumData,
+            scenario.demographic,
+            weightProfile,
+            levelScheme
+        );
+    }, [studentRecords, scenario, criticalityData, curriculumData, plan, equivalences, homologations, weightProfile, levelScheme]);
+
+    const comparison = compareIndicatorResults(baseResult, simResult);
+    const active = isScenarioActive(scenario, demographicData);
+
+    const handleAddAttempt = () => {
+        const course = mallaCourses[Number(draft.courseIdx)];
+        const nota = Number(draft.nota);
+        if (!course || !Number.isFinite(nota) || nota < 1 || nota > 7) return;
+
+        const attempt = buildHypotheticalAttempt(course, draft, [
+            ...enrichedRecords,
+            ...scenario.addedAttempts.map(a => ({ ...a, nombreMalla: a.nombreAsignatura }))
+        ]);
+        setScenario(prev => ({ ...prev, addedAttempts: [...prev.addedAttempts, attempt] }));
+    };
+
+    const handleRemoveAttempt = (idx) => {
+        setScenario(prev => ({ ...prev, addedAttempts: prev.addedAttempts.filter((_, i) => i !== idx) }));
+    };
+
+    const handleGradeEdit = (idx, value) => {
+        setScenario(prev => {
+            const gradeEdits = { ...prev.gradeEdits };
+            if (value === '' || Number(value) === Number(studentRecords[idx].nota)) delete gradeEdits[idx];
+            else gradeEdits[idx] = value;
+            return { ...prev, gradeEdits };
+        });
+    };
+
+    const handleDemographicToggle = (field, onValue, offValue) => {
+        setScenario(prev => ({
+            ...prev,
+            demographic: {
+                ...prev.demographic,
+                [field]: prev.demographic[field] === onValue ? offValue : onValue
+            }
+        }));
+    };
+
+    const handleReset = () => {
+        setScenario(createEmptyScenario(demographicData));
+    };
+
+    return (
+        <div className="simulation-panel">
+            <div className="simulation-header">
+                <h3 className="subsection-title">
+                    <FlaskConical size={20} />
+                    Simulación "¿Qué pasaría si...?"
+                </h3>
+                <button className="btn btn-ghost" onClick={handleReset} disabled={!active}>
+                    <RotateCcw size={16} />
+                    Restablecer
+                </button>
+            </div>
+            <p className="hint-text">
+                Los cambios son hipotéticos: no modifican los datos cargados ni el resultado oficial.
+            </p>
+
+            {/* Hypothetical attempts */}
+            <div className="simulation-block">
+                <h4>Agregar intento hipotético</h4>
+                <div className="simulation-form">
+                    <select
+                        value={draft.courseIdx}
+                        onChange={(e) => setDraft({ ...draft, courseIdx: e.target.value })}
+                    >
+                        <option value="">Selecciona asignatura de la malla…</option>
+                        {mallaCourses.map((c, idx) => (
+                            <option key={idx} value={idx}>
+                                S{c.semestre || '?'} · {c.nombre}{c.codigo ? ` (${c.codigo})` : ''}
+                            </option>
+                        ))}
+                    </select>
+                    <input
+                        type="number"
+                        min="1"
+                        max="7"
+                        step="0.1"
+                        value={draft.nota}
+                        onChange={(e) => setDraft({ ...draft, nota: e.target.value })}
+                        title="Nota"
+                    />
+                    <input
+                        type="number"
+                        min="2000"
+                        max="2100"
+                        value={draft.anio}
+                        onChange={(e) => setDraft({ ...draft, anio: e.target.value })}
+                        title="Año"
+                    />
+                    <select
+                        value={draft.semestre}
+                        onChange={(e) => setDraft({ ...draft, semestre: e.target.value })}
+                        title="Semestre"
+                    >
+                        <option value={1}>1er sem.</option>
+                        <option value={2}>2do sem.</option>
+                    </select>
+                    <button className="btn btn-secondary" onClick={handleAddAttempt} disabled={draft.courseIdx === ''}>
+                        <Plus size={16} />
+                        Agregar
+                    </button>
+                </div>
+
+                {scenario.addedAttempts.length > 0 && (
+                    <ul className="simulation-attempts">
+                        {scenario.addedAttempts.map((a, idx) => (
+                            <li key={idx}>
+                                <span>
+                                    {a.nombreAsignatura} — nota <strong>{a.nota.toFixed(1)}</strong> en {a.anio}-{a.semestre}
+                                    {a.oportunidad > 1 && ` (intento ${a.oportunidad})`}
+                                </span>
+                                <button className="btn btn-ghost" onClick={() => handleRemoveAttempt(idx)} title="Quitar">
+                                    <Trash2 size={14} />
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+
+            {/* Demographic toggles */}
+            <div className="simulation-block">
+                <h4>Datos demográficos</h4>
+                <div className="simulation-toggles">
+                    <label className="radio-label">
+                        <input
+                            type="checkbox"
+                            checked={['mujer', 'otro'].includes(scenario.demographic.genero)}
+                            onChange={() => handleDemographicToggle('genero', 'mujer', 'hombre')}
+                        />
+                        <span>Género femenino/otro (G)</span>
+                    </label>
+                    <label className="radio-label">
+                        <input
+                            type="checkbox"
+                            checked={Boolean(scenario.demographic.ciudad) && scenario.demographic.ciudad !== 'santiago'}
+                            onChange={() => handleDemographicToggle('ciudad', 'otra', 'santiago')}
+                        />
+                        <span>Fuera de Santiago (C)</span>
+                    </label>
+                    <label className="radio-label">
+                        <input
+                            type="checkbox"
+                            checked={scenario.demographic.tipoColegio === 'publico'}
+                            onChange={() => handleDemographicToggle('tipoColegio', 'publico', 'privado')}
+                        />
+                        <span>Colegio público/municipal (L)</span>
+                    </label>
+                </div>
+            </div>
+
+            {/* Comparison */}
+            <div className="simulation-block">
+                <h4>Resultado simulado vs real</h4>
+                <div className="table-container">
+                    <table className="simulation-table">
+                        <thead>
+                            <tr>
+                                <th>Componente</th>
+                                <th>Real</th>
+                                <th>Simulado</th>
+                                <th>Δ (pts)</th>
+                                <th>Δ aporte</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {Object.entries(comparison.components).map(([key, c]) => (
+                                <tr key={key}>
+                                    <td>{c.label}</td>
+                                    <td>{(c.base * 100).toFixed(1)}%</td>
+                                    <td>{(c.sim * 100).toFixed(1)}%</td>
+                                    <td className={deltaClass(c.delta * 100)}>{formatDelta(c.delta * 100)}</td>
+                                    <td className={deltaClass(c.weightedDelta * 100)}>{formatDelta(c.weightedDelta * 100, 2)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                        <tfoot>
+                            <tr>
+                                <td>Indicador total</td>
+                                <td>{comparison.total.base.toFixed(1)}%</td>
+                                <td>{comparison.total.sim.toFixed(1)}%</td>
+                                <td className={deltaClass(comparison.total.delta)} colSpan={2}>
+                                    {formatDelta(comparison.total.delta)}
+                                </td>
+                            </tr>
+                            <tr>
+                                <td>Nivel</td>
+                                <td>{comparison.level.base}</td>
+                                <td>
+                                    <span
+                                        className="level-badge simulation-level"
+                                        style={{ '--level-color': simResult.levelInfo.color }}
+                                    >
+                                        {comparison.level.sim}
+                                    </span>
+                                </td>
+                                <td colSpan={2}>{comparison.level.changed ? 'Cambia de nivel' : 'Sin cambio'}</td>
+                            </tr>
+                        </tfoot>
+                    </table>
+                </div>
+            </div>
+
+            {/* Grade edits */}
+            <details className="simulation-block">
+                <summary>Editar notas existentes ({studentRecords.length} registros)</summary>
+                <div className="table-container">
+                    <table className="simulation-table">
+                        <thead>
+                            <tr>
+                                <th>Asignatura</th>
+                                <th>Período</th>
+                                <th>Nota real</th>
+                                <th>Nota simulada</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {studentRecords.map((r, idx) => (
+                                <tr key={idx} className={scenario.gradeEdits[idx] !== undefined ? 'edited' : ''}>
+                                    <td>{enrichedRecords[idx]?.nombreMalla || r.nombreAsignatura || r.codigoAsignatura}</td>
+                                    <td>{r.anio}-{r.semestre}</td>
+                                    <td>{Number(r.nota).toFixed(1)}</td>
+                                    <td>
+                                        <input
+                                            type="number"
+                                            min="1"
+                                            max="7"
+                                            step="0.1"
+                                            value={scenario.gradeEdits[idx] ?? r.nota}
+                                            onChange={(e) => handleGradeEdit(idx, e.target.value)}
+                                        />
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            </details>
+        </div>
+    );
+}
@@ -1,6 +1,7 @@
 import { useState, useMemo } from 'react';
 import { Search, User, MapPin, School, Users, ChevronDown, ChevronUp } from 'lucide-react';
 import { getStudentRecords, getUniqueStudents } from '../utils/parsers';
+import { formatRut, normalizeRut, getRutSearchKeys } from '../utils/rut';
 
 export default function StudentSearch({ gradesData, onStudentSelect, onDemographicChange }) {
     const [rut, setRut] = useState('');
@@ -63,10 +64,12 @@ export default function StudentSearch({ gradesData, onStudentSelect, onDemograph
     const filteredStudents = useMemo(() => {
         let filtered = studentStats;
 
-        // Filter by RUT search
-        if (rut.trim()) {
+        // Filter by RUT search: any formatting, with or without dots or DV
+        const query = rut.trim();
+        if (query) {
+            const keys = getRutSearchKeys(query);
             filtered = filtered.filter(s =>
-                s.rut.toLowerCase().includes(rut.trim().toLowerCase())
+                keys.some(key => s.rut.includes(key)) || formatRut(s.rut).includes(query.toUpperCase())
             );
         }
 
@@ -107,7 +110,7 @@ export default function StudentSearch({ gradesData, onStudentSelect, onDemograph
     };
 
     const handleRowClick = (studentRut) => {
-        setRut(studentRut);
+        setRut(formatRut(studentRut));
         handleSearch(studentRut);
     };
 
@@ -140,7 +143,7 @@ export default function StudentSearch({ gradesData, onStudentSelect, onDemograph
         if (!searchResult?.success) return;
 
         const records = getStudentRecords(gradesData, rut);
-        onStudentSelect(records, rut);
+        onStudentSelect(records, records[0]?.rut ?? normalizeRut(rut));
         onDemographicChange(demographic);
     };
 
@@ -163,20 +166,20 @@ export default function StudentSearch({ gradesData, onStudentSelect, onDemograph
 
             <div className="search-form">
                 <div className="search-input-group">
-                    <label htmlFor="rut-input">RUT (sin dígito verificador)</label>
+                    <label htmlFor="rut-input">RUT (con o sin puntos y dígito verificador)</label>
                     <div className="input-with-button">
                         <input
                             id="rut-input"
                             type="text"
                             value={rut}
                             onChange={(e) => setRut(e.target.value)}
-                            placeholder="Ej: 12345678"
+                            placeholder="Ej: 12.345.678-5"
                             className="search-input"
                             list="rut-suggestions"
                         />
                         <datalist id="rut-suggestions">
                             {filteredStudents.slice(0, 5).map(s => (
-                                <option key={s.rut} value={s.rut} />
+                                <option key={s.rut} value={formatRut(s.rut)} />
                             ))}
                         </datalist>
                         <button onClick={() => handleSearch()} className="btn btn-secondary">
@@ -229,9 +232,9 @@ export default function StudentSearch({ gradesData, onStudentSelect, onDemograph
                                     <tr
                                         key={student.rut}
                                         onClick={() => handleRowClick(student.rut)}
-                                        className={rut === student.rut ? 'selected' : ''}
+                                        className={normalizeRut(rut) === student.rut ? 'selected' : ''}
                                     >
-                                        <td className="rut-cell">{student.rut}</td>
+                                        <td className="rut-cell">{formatRut(student.rut)}</td>
                                         <td>{student.totalCourses}</td>
                                         <td className={parseFloat(student.avgGrade) >= 4.0 ? 'grade-pass' : 'grade-fail'}>
                                             {student.avgGrade}
@@ -0,0 +1,159 @@
+/**
+ * TimelineChart Component
+ * Evolution of the Exit Indicator per academic period (anio-semestre cut-off).
+ * Total score plus one series per component, over the level bands.
+ * Pure SVG implementation - no external dependencies
+ */
+
+import { useState } from 'react';
+import { COMPONENT_KEYS, COMPONENT_SHORT_LABELS } from '../utils/weightProfiles';
+import { getLevelBands } from '../utils/levels';
+
+// One color per component series (total uses the accent color)
+const SERIES_COLORS = {
+    approvalRate: '#3b82f6',
+    performance: '#8b5cf6',
+    permanence: '#ec4899',
+    repetition: '#f97316',
+    criticality: '#14b8a6',
+    relevance: '#84cc16',
+    demographic: '#94a3b8'
+};
+
+export default function TimelineChart({ timeline, levelScheme }) {
+    const [hiddenSeries, setHiddenSeries] = useState(() => new Set());
+
+    const width = 520;
+    const height = 300;
+    const padding = { top: 16, right: 20, bottom: 36, left: 40 };
+    const plotWidth = width - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+
+    const points = timeline || [];
+
+    // Scales: periods spread evenly on x, 0-100% on y
+    const x = (idx) => padding.left + (points.length > 1 ? (idx / (points.length - 1)) * plotWidth : plotWidth / 2);
+    const y = (pct) => padding.top + plotHeight - (Math.max(0, Math.min(100, pct)) / 100) * plotHeight;
+
+    const toggleSeries = (key) => {
+        setHiddenSeries(prev => {
+            const next = new Set(prev);
+            if (next.has(key)) next.delete(key);
+            else next.add(key);
+            return next;
+        });
+    };
+
+    const linePath = (valueOf) => points
+        .map((p, idx) => `${idx === 0 ? 'M' : 'L'}${x(idx)},${y(valueOf(p))}`)
+        .join(' ');
+
+    // Level bands in the background
+    const bands = getLevelBands(levelScheme).map(({ level, from, to }) => (
+        <g key={level.id}>
+            <rect
+                x={padding.left}
+                y={y(to)}
+                width={plotWidth}
+                height={y(from) - y(to)}
+                fill={level.color}
+                opacity={0.08}
+            />
+            <text x={padding.left + plotWidth - 4} y={y(to) + 12} className="timeline-band-label" fill={level.color}>
+                {level.label}
+            </text>
+        </g>
+    ));
+
+    // Horizontal grid lines every 20%
+    const gridLines = [0, 20, 40, 60, 80, 100].map(pct => (
+        <g key={pct}>
+            <line x1={padding.left} x2={padding.left + plotWidth} y1={y(pct)} y2={y(pct)} className="timeline-grid" />
+            <text x={padding.left - 6} y={y(pct)} className="timeline-axis-label" textAnchor="end" dominantBaseline="middle">
+                {pct}%
+            </text>
+        </g>
+    ));
+
+    const periodLabels = points.map((p, idx) => (
+        <text key={p.label} x={x(idx)} y={height - padding.bottom + 18} className="timeline-axis-label" textAnchor="middle">
+            {p.label}
+        </text>
+    ));
+
+    const componentSeries = COMPONENT_KEYS.filter(key => !hiddenSeries.has(key)).map(key => (
+        <path
+            key={key}
+            d={linePath(p => p.components[key] * 100)}
+            fill="none"
+            stroke={SERIES_COLORS[key]}
+            strokeWidth={1.5}
+            opacity={0.75}
+        />
+    ));
+
+    const totalDots = points.map((p, idx) => (
+        <circle
+            key={p.label}
+            cx={x(idx)}
+            cy={y(p.totalScore)}
+            r={4}
+            fill={p.levelInfo?.color || 'var(--accent)'}
+            stroke="var(--bg-primary)"
+            strokeWidth={2}
+        >
+            <title>{`${p.label}: ${p.totalScore.toFixed(1)}% (Nivel ${p.level}, ${p.records} registros)`}</title>
+        </circle>
+    ));
+
+    return (
+        <div className="timeline-chart-section">
+            <h2 className="section-title">
+                📈 Evolución por Período
+            </h2>
+
+            {points.length === 0 ? (
+                <p className="hint-text">Los registros no tienen año/semestre para construir la evolución.</p>
+            ) : (
+                <>
+                    <div className="timeline-container">
+                        <svg viewBox={`0 0 ${width} ${height}`} className="timeline-chart">
+                            {bands}
+                            {gridLines}
+                            {periodLabels}
+                            {componentSeries}
+                            {!hiddenSeries.has('total') && (
+                                <>
+                                    <path d={linePath(p => p.totalScore)} className="timeline-total-line" />
+                                    {totalDots}
+                                </>
+                            )}
+                        </svg>
+                    </div>
+
+                    <div className="timeline-legend">
+                        <button
+                            className={`timeline-legend-item ${hiddenSeries.has('total') ? 'off' : ''}`}
+                            style={{ '--series-color': 'var(--accent)' }}
+                            onClick={() => toggleSeries('total')}
+                        >
+                            <span className="legend-dot"></span>
+                            Total
+                        </button>
+                        {COMPONENT_KEYS.map(key => (
+                            <button
+                                key={key}
+                                className={`timeline-legend-item ${hiddenSeries.has(key) ? 'off' : ''}`}
+                                style={{ '--series-color': SERIES_COLORS[key] }}
+                                onClick={() => toggleSeries(key)}
+                            >
+                                <span className="legend-dot"></span>
+                                {COMPONENT_SHORT_LABELS[key]}
+                            </button>
+                        ))}
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,132 @@
+/**
+ * ValidationReport Component
+ * Import step shown when row-level checks flag problems in a grades file:
+ * filterable list of flagged rows with the reasons, and the choice to import
+ * everything, exclude the flagged rows or download them for correction.
+ */
+
+import { useState, useMemo } from 'react';
+import { AlertTriangle, Download, Check, Filter, X } from 'lucide-react';
+import { ISSUE_LABELS, downloadFlaggedRows } from '../utils/importValidation';
+import { GRADE_FIELDS } from '../utils/gradeColumns';
+
+// Rows rendered at once; the download always contains every flagged row
+const MAX_VISIBLE_ROWS = 200;
+
+// Source columns shown next to the problems, when mapped
+const KEY_FIELDS = ['rut', 'codigoAsignatura', 'nombreAsignatura', 'nota', 'peso', 'periodo', 'anio', 'semestre'];
+
+export default function ValidationReport({ fileName, report, mapping, onDecision }) {
+    const [codeFilter, setCodeFilter] = useState('');
+    const [textFilter, setTextFilter] = useState('');
+
+    const columns = useMemo(() => KEY_FIELDS
+        .filter(field => mapping[field] !== undefined)
+        .map(field => ({ field, header: mapping[field], label: GRADE_FIELDS.find(f => f.field === field)?.label || field })),
+    [mapping]);
+
+    const filteredRows = useMemo(() => {
+        const text = textFilter.trim().toLowerCase();
+        return report.flaggedRows.filter(row => {
+            if (codeFilter && !row.issues.some(issue => issue.code === codeFilter)) return false;
+            if (!text) return true;
+            return row.issues.some(issue => issue.message.toLowerCase().includes(text)) ||
+                columns.some(col => String(row.raw[col.header] ?? '').toLowerCase().includes(text));
+        });
+    }, [report, codeFilter, textFilter, columns]);
+
+    const flaggedCount = report.flaggedRows.length;
+
+    return (
+        <div className="validation-report">
+            <h3 className="subsection-title">
+                <AlertTriangle size={20} />
+                Filas observadas: {fileName}
+            </h3>
+            <p className="hint-text">
+                {flaggedCount} de {report.checked} filas tienen problemas. Puedes importarlas igual, excluirlas o descargarlas para corregirlas en el origen.
+            </p>
+
+            <div className="validation-summary">
+                {Object.entries(report.byCode).map(([code, count]) => (
+                    <button
+                        key={code}
+                        className={`validation-chip ${codeFilter === code ? 'active' : ''}`}
+                        onClick={() => setCodeFilter(codeFilter === code ? '' : code)}
+                    >
+                        {ISSUE_LABELS[code] || code}: {count}
+                    </button>
+                ))}
+            </div>
+
+            <div className="validation-filters">
+                <Filter size={16} />
+                <select value={codeFilter} onChange={(e) => setCodeFilter(e.target.value)}>
+                    <option value="">Todos los problemas</option>
+                    {Object.keys(report.byCode).map(code => (
+                        <option key={code} value={code}>{ISSUE_LABELS[code] || code}</option>
+                    ))}
+                </select>
+                <input
+                    type="text"
+                    className="search-input"
+                    value={textFilter}
+                    onChange={(e) => setTextFilter(e.target.value)}
+                    placeholder="Buscar por RUT, asignatura o problema…"
+                />
+            </div>
+
+            <div className="table-container validation-table-wrapper">
+                <table className="mapping-table">
+                    <thead>
+                        <tr>
+                            <th>Fila</th>
+                            <th>Problemas</th>
+                            {columns.map(col => (
+                                <th key={col.field}>{col.label}</th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {filteredRows.slice(0, MAX_VISIBLE_ROWS).map(row => (
+                            <tr key={row.index}>
+                                <td>{row.rowNumber}</td>
+                                <td className="validation-issues">
+                                    {row.issues.map(issue => issue.message).join('; ')}
+                                </td>
+                                {columns.map(col => (
+                                    <td key={col.field}>{String(row.raw[col.header] ?? '')}</td>
+                                ))}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+            {filteredRows.length > MAX_VISIBLE_ROWS && (
+                <p className="hint-text">
+                    Mostrando {MAX_VISIBLE_ROWS} de {filteredRows.length} filas. La descarga incluye todas.
+                </p>
+            )}
+
+            <div className="mapping-actions">
+                <button className="btn btn-ghost" onClick={() => downloadFlaggedRows(report, fileName)}>
+                    <Download size={16} />
+                    Descargar filas (.xlsx)
+                </button>
+                <div className="mapping-buttons">
+                    <button className="btn btn-ghost" onClick={() => onDecision(null)}>
+                        <X size={16} />
+                        Omitir archivo
+                    </button>
+                    <button className="btn btn-secondary" onClick={() => onDecision('all')}>
+                        Importar todo
+                    </button>
+                    <button className="btn btn-primary" onClick={() => onDecision('exclude')}>
+                        <Check size={16} />
+                        Excluir filas marcadas
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,107 @@
+/**
+ * Academic States
+ * Taxonomy of the ESTADO column: graded attempts and the states without a real
+ * grade (convalidado, homologado, inscrito, retirado), with the indicator
+ * components each state takes part in.
+ */
+
+import { normalizeCourseName } from './mallaIndex.js';
+
+// Components (plus plan coverage) a record can count toward
+export const STATE_SCOPES = [
+  'approvalRate',
+  'performance',
+  'permanence',
+  'repetition',
+  'criticality',
+  'relevance',
+  'coverage'
+];
+
+const ALL_SCOPES = Object.fromEntries(STATE_SCOPES.map(scope => [scope, true]));
+
+/**
+ * States in matching order. `matchers` receive the normalized ESTADO text;
+ * `aprobado` marks states that count as approved without a grade;
+ * `cuenta` lists the components the record is counted in.
+ */
+export const ACADEMIC_STATES = [
+  {
+    id: 'convalidado',
+    label: 'Convalidado',
+    matchers: [(k) => k.includes('CONVALID')],
+    aprobado: true,
+    // Recognized from another program: advances the plan but has no grade or study time here
+    cuenta: { ...ALL_SCOPES, performance: false, permanence: false, repetition: false }
+  },
+  {
+    id: 'homologado',
+    label: 'Homologado',
+    matchers: [(k) => k.includes('HOMOLOG')],
+    aprobado: true,
+    cuenta: { ...ALL_SCOPES, performance: false, permanence: false, repetition: false }
+  },
+  {
+    id: 'retirado',
+    label: 'Retirado',
+    matchers: [(k) => k.includes('RETIR'), (k) => k.includes('ANULAD')],
+    aprobado: false,
+    // A withdrawal is not a failure nor a repetition; the period still counts as time enrolled
+    cuenta: { ...Object.fromEntries(STATE_SCOPES.map(scope => [scope, false])), permanence: true }
+  },
+  {
+    id: 'inscrito',
+    label: 'Inscrito',
+    matchers: [(k) => k.includes('INSCRIT'), (k) => k.includes('CURSANDO'), (k) => k.includes('EN CURSO')],
+    aprobado: false,
+    // In progress: no grade yet, but the course is being taken
+    cuenta: { ...ALL_SCOPES, approvalRate: false, performance: false }
+  },
+  {
+    id: 'calificado',
+    label: 'Calificado',
+    matchers: [],
+    aprobado: false,
+    cuenta: ALL_SCOPES
+  }
+];
+
+const STATES_BY_ID = new Map(ACADEMIC_STATES.map(state => [state.id, state]));
+
+/**
+ * State id for an ESTADO value; anything unrecognized (Aprobado, Reprobado, blank) is 'calificado'
+ */
+export function classifyAcademicState(estado) {
+  const key = normalizeCourseName(estado);
+  if (!key) return 'calificado';
+  const state = ACADEMIC_STATES.find(s => s.matchers.some(matcher => matcher(key)));
+  return state ? state.id : 'calificado';
+}
+
+/**
+ * State definition of a record (classified at import, or from its ESTADO)
+ */
+export function getAcademicState(record) {
+  return STATES_BY_ID.get(record?.estadoAcademico) || STATES_BY_ID.get(classifyAcademicState(record?.estado));
+}
+
+/**
+ * True when the record counts toward a component (see STATE_SCOPES)
+ */
+export function countsToward(record, scope) {
+  return getAcademicState(record).cuenta[scope] !== false;
+}
+
+/**
+ * Records that count toward a component
+ */
+export function filterByScope(records, scope) {
+  return (records || []).filter(r => countsToward(r, scope));
+}
+
+/**
+ * True for states without a real grade (the grade column may be blank or 0)
+ */
+export function isUngradedState(id) {
+  return id !== 'calificado';
+}
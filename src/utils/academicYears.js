@@ -0,0 +1,16 @@
+/**
+ * Academic Years
+ * Range of years read as a real academic period. Years outside it (typos, "0",
+ * a grade typed in the year column) are left out of period-based measures.
+ */
+
+export const YEAR_MIN = 2000;
+export const YEAR_MAX = 2100;
+
+/**
+ * True when `anio` (number or text) is a year inside [YEAR_MIN, YEAR_MAX]
+ */
+export function isValidAcademicYear(anio) {
+  const y = parseInt(anio, 10);
+  return Number.isFinite(y) && y >= YEAR_MIN && y <= YEAR_MAX;
+}
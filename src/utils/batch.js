@@ -0,0 +1,127 @@
+/**
+ * Cohort Batch Engine
+ * Computes the exit indicator for every student in a grades dataset.
+ */
+
+import { calculateExitIndicator } from './calculators.js';
+import { enrichGradesWithTraza, getUniqueStudents } from './parsers.js';
+import { selectCurriculum } from './curriculumRegistry.js';
+import { COMPONENT_KEYS } from './weightProfiles.js';
+import { getRutSearchKeys } from './rut.js';
+
+/**
+ * Group records by RUT in a single pass (getStudentRecords is O(n) per student)
+ */
+export function groupRecordsByStudent(gradesData) {
+  const byRut = new Map();
+  (gradesData || []).forEach(record => {
+    if (!record.rut) return;
+    const key = String(record.rut);
+    if (!byRut.has(key)) byRut.set(key, []);
+    byRut.get(key).push(record);
+  });
+  return byRut;
+}
+
+/**
+ * Flatten an indicator result into a table row
+ */
+function toCohortRow(student, records, result, selection) {
+  const components = {};
+  COMPONENT_KEYS.forEach(key => {
+    components[key] = result.components[key]?.value ?? 0;
+  });
+
+  return {
+    rut: student.rut,
+    malla: student.malla,
+    mallaAplicada: selection.entry ? selection.entry.plan : null,
+    mallaFaltante: selection.missing ? selection.plan : null,
+    registros: records.length,
+    totalScore: result.totalScore,
+    level: result.level,
+    levelClass: result.levelClass,
+    levelInfo: result.levelInfo,
+    components,
+    coveragePct: result.stats.coveragePct,
+    stats: result.stats
+  };
+}
+
+/**
+ * Step-by-step cohort calculation: yields { row, done, total } per student.
+ * Lets callers report progress or yield to the event loop between students.
+ * Each student is evaluated against the malla of their plan (see curriculumRegistry.js).
+ */
+export function* iterateCohortIndicators(gradesData, criticalityData, curricula, options = {}) {
+  const { weightProfile, levelScheme, equivalences, homologations } = options;
+  if (!Array.isArray(gradesData) || gradesData.length === 0) return;
+
+  const byRut = groupRecordsByStudent(gradesData);
+  const students = getUniqueStudents(gradesData);
+
+  for (let idx = 0; idx < students.length; idx++) {
+    const student = students[idx];
+    const selection = selectCurriculum(curricula, byRut.get(String(student.rut)) || []);
+    const curriculumData = selection.entry?.data ?? null;
+    const records = enrichGradesWithTraza(byRut.get(String(student.rut)) || [], curriculumData, {
+      equivalences,
+      homologations,
+      plan: selection.entry?.plan
+    });
+    const result = calculateExitIndicator(records, criticalityData, curriculumData, null, weightProfile, levelScheme);
+    yield { row: toCohortRow(student, records, result, selection), done: idx + 1, total: students.length };
+  }
+}
+
+/**
+ * Compute the indicator for every student.
+ * Demographic data is not available in batch mode (component = 0).
+ * options: { weightProfile, levelScheme, equivalences, homologations, onProgress(done, total) }
+ */
+export function calculateCohortIndicators(gradesData, criticalityData, curricula, options = {}) {
+  const rows = [];
+  for (const { row, done, total } of iterateCohortIndicators(gradesData, criticalityData, curricula, options)) {
+    rows.push(row);
+    if (options.onProgress) options.onProgress(done, total);
+  }
+  return rows;
+}
+
+/**
+ * Filter and sort cohort rows for the results table.
+ * filters: { query, levelClass, malla, minCoverage }
+ * sort: { key, direction } where key is 'rut' | 'malla' | 'totalScore' | 'coveragePct' | component key
+ */
+export function filterAndSortCohortRows(rows, filters = {}, sort = { key: 'totalScore', direction: 'desc' }) {
+  const query = String(filters.query || '').trim().toLowerCase();
+  const rutKeys = getRutSearchKeys(query);
+  const minCoverage = Number(filters.minCoverage) || 0;
+
+  // RUT query in any formatting (with or without dots or DV)
+  const matchesQuery = (rut) => String(rut).toLowerCase().includes(query) || rutKeys.some(key => String(rut).includes(key));
+
+  const filtered = (rows || []).filter(row => {
+    if (query && !matchesQuery(row.rut)) return false;
+    if (filters.levelClass && row.levelClass !== filters.levelClass) return false;
+    if (filters.malla && String(row.malla) !== String(filters.malla)) return false;
+    if (row.coveragePct < minCoverage) return false;
+    return true;
+  });
+
+  const valueOf = (row) => {
+    if (COMPONENT_KEYS.includes(sort.key)) return row.components[sort.key];
+    return row[sort.key];
+  };
+
+  filtered.sort((a, b) => {
+    const va = valueOf(a);
+    const vb = valueOf(b);
+    const comparison = (typeof va === 'number' && typeof vb === 'number')
+      ? va - vb
+      : String(va ?? '').localeCompare(String(vb ?? ''));
+    return sort.direction === 'asc' ? comparison : -comparison;
+  });
+
+  return filtered;
+}
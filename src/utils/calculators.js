@@ -4,6 +4,12 @@
  * Updated to match new specifications (Jan 2026)
  */
 
+import { COMPONENT_KEYS, DEFAULT_WEIGHT_PROFILE, validateWeightProfile } from './weightProfiles.js';
+import { DEFAULT_LEVEL_SCHEME, getLevelForScore } from './levels.js';
+import { filterByScope, getAcademicState, countsToward } from './academicStates.js';
+import { INDICATOR_SCALE } from './gradeScales.js';
+import { isValidAcademicYear } from './academicYears.js';
+
 // Criticality category to score mapping
 const CRITICALITY_SCORES = {
   'alta': 5,
@@ -52,7 +58,7 @@ function getMallaRecords(studentRecords) {
  * Supports structure: { semestres: [{ indice_semestre: 1, asignaturas: [...] }, ...] }
  * Also supports: { semestres_totales: 10 }
  */
-function getMaxPlanSemester(curriculumData) {
+export function getMaxPlanSemester(curriculumData) {
   // Check for explicit semestres_totales
   if (curriculumData?.semestres_totales) {
     const total = Number(curriculumData.semestres_totales);
@@ -109,43 +115,180 @@ function criticidadScoreFromPercent(percent) {
   return 5;
 }
 
+/**
+ * Helper: Validate the weighting profile used for a calculation.
+ * Throws if weights are missing or do not sum to 1.
+ */
+function resolveWeightProfile(weightProfile) {
+  const profile = weightProfile || DEFAULT_WEIGHT_PROFILE;
+  const { valid, errors } = validateWeightProfile(profile);
+  if (!valid) {
+    throw new Error('Perfil de ponderación inválido: ' + errors.join('; '));
+  }
+  return profile;
+}
+
+/**
+ * Helper: Snapshot of the profile stored with every result
+ */
+function weightProfileSnapshot(profile) {
+  return {
+    id: profile.id,
+    nombre: profile.nombre,
+    version: profile.version || '1',
+    pesos: Object.fromEntries(COMPONENT_KEYS.map(k => [k, Number(profile.pesos[k])]))
+  };
+}
+
+/**
+ * Helper: Level fields stored with every result.
+ * `level` keeps the label (e.g. "Alto") and `levelClass` the level id for CSS;
+ * `levelInfo` and `levelScheme` carry the full definition for the UI and PDF.
+ */
+function levelFields(percentage, scheme) {
+  const levelInfo = getLevelForScore(percentage, scheme);
+  return {
+    level: levelInfo.label,
+    levelClass: levelInfo.id,
+    levelInfo,
+    levelScheme: scheme
+  };
+}
+
+/**
+ * Helper: Course key used to group attempts of the same course
+ * (each slot of an elective group is its own course, see electiveSlots.js)
+ */
+function courseKey(r) {
+  if (r.slotElectivo) return r.slotElectivo.clave;
+  return r.codigoMalla || r.codigoAsignatura || r.CODIGO_ASIGNATURA || normalizeText(r.nombreMalla || r.asignatura);
+}
+
+/**
+ * Helper: Key for counting repetitions. Old-plan courses homologated into the same
+ * course (many-to-one) are different courses, not retakes of each other.
+ */
+function repetitionKey(r) {
+  const key = courseKey(r);
+  return key && r.homologacion ? `${key}|${normalizeText(r.homologacion.origen)}` : key;
+}
+
+/**
+ * Helper: Approved attempt (nota >= 4.0, estado "aprobado" or a state approved
+ * without a grade, such as convalidado). "Reprobado" is not read as approved.
+ * Grades from other scales were converted at import (see gradeScales.js).
+ */
+export function isApprovedRecord(r) {
+  if (getAcademicState(r).aprobado) return true;
+  const nota = Number(r.nota);
+  return (Number.isFinite(nota) && nota >= INDICATOR_SCALE.aprobacion) || /\bAPROBAD/.test(normalizeText(r.estado));
+}
+
+/**
+ * Helper: Valid (positive) grades of a record list
+ */
+function validGrades(records) {
+  return records
+    .map(r => Number(r.nota))
+    .filter(g => Number.isFinite(g) && g > 0);
+}
+
+/**
+ * Get criticality score from item - prioritizes intento format
+ * Supports:
+ * - Intento format (intento4/intento3/intento2 percentages) - PRIORITIZED
+ * - Category format (Baja/Media/Alta)
+ */
+function getCriticalityScore(item) {
+  // Priority 1: Intento percentages (intento4 -> intento3 -> intento2)
+  const intento4 = item.intento4 ?? item.Porcentaje_4 ?? item['Porcentaje 4'] ?? null;
+  const intento3 = item.intento3 ?? item.Porcentaje_3 ?? item['Porcentaje 3'] ?? null;
+  const intento2 = item.intento2 ?? item.Porcentaje_2 ?? item['Porcentaje 2'] ?? null;
+
+  if (intento4 !== null && intento4 !== '') return criticidadScoreFromPercent(intento4);
+  if (intento3 !== null && intento3 !== '') return criticidadScoreFromPercent(intento3);
+  if (intento2 !== null && intento2 !== '') return criticidadScoreFromPercent(intento2);
+
+  // Priority 2: Category format
+  const catRaw =
+    item.criticidad ??
+    item.categoria ??
+    item['Categoría'] ??
+    item['Categoria'] ??
+    item['CATEGORIA'] ??
+    '';
+  const cat = normalizeText(catRaw).toLowerCase().replace(/\s+/g, '');
+  return CRITICALITY_SCORES[cat] ?? CRITICALITY_SCORES[cat.replace('-', '')] ?? 1;
+}
+
+/**
+ * Build criticality lookups by code and normalized name.
+ * Accepts an array of items or an object of arrays (e.g. keyed by malla).
+ */
+function buildCriticalityLookup(criticalityData) {
+  const byCode = new Map();
+  const byName = new Map();
+
+  const ingestList = (list) => {
+    if (!Array.isArray(list)) return;
+    list.forEach(item => {
+      const codeRaw = item.codigo ?? item.sigla ?? item.CODIGO_ASIGNATURA ?? item.codigoAsignatura ?? '';
+      const code = normalizeText(codeRaw).replace(/\s+/g, '');
+      const nameRaw = item.Asignatura ?? item.asignatura ?? item.nombre ?? item.NOMBRE ?? '';
+      const nameNorm = normalizeText(nameRaw);
+
+      const score = getCriticalityScore(item);
+
+      if (code) byCode.set(code, score);
+      if (nameNorm) byName.set(nameNorm, score);
+    });
+  };
+
+  if (criticalityData) {
+    if (Array.isArray(criticalityData)) {
+      ingestList(criticalityData);
+    } else if (typeof criticalityData === 'object') {
+      Object.values(criticalityData).forEach(v => ingestList(v));
+    }
+  }
+
+  // Score for a record (default 1 = Muy Baja)
+  const scoreFor = (r) => {
+    const code = normalizeText(r.codigoMalla || r.codigoAsignatura || r.CODIGO_ASIGNATURA).replace(/\s+/g, '');
+    const nameNorm = normalizeText(r.nombreMalla || r.nombreAsignatura || r.asignatura);
+    if (code && byCode.has(code)) return byCode.get(code);
+    if (nameNorm && byName.has(nameNorm)) return byName.get(nameNorm);
+    return 1;
+  };
+
+  return { byCode, byName, scoreFor };
+}
+
 // -------- Components --------
+// Each evaluator is pure: it receives the "en malla" records (plus its own inputs)
+// and returns { value, audit, stats }. Nothing is written outside the returned object.
 
 /**
  * 1. Approval Rate (Tasa de aprobación)
  * NEW FORMULA: #FilasAprobadas / #FilasTotales (cada intento cuenta)
  */
-export function calculateApprovalRate(studentRecords, audit = null) {
-  const records = getMallaRecords(studentRecords);
+function evaluateApprovalRate(records) {
   if (records.length === 0) {
-    if (audit) {
-      audit.approvalRate = { aprobados: 0, total: 0, rate: 0 };
-    }
-    return 0;
+    return { value: 0, audit: { aprobados: 0, total: 0, rate: 0 }, stats: { approvedCourses: 0 } };
   }
 
   // Count each row (each attempt)
-  let approvedCount = 0;
-  let totalCount = records.length;
-
-  records.forEach(record => {
-    const nota = Number(record.nota);
-    const isApproved =
-      (Number.isFinite(nota) && nota >= 4.0) ||
-      (record.estado && String(record.estado).toLowerCase().includes('aprob'));
-
-    if (isApproved) {
-      approvedCount++;
-    }
-  });
-
-  const rate = totalCount > 0 ? approvedCount / totalCount : 0;
+  const approved = records.filter(isApprovedRecord);
+  const rate = approved.length / records.length;
 
-  if (audit) {
-    audit.approvalRate = { aprobados: approvedCount, total: totalCount, rate };
-  }
+  // Unique approved courses (for UI stats)
+  const approvedCourses = new Set(approved.map(courseKey)).size;
 
-  return rate;
+  return {
+    value: rate,
+    audit: { aprobados: approved.length, total: records.length, rate },
+    stats: { approvedCourses }
+  };
 }
 
 /**
@@ -153,62 +296,38 @@ export function calculateApprovalRate(studentRecords, audit = null) {
  * Formula: Average Grade / 7.0
  * Uses average of ALL grades (not best per course)
  */
-export function calculatePerformance(studentRecords, audit = null) {
-  const records = getMallaRecords(studentRecords);
-  if (records.length === 0) {
-    if (audit) {
-      audit.performance = { notas: [], promedio: 0, normalized: 0 };
-    }
-    return 0;
-  }
-
-  const grades = records
-    .map(r => Number(r.nota))
-    .filter(g => Number.isFinite(g) && g > 0);
+function evaluatePerformance(records) {
+  const grades = validGrades(records);
 
   if (grades.length === 0) {
-    if (audit) {
-      audit.performance = { notas: [], promedio: 0, normalized: 0 };
-    }
-    return 0;
+    return { value: 0, audit: { notas: [], promedio: 0, normalized: 0 }, stats: { averageGrade: 0 } };
   }
 
   const average = grades.reduce((sum, g) => sum + g, 0) / grades.length;
-  const normalized = average / 7.0;
-
-  if (audit) {
-    audit.performance = { notas: grades, promedio: average, normalized };
-  }
+  const normalized = average / INDICATOR_SCALE.max;
 
-  return normalized;
+  return {
+    value: normalized,
+    audit: { notas: grades, promedio: average, normalized },
+    stats: { averageGrade: average }
+  };
 }
 
 /**
  * 3. Permanence (Permanencia) - 20%
- * Formula: 1 - (years of study / 5)
- * years = (maxYear - minYear + 1)
+ * Formula: 1 - (retraso / 5), retraso = max(0, añosEstudio - 5)
+ * years measured in semesters between first and last valid period
  */
-export function calculatePermanence(studentRecords, audit = null) {
-  const records = getMallaRecords(studentRecords);
-  if (!records || records.length === 0) {
-    if (audit) {
-      audit.permanence = { anioMin: null, anioMax: null, anos: 0, value: 1 };
-    }
-    return 1;
+function evaluatePermanence(records) {
+  if (records.length === 0) {
+    return { value: 1, audit: { anioMin: null, anioMax: null, anos: 0, value: 1 }, stats: {} };
   }
 
-  // Calculate duration in semesters for better precision
   // Only consider records with valid year/semester
-  const validRecords = records.filter(r => {
-    const y = parseInt(r.anio, 10);
-    return Number.isFinite(y) && y >= 2000 && y <= 2100;
-  });
+  const validRecords = records.filter(r => isValidAcademicYear(r.anio));
 
   if (validRecords.length === 0) {
-    if (audit) {
-      audit.permanence = { anioMin: null, anioMax: null, anos: 0, retraso: 0, value: 1 };
-    }
-    return 1;
+    return { value: 1, audit: { anioMin: null, anioMax: null, anos: 0, retraso: 0, value: 1 }, stats: {} };
   }
 
   // Calculate semester indices: Year * 2 + (Sem - 1)
@@ -225,50 +344,41 @@ export function calculatePermanence(studentRecords, audit = null) {
   const semestersStudied = maxIndex - minIndex + 1;
   const yearsStudied = semestersStudied / 2;
 
-  // C3 = 1 - (retraso / 5), donde retraso = añosEstudio - 5
   // Penalize only if duration > 5 years per new spec
   const delay = Math.max(0, yearsStudied - 5);
-  const permanence = 1 - (delay / 5);
-  const clamped = Math.max(0, Math.min(1, permanence));
-
-  console.log('[Permanencia] (Semestral)', { semesters: semestersStudied, years: yearsStudied, delay, permanence: clamped });
+  const clamped = Math.max(0, Math.min(1, 1 - (delay / 5)));
 
-  if (audit) {
-    // Audit with precision
-    const startYear = Math.floor(minIndex / 2);
-    const startSem = (minIndex % 2) + 1;
-    const endYear = Math.floor(maxIndex / 2);
-    const endSem = (maxIndex % 2) + 1;
+  const startYear = Math.floor(minIndex / 2);
+  const endYear = Math.floor(maxIndex / 2);
 
-    audit.permanence = {
-      inicio: `${startYear}-${startSem}`,
-      fin: `${endYear}-${endSem}`,
+  return {
+    value: clamped,
+    audit: {
+      inicio: `${startYear}-${(minIndex % 2) + 1}`,
+      fin: `${endYear}-${(maxIndex % 2) + 1}`,
+      anioMin: startYear,
+      anioMax: endYear,
       semestres: semestersStudied,
       anos: yearsStudied,
       retraso: delay,
       value: clamped
-    };
-  }
-
-  return clamped;
+    },
+    stats: { semestersStudied }
+  };
 }
 
 /**
  * 4. Repetition Index (Repetición de ramos)
- * Formula: 1 - (sum(intentos-1) / totalCursosTomados)
+ * Formula: 1 - (sum(intentos-1) / totalFilas)
  */
-export function calculateRepetition(studentRecords, audit = null) {
-  const records = getMallaRecords(studentRecords);
+function evaluateRepetition(records) {
   if (records.length === 0) {
-    if (audit) {
-      audit.repetition = { cursos: [], totalReps: 0, totalFilas: 0, value: 1 };
-    }
-    return 1;
+    return { value: 1, audit: { cursos: [], totalReps: 0, totalFilas: 0, value: 1 }, stats: {} };
   }
 
   const recordsByCourse = new Map();
   records.forEach(r => {
-    const key = r.codigoMalla || r.codigoAsignatura || r.CODIGO_ASIGNATURA || normalizeText(r.nombreMalla || r.asignatura);
+    const key = repetitionKey(r);
     if (!key) return;
 
     if (!recordsByCourse.has(key)) recordsByCourse.set(key, []);
@@ -285,178 +395,83 @@ export function calculateRepetition(studentRecords, audit = null) {
     courseDetails.push({ curso: key, intentos: attempts, repeticiones: reps });
   });
 
-  const totalCourses = records.length; // Use total rows as per new spec
-  if (totalCourses === 0) {
-    if (audit) {
-      audit.repetition = { cursos: courseDetails, totalReps: 0, totalFilas: 0, value: 1 };
-    }
-    return 1;
-  }
-
-  const repetitionIndex = 1 - (totalRepetitions / totalCourses);
-  const clamped = Math.max(0, Math.min(1, repetitionIndex));
+  const totalRows = records.length; // Use total rows as per new spec
+  const clamped = Math.max(0, Math.min(1, 1 - (totalRepetitions / totalRows)));
 
-  if (audit) {
-    audit.repetition = { cursos: courseDetails, totalReps: totalRepetitions, totalFilas: totalCourses, value: clamped };
-  }
-
-  return clamped;
+  return {
+    value: clamped,
+    audit: { cursos: courseDetails, totalReps: totalRepetitions, totalFilas: totalRows, value: clamped },
+    stats: {}
+  };
 }
 
 /**
  * 5. Course Criticality (Criticidad de asignaturas)
  * NEW FORMULA: sum(criticalityScore) / (5 * totalCursos)
  * (No inversion - higher score = higher criticality load)
- *
- * Supports:
- * - Category format (Baja/Media/Alta)
- * - Intento format (intento4/intento3/intento2 percentages) - PRIORITIZED
  */
-export function calculateCriticality(studentRecords, criticalityData, audit = null) {
-  const records = getMallaRecords(studentRecords);
-  if (records.length === 0) {
-    if (audit) {
-      audit.criticality = { cursos: [], totalScore: 0, maxScore: 0, value: 0.5 };
-    }
-    return 0.5;
-  }
-
-  // Build lookup maps
-  const critByCode = new Map();
-  const critByName = new Map();
-
-  /**
-   * Get criticality score from item - prioritizes intento format
-   */
-  const getCriticalityScore = (item) => {
-    // Priority 1: Intento percentages (intento4 -> intento3 -> intento2)
-    const intento4 = item.intento4 ?? item.Porcentaje_4 ?? item['Porcentaje 4'] ?? null;
-    const intento3 = item.intento3 ?? item.Porcentaje_3 ?? item['Porcentaje 3'] ?? null;
-    const intento2 = item.intento2 ?? item.Porcentaje_2 ?? item['Porcentaje 2'] ?? null;
-
-    if (intento4 !== null && intento4 !== undefined && intento4 !== '') {
-      return criticidadScoreFromPercent(intento4);
-    }
-    if (intento3 !== null && intento3 !== undefined && intento3 !== '') {
-      return criticidadScoreFromPercent(intento3);
-    }
-    if (intento2 !== null && intento2 !== undefined && intento2 !== '') {
-      return criticidadScoreFromPercent(intento2);
-    }
-
-    // Priority 2: Category format
-    const catRaw =
-      item.criticidad ??
-      item.categoria ??
-      item['Categoría'] ??
-      item['Categoria'] ??
-      item['CATEGORIA'] ??
-      '';
-    const cat = normalizeText(catRaw).toLowerCase().replace(/\s+/g, '');
-    const score = CRITICALITY_SCORES[cat] ?? CRITICALITY_SCORES[cat.replace('-', '')] ?? 1;
-    return score;
-  };
-
-  const ingestList = (list) => {
-    if (!Array.isArray(list)) return;
-    list.forEach(item => {
-      const codeRaw = item.codigo ?? item.sigla ?? item.CODIGO_ASIGNATURA ?? item.codigoAsignatura ?? '';
-      const code = normalizeText(codeRaw).replace(/\s+/g, '');
-      const nameRaw = item.Asignatura ?? item.asignatura ?? item.nombre ?? item.NOMBRE ?? '';
-      const nameNorm = normalizeText(nameRaw);
-
-      const score = getCriticalityScore(item);
-
-      if (code) critByCode.set(code, score);
-      if (nameNorm) critByName.set(nameNorm, score);
-    });
-  };
-
-  if (criticalityData) {
-    if (Array.isArray(criticalityData)) {
-      ingestList(criticalityData);
-    } else if (typeof criticalityData === 'object') {
-      Object.values(criticalityData).forEach(v => ingestList(v));
-    }
-  }
+function evaluateCriticality(records, criticalityLookup) {
+  const empty = { value: 0.5, audit: { cursos: [], totalScore: 0, maxScore: 0, value: 0.5 }, stats: {} };
+  if (records.length === 0) return empty;
 
   // Unique courses taken (use code if possible, else name)
-  const uniqueCourses = new Map(); // key -> { code, nameNorm }
+  const uniqueCourses = new Map();
   records.forEach(r => {
     const code = normalizeText(r.codigoMalla || r.codigoAsignatura || r.CODIGO_ASIGNATURA).replace(/\s+/g, '');
     const nameNorm = normalizeText(r.nombreMalla || r.nombreAsignatura || r.asignatura);
 
     const key = code || nameNorm;
-    if (!key) return;
-
-    if (!uniqueCourses.has(key)) uniqueCourses.set(key, { code, nameNorm });
+    if (!key || uniqueCourses.has(key)) return;
+    uniqueCourses.set(key, r);
   });
 
+  if (uniqueCourses.size === 0) return empty;
+
   let totalCritSum = 0;
-  let count = 0;
   const courseDetails = [];
 
-  uniqueCourses.forEach(({ code, nameNorm }, key) => {
-    count++;
-    let score = 1;
-
-    if (code && critByCode.has(code)) score = critByCode.get(code);
-    else if (nameNorm && critByName.has(nameNorm)) score = critByName.get(nameNorm);
-    else score = 1; // default Muy Baja
-
+  uniqueCourses.forEach((r, key) => {
+    const score = criticalityLookup.scoreFor(r);
     totalCritSum += score;
     courseDetails.push({ curso: key, puntaje: score });
   });
 
-  if (count === 0) {
-    if (audit) {
-      audit.criticality = { cursos: [], totalScore: 0, maxScore: 0, value: 0.5 };
-    }
-    return 0.5;
-  }
-
-  // NEW: Direct formula (no inversion) - suma / (5 × total)
-  const maxScore = 5 * count;
-  const c5 = totalCritSum / maxScore;
-  const clamped = Math.max(0, Math.min(1, c5));
+  // Direct formula (no inversion) - suma / (5 × total)
+  const maxScore = 5 * uniqueCourses.size;
+  const clamped = Math.max(0, Math.min(1, totalCritSum / maxScore));
 
-  if (audit) {
-    audit.criticality = { cursos: courseDetails, totalScore: totalCritSum, maxScore, value: clamped };
-  }
-
-  return clamped;
+  return {
+    value: clamped,
+    audit: { cursos: courseDetails, totalScore: totalCritSum, maxScore, value: clamped },
+    stats: {}
+  };
 }
 
 /**
  * 6. Semester Relevance (Relevancia de semestre)
  * Formula: ultimoSemestreCurricularAlcanzado / maxSemestrePlan
+ * The last semester reached is returned as a stat (currentSemester)
  */
-export function calculateRelevance(studentRecords, curriculumData, audit = null) {
-  const records = getMallaRecords(studentRecords);
+function evaluateRelevance(records, curriculumData) {
   if (records.length === 0) {
-    calculateExitIndicator.ultimoSemestreAlcanzado = 0;
-    if (audit) {
-      audit.relevance = { semestreMax: 0, planMax: 10, value: 0 };
-    }
-    return 0;
+    return { value: 0, audit: { semestreMax: 0, planMax: 10, value: 0 }, stats: { currentSemester: 0 } };
   }
 
-  // FIX: semestreCurricular may come as string => coerce to number
+  // semestreCurricular may come as string => coerce to number
   const semestres = records
     .map(r => Number(r.semestreCurricular))
     .filter(s => Number.isFinite(s) && s > 0);
 
   const ultimoSemestreAlcanzado = semestres.length ? Math.max(...semestres) : 0;
-  calculateExitIndicator.ultimoSemestreAlcanzado = ultimoSemestreAlcanzado;
 
   const maxPlan = getMaxPlanSemester(curriculumData) || 10;
   const relevance = maxPlan > 0 ? Math.min(ultimoSemestreAlcanzado / maxPlan, 1) : 0;
 
-  if (audit) {
-    audit.relevance = { semestreMax: ultimoSemestreAlcanzado, planMax: maxPlan, value: relevance };
-  }
-
-  return relevance;
+  return {
+    value: relevance,
+    audit: { semestreMax: ultimoSemestreAlcanzado, planMax: maxPlan, value: relevance },
+    stats: { currentSemester: ultimoSemestreAlcanzado }
+  };
 }
 
 /**
@@ -466,12 +481,9 @@ export function calculateRelevance(studentRecords, curriculumData, audit = null)
  * C = 1 if city != Santiago, 0 otherwise
  * L = 1 if public school, 0 otherwise
  */
-export function calculateDemographic(demographicData, audit = null) {
+function evaluateDemographic(demographicData) {
   if (!demographicData) {
-    if (audit) {
-      audit.demographic = { G: 0, C: 0, L: 0, genero: '', ciudad: '', colegio: '', value: 0 };
-    }
-    return 0;
+    return { value: 0, audit: { G: 0, C: 0, L: 0, genero: '', ciudad: '', colegio: '', value: 0 }, stats: {} };
   }
 
   const { genero = '', ciudad = '', tipoColegio = '' } = demographicData;
@@ -479,98 +491,155 @@ export function calculateDemographic(demographicData, audit = null) {
   const c = String(ciudad).toLowerCase();
   const t = String(tipoColegio).toLowerCase();
 
-  let G = 0;
-  if (g === 'mujer' || g === 'female' || g === 'otro' || g === 'other') {
-    G = 1;
-  }
+  const G = (g === 'mujer' || g === 'female' || g === 'otro' || g === 'other') ? 1 : 0;
+  const C = (c && !c.includes('santiago')) ? 1 : 0;
+  const L = (t === 'publico' || t === 'público' || t === 'public' || t === 'municipal' || t === 'subvencionado') ? 1 : 0;
 
-  let C = 0;
-  if (c && !c.includes('santiago')) {
-    C = 1;
-  }
+  const value = (G + C + L) / 3;
+
+  return {
+    value,
+    audit: { G, C, L, genero, ciudad, colegio: tipoColegio, value },
+    stats: {}
+  };
+}
 
-  let L = 0;
-  if (t === 'publico' || t === 'público' || t === 'public' || t === 'municipal' || t === 'subvencionado') {
-    L = 1;
+/**
+ * Component definitions, in report order.
+ * `evaluate` receives the pipeline context: { records, criticality, curriculumData, demographicData }
+ * and only sees the records whose academic state counts toward the component (academicStates.js).
+ */
+const COMPONENT_DEFINITIONS = {
+  approvalRate: {
+    label: 'Tasa de Aprobación',
+    description: 'Cursos aprobados / Cursos cursados (filas)',
+    evaluate: (ctx) => evaluateApprovalRate(filterByScope(ctx.records, 'approvalRate'))
+  },
+  performance: {
+    label: 'Rendimiento Académico',
+    description: 'Promedio de notas / 7.0',
+    evaluate: (ctx) => evaluatePerformance(filterByScope(ctx.records, 'performance'))
+  },
+  permanence: {
+    label: 'Permanencia',
+    description: '1 - (Años de retraso / 5)',
+    evaluate: (ctx) => evaluatePermanence(filterByScope(ctx.records, 'permanence'))
+  },
+  repetition: {
+    label: 'Índice de Repetición',
+    description: '1 - (Repeticiones / Total filas)',
+    evaluate: (ctx) => evaluateRepetition(filterByScope(ctx.records, 'repetition'))
+  },
+  criticality: {
+    label: 'Criticidad de Asignaturas',
+    description: 'Suma criticidad / (5 × Total cursos)',
+    evaluate: (ctx) => evaluateCriticality(filterByScope(ctx.records, 'criticality'), ctx.criticality)
+  },
+  relevance: {
+    label: 'Relevancia de Semestre',
+    description: 'Semestre máx alcanzado / Semestre plan',
+    evaluate: (ctx) => evaluateRelevance(filterByScope(ctx.records, 'relevance'), ctx.curriculumData)
+  },
+  demographic: {
+    label: 'Índice Demográfico',
+    description: '(Género + Ciudad + Colegio) / 3',
+    evaluate: (ctx) => evaluateDemographic(ctx.demographicData)
   }
+};
 
-  const value = (G + C + L) / 3;
+// -------- Public component API --------
+// Thin wrappers kept for callers that need a single component value.
+// When an `audit` object is passed, the component audit is stored under its key.
 
-  if (audit) {
-    audit.demographic = { G, C, L, genero, ciudad, colegio: tipoColegio, value };
-  }
+function valueWithAudit(result, key, audit) {
+  if (audit) audit[key] = result.audit;
+  return result.value;
+}
 
-  return value;
+export function calculateApprovalRate(studentRecords, audit = null) {
+  return valueWithAudit(evaluateApprovalRate(filterByScope(getMallaRecords(studentRecords), 'approvalRate')), 'approvalRate', audit);
 }
 
-/**
- * Get detailed course breakdown for audit/transparency
- */
-export function getCourseBreakdown(studentRecords, criticalityData, curriculumData) {
-  const records = getMallaRecords(studentRecords);
-  const breakdown = new Map();
+export function calculatePerformance(studentRecords, audit = null) {
+  return valueWithAudit(evaluatePerformance(filterByScope(getMallaRecords(studentRecords), 'performance')), 'performance', audit);
+}
+
+export function calculatePermanence(studentRecords, audit = null) {
+  return valueWithAudit(evaluatePermanence(filterByScope(getMallaRecords(studentRecords), 'permanence')), 'permanence', audit);
+}
 
-  // Build criticality lookup
-  const critByCode = new Map();
-  const critByName = new Map();
+export function calculateRepetition(studentRecords, audit = null) {
+  return valueWithAudit(evaluateRepetition(filterByScope(getMallaRecords(studentRecords), 'repetition')), 'repetition', audit);
+}
 
-  const getCriticalityScore = (item) => {
-    const intento4 = item.intento4 ?? item.Porcentaje_4 ?? null;
-    const intento3 = item.intento3 ?? item.Porcentaje_3 ?? null;
-    const intento2 = item.intento2 ?? item.Porcentaje_2 ?? null;
+export function calculateCriticality(studentRecords, criticalityData, audit = null) {
+  const lookup = buildCriticalityLookup(criticalityData);
+  return valueWithAudit(evaluateCriticality(filterByScope(getMallaRecords(studentRecords), 'criticality'), lookup), 'criticality', audit);
+}
 
-    if (intento4 !== null) return criticidadScoreFromPercent(intento4);
-    if (intento3 !== null) return criticidadScoreFromPercent(intento3);
-    if (intento2 !== null) return criticidadScoreFromPercent(intento2);
+export function calculateRelevance(studentRecords, curriculumData, audit = null) {
+  return valueWithAudit(evaluateRelevance(filterByScope(getMallaRecords(studentRecords), 'relevance'), curriculumData), 'relevance', audit);
+}
 
-    const catRaw = item.criticidad ?? item.categoria ?? item['Categoría'] ?? '';
-    const cat = normalizeText(catRaw).toLowerCase().replace(/\s+/g, '');
-    return CRITICALITY_SCORES[cat] ?? 1;
-  };
+export function calculateDemographic(demographicData, audit = null) {
+  return valueWithAudit(evaluateDemographic(demographicData), 'demographic', audit);
+}
 
-  if (criticalityData) {
-    const ingest = (list) => {
-      if (!Array.isArray(list)) return;
-      list.forEach(item => {
-        const code = normalizeText(item.codigo ?? item.sigla ?? '').replace(/\s+/g, '');
-        const name = normalizeText(item.Asignatura ?? item.asignatura ?? item.nombre ?? '');
-        const score = getCriticalityScore(item);
-        if (code) critByCode.set(code, score);
-        if (name) critByName.set(name, score);
-      });
-    };
-    if (Array.isArray(criticalityData)) ingest(criticalityData);
-    else Object.values(criticalityData).forEach(v => ingest(v));
-  }
+/**
+ * Get detailed course breakdown for audit/transparency
+ */
+export function getCourseBreakdown(studentRecords, criticalityData) {
+  return buildCourseBreakdown(getMallaRecords(studentRecords), buildCriticalityLookup(criticalityData));
+}
+
+function buildCourseBreakdown(records, criticalityLookup) {
+  const breakdown = new Map();
 
-  // Process records
   records.forEach(r => {
-    const key = r.codigoMalla || r.codigoAsignatura || r.CODIGO_ASIGNATURA || normalizeText(r.nombreMalla || r.asignatura);
+    const key = courseKey(r);
     if (!key) return;
 
     if (!breakdown.has(key)) {
-      const code = normalizeText(r.codigoMalla || r.codigoAsignatura || '').replace(/\s+/g, '');
-      const name = normalizeText(r.nombreMalla || r.nombreAsignatura || r.asignatura);
-
-      let critScore = 1;
-      if (code && critByCode.has(code)) critScore = critByCode.get(code);
-      else if (name && critByName.has(name)) critScore = critByName.get(name);
-
       breakdown.set(key, {
-        asignatura: r.nombreMalla || r.nombreAsignatura || r.asignatura || key,
+        asignatura: r.slotElectivo
+          ? `${r.nombreMalla} (${r.slotElectivo.indice}/${r.slotElectivo.total})`
+          : r.nombreMalla || r.nombreAsignatura || r.asignatura || key,
         codigo: r.codigoMalla || r.codigoAsignatura || '',
         intentos: 0,
         notas: [],
-        puntajeCriticidad: critScore,
+        puntajeCriticidad: criticalityLookup.scoreFor(r),
         semestreMalla: r.semestreCurricular || 0,
-        enMalla: true
+        enMalla: true,
+        aprobado: false,
+        fuentes: [],
+        estados: [],
+        detalleIntentos: []
       });
     }
 
     const entry = breakdown.get(key);
     entry.intentos++;
+    if (isApprovedRecord(r)) entry.aprobado = true;
+    // Attempts without a real grade (convalidado, retirado...) are labeled, not averaged
+    const state = getAcademicState(r);
+    if (state.id !== 'calificado' && !entry.estados.includes(state.label)) entry.estados.push(state.label);
+    // Source file and sheet of each attempt (multi-sheet / multi-file imports)
+    const fuente = [r._archivo, r._hoja].filter(Boolean).join(' › ');
+    if (fuente && !entry.fuentes.includes(fuente)) entry.fuentes.push(fuente);
+    // How the final grade of each attempt was consolidated from its partial items
+    if (r.consolidacion) {
+      entry.detalleIntentos.push({
+        periodo: `${r.anio || '?'}-${r.semestre || '?'}`,
+        oportunidad: r.oportunidad || 1,
+        nota: r.nota,
+        parciales: r.parciales || [],
+        regla: r.consolidacion.regla,
+        escala: r.consolidacion.escala || null,
+        pasos: r.consolidacion.pasos
+      });
+    }
     const nota = Number(r.nota);
-    if (Number.isFinite(nota) && nota > 0) {
+    if (Number.isFinite(nota) && nota > 0 && countsToward(r, 'performance')) {
       entry.notas.push(nota);
     }
   });
@@ -584,281 +653,107 @@ export function getCourseBreakdown(studentRecords, criticalityData, curriculumDa
   }));
 }
 
+// -------- Pipeline --------
+
 /**
- * Main Calculator
+ * Indicator pipeline (single code path for both entry points)
+ * inputs: { criticalityData, curriculumData, demographicData, weightProfile, levelScheme }
+ * options: { includeAudit } adds `audit` and `courseBreakdown` to the result
+ *
+ * Pure: the result depends only on the arguments, so students can be computed
+ * in any order (or in parallel) without leaking state between them.
  */
-export function calculateExitIndicator(studentRecords, criticalityData, curriculumData, demographicData) {
+export function runIndicatorPipeline(studentRecords, inputs = {}, options = {}) {
+  const { criticalityData, curriculumData, demographicData, weightProfile, levelScheme } = inputs;
+  const includeAudit = Boolean(options.includeAudit);
+
+  const profile = resolveWeightProfile(weightProfile);
+  const scheme = levelScheme || DEFAULT_LEVEL_SCHEME;
+
   if (!Array.isArray(studentRecords) || studentRecords.length === 0) {
-    return {
+    const empty = {
       components: {},
       totalScore: 0,
-      level: 'Bajo',
-      levelClass: 'low',
+      ...levelFields(0, scheme),
       malla: 'default',
+      weightProfile: weightProfileSnapshot(profile),
       stats: { totalCourses: 0, approvedCourses: 0, averageGrade: '0.00', currentSemester: 0, coveragePct: 0 }
     };
+    return includeAudit ? { ...empty, audit: null, courseBreakdown: [] } : empty;
   }
 
-  const mallaName = studentRecords[0]?.malla || 'default';
   const records = getMallaRecords(studentRecords);
+  const criticality = buildCriticalityLookup(criticalityData);
+  const context = { records, criticality, curriculumData, demographicData };
 
-  const compValues = {
-    approvalRate: calculateApprovalRate(studentRecords),
-    performance: calculatePerformance(studentRecords),
-    permanence: calculatePermanence(studentRecords),
-    repetition: calculateRepetition(studentRecords),
-    criticality: calculateCriticality(studentRecords, criticalityData),
-    relevance: calculateRelevance(studentRecords, curriculumData),
-    demographic: calculateDemographic(demographicData)
-  };
-
-  const components = {
-    approvalRate: {
-      value: compValues.approvalRate,
-      weight: 0.25,
-      label: 'Tasa de Aprobación',
-      description: 'Cursos aprobados / Cursos cursados (filas)'
-    },
-    performance: {
-      value: compValues.performance,
-      weight: 0.20,
-      label: 'Rendimiento Académico',
-      description: 'Promedio de notas / 7.0'
-    },
-    permanence: {
-      value: compValues.permanence,
-      weight: 0.20,
-      label: 'Permanencia',
-      description: '1 - (Años de retraso / 5)'
-    },
-    repetition: {
-      value: compValues.repetition,
-      weight: 0.10,
-      label: 'Índice de Repetición',
-      description: '1 - (Repeticiones / Total filas)'
-    },
-    criticality: {
-      value: compValues.criticality,
-      weight: 0.10,
-      label: 'Criticidad de Asignaturas',
-      description: 'Suma criticidad / (5 × Total cursos)'
-    },
-    relevance: {
-      value: compValues.relevance,
-      weight: 0.10,
-      label: 'Relevancia de Semestre',
-      description: 'Semestre máx alcanzado / Semestre plan'
-    },
-    demographic: {
-      value: compValues.demographic,
-      weight: 0.05,
-      label: 'Índice Demográfico',
-      description: '(Género + Ciudad + Colegio) / 3'
-    }
-  };
-
-  // Calculate Total
+  // Evaluate every component
+  const components = {};
+  const audit = {};
+  let derived = {};
   let totalScore = 0;
-  Object.values(components).forEach(c => {
-    c.weightedValue = c.value * c.weight;
-    totalScore += c.weightedValue;
-  });
-
-  const finalPercentage = totalScore * 100;
 
-  // Level
-  let level, levelClass;
-  if (finalPercentage >= 80) {
-    level = 'Alto';
-    levelClass = 'high';
-  } else if (finalPercentage >= 60) {
-    level = 'Medio';
-    levelClass = 'medium';
-  } else {
-    level = 'Bajo';
-    levelClass = 'low';
-  }
-
-  // Stats for UI
-  const uniqueCoursesTaken = new Set(records.map(r => (r.codigoMalla || r.codigoAsignatura || r.CODIGO_ASIGNATURA || r.nombreMalla)));
-  const totalMallaCount = uniqueCoursesTaken.size;
+  COMPONENT_KEYS.forEach(key => {
+    const def = COMPONENT_DEFINITIONS[key];
+    const { value, audit: componentAudit, stats } = def.evaluate(context);
+    const weight = profile.pesos[key];
+    const weightedValue = value * weight;
 
-  const approvedCoursesSet = new Set();
-  records.forEach(r => {
-    const nota = Number(r.nota);
-    const isApproved =
-      (Number.isFinite(nota) && nota >= 4.0) ||
-      (r.estado && String(r.estado).toLowerCase().includes('aprob'));
-    if (isApproved) {
-      approvedCoursesSet.add(r.codigoMalla || r.codigoAsignatura || r.CODIGO_ASIGNATURA || r.nombreMalla);
-    }
+    components[key] = { value, weight, label: def.label, description: def.description, weightedValue };
+    audit[key] = componentAudit;
+    derived = { ...derived, ...stats };
+    totalScore += weightedValue;
   });
-  const approvedMallaCount = approvedCoursesSet.size;
 
-  const grades = records
-    .map(r => Number(r.nota))
-    .filter(g => Number.isFinite(g) && g > 0);
-  const avgGrade = grades.length ? (grades.reduce((s, g) => s + g, 0) / grades.length) : 0;
+  const finalPercentage = totalScore * 100;
 
+  // Stats for UI (withdrawn courses do not cover the plan)
+  const totalMallaCount = new Set(filterByScope(records, 'coverage').map(courseKey)).size;
   const planTotal = getTotalPlanCourses(curriculumData);
   const coveragePct = planTotal > 0 ? (totalMallaCount / planTotal) * 100 : 0;
 
-  return {
+  const result = {
     components,
     totalScore: finalPercentage,
-    level,
-    levelClass,
-    malla: mallaName,
+    ...levelFields(finalPercentage, scheme),
+    malla: studentRecords[0]?.malla || 'default',
+    weightProfile: weightProfileSnapshot(profile),
     stats: {
       totalCourses: totalMallaCount,
-      approvedCourses: approvedMallaCount,
-      averageGrade: avgGrade.toFixed(2),
-      currentSemester: calculateExitIndicator.ultimoSemestreAlcanzado || 0,
+      approvedCourses: derived.approvedCourses || 0,
+      averageGrade: (derived.averageGrade || 0).toFixed(2),
+      currentSemester: derived.currentSemester || 0,
       coveragePct
     }
   };
+
+  if (!includeAudit) return result;
+
+  return {
+    ...result,
+    audit,
+    courseBreakdown: buildCourseBreakdown(records, criticality)
+  };
+}
+
+/**
+ * Main Calculator
+ * Component weights come from the weighting profile (defaults to Spec Jan 2026)
+ */
+export function calculateExitIndicator(studentRecords, criticalityData, curriculumData, demographicData, weightProfile = DEFAULT_WEIGHT_PROFILE, levelScheme = DEFAULT_LEVEL_SCHEME) {
+  return runIndicatorPipeline(
+    studentRecords,
+    { criticalityData, curriculumData, demographicData, weightProfile, levelScheme }
+  );
 }
 
 /**
  * Main Calculator with Audit Mode
  * Returns additional audit object with detailed breakdowns
  */
-export function calculateExitIndicatorWithAudit(studentRecords, criticalityData, curriculumData, demographicData) {
-  if (!Array.isArray(studentRecords) || studentRecords.length === 0) {
-    return {
-      components: {},
-      totalScore: 0,
-      level: 'Bajo',
-      levelClass: 'low',
-      malla: 'default',
-      stats: { totalCourses: 0, approvedCourses: 0, averageGrade: '0.00', currentSemester: 0, coveragePct: 0 },
-      audit: null,
-      courseBreakdown: []
-    };
-  }
-
-  const audit = {};
-  const mallaName = studentRecords[0]?.malla || 'default';
-  const records = getMallaRecords(studentRecords);
-
-  const compValues = {
-    approvalRate: calculateApprovalRate(studentRecords, audit),
-    performance: calculatePerformance(studentRecords, audit),
-    permanence: calculatePermanence(studentRecords, audit),
-    repetition: calculateRepetition(studentRecords, audit),
-    criticality: calculateCriticality(studentRecords, criticalityData, audit),
-    relevance: calculateRelevance(studentRecords, curriculumData, audit),
-    demographic: calculateDemographic(demographicData, audit)
-  };
-
-  const components = {
-    approvalRate: {
-      value: compValues.approvalRate,
-      weight: 0.25,
-      label: 'Tasa de Aprobación',
-      description: 'Cursos aprobados / Cursos cursados (filas)'
-    },
-    performance: {
-      value: compValues.performance,
-      weight: 0.20,
-      label: 'Rendimiento Académico',
-      description: 'Promedio de notas / 7.0'
-    },
-    permanence: {
-      value: compValues.permanence,
-      weight: 0.20,
-      label: 'Permanencia',
-      description: '1 - (Años de retraso / 5)'
-    },
-    repetition: {
-      value: compValues.repetition,
-      weight: 0.10,
-      label: 'Índice de Repetición',
-      description: '1 - (Repeticiones / Total filas)'
-    },
-    criticality: {
-      value: compValues.criticality,
-      weight: 0.10,
-      label: 'Criticidad de Asignaturas',
-      description: 'Suma criticidad / (5 × Total cursos)'
-    },
-    relevance: {
-      value: compValues.relevance,
-      weight: 0.10,
-      label: 'Relevancia de Semestre',
-      description: 'Semestre máx alcanzado / Semestre plan'
-    },
-    demographic: {
-      value: compValues.demographic,
-      weight: 0.05,
-      label: 'Índice Demográfico',
-      description: '(Género + Ciudad + Colegio) / 3'
-    }
-  };
-
-  // Calculate Total
-  let totalScore = 0;
-  Object.values(components).forEach(c => {
-    c.weightedValue = c.value * c.weight;
-    totalScore += c.weightedValue;
-  });
-
-  const finalPercentage = totalScore * 100;
-
-  // Level
-  let level, levelClass;
-  if (finalPercentage >= 80) {
-    level = 'Alto';
-    levelClass = 'high';
-  } else if (finalPercentage >= 60) {
-    level = 'Medio';
-    levelClass = 'medium';
-  } else {
-    level = 'Bajo';
-    levelClass = 'low';
-  }
-
-  // Stats for UI
-  const uniqueCoursesTaken = new Set(records.map(r => (r.codigoMalla || r.codigoAsignatura || r.CODIGO_ASIGNATURA || r.nombreMalla)));
-  const totalMallaCount = uniqueCoursesTaken.size;
-
-  const approvedCoursesSet = new Set();
-  records.forEach(r => {
-    const nota = Number(r.nota);
-    const isApproved =
-      (Number.isFinite(nota) && nota >= 4.0) ||
-      (r.estado && String(r.estado).toLowerCase().includes('aprob'));
-    if (isApproved) {
-      approvedCoursesSet.add(r.codigoMalla || r.codigoAsignatura || r.CODIGO_ASIGNATURA || r.nombreMalla);
-    }
-  });
-  const approvedMallaCount = approvedCoursesSet.size;
-
-  const grades = records
-    .map(r => Number(r.nota))
-    .filter(g => Number.isFinite(g) && g > 0);
-  const avgGrade = grades.length ? (grades.reduce((s, g) => s + g, 0) / grades.length) : 0;
-
-  const planTotal = getTotalPlanCourses(curriculumData);
-  const coveragePct = planTotal > 0 ? (totalMallaCount / planTotal) * 100 : 0;
-
-  // Get course breakdown
-  const courseBreakdown = getCourseBreakdown(studentRecords, criticalityData, curriculumData);
-
-  return {
-    components,
-    totalScore: finalPercentage,
-    level,
-    levelClass,
-    malla: mallaName,
-    stats: {
-      totalCourses: totalMallaCount,
-      approvedCourses: approvedMallaCount,
-      averageGrade: avgGrade.toFixed(2),
-      currentSemester: calculateExitIndicator.ultimoSemestreAlcanzado || 0,
-      coveragePct
-    },
-    audit,
-    courseBreakdown
-  };
+export function calculateExitIndicatorWithAudit(studentRecords, criticalityData, curriculumData, demographicData, weightProfile = DEFAULT_WEIGHT_PROFILE, levelScheme = DEFAULT_LEVEL_SCHEME) {
+  return runIndicatorPipeline(
+    studentRecords,
+    { criticalityData, curriculumData, demographicData, weightProfile, levelScheme },
+    { includeAudit: true }
+  );
 }
@@ -0,0 +1,105 @@
+/**
+ * Cohort Statistics
+ * Where a student stands relative to their cohort (same malla, same entry year):
+ * percentiles, ranking and score distributions.
+ */
+
+import { groupRecordsByStudent } from './batch.js';
+import { COMPONENT_KEYS } from './weightProfiles.js';
+
+// Fewer peers than this and a percentile is not meaningful
+export const MIN_COHORT_SIZE = 5;
+
+/**
+ * Entry year = earliest anio among the student's records (null when undated)
+ */
+export function getEntryYear(records) {
+  const years = (records || []).map(r => parseInt(r.anio, 10)).filter(y => y > 0);
+  return years.length ? Math.min(...years) : null;
+}
+
+/**
+ * Cohort of a student: { malla, entryYear }
+ */
+export function getCohortKey(studentRecords) {
+  return {
+    malla: String(studentRecords?.[0]?.malla || 'default'),
+    entryYear: getEntryYear(studentRecords)
+  };
+}
+
+/**
+ * Records of every student in the same cohort (the student included)
+ */
+export function selectCohortRecords(gradesData, cohort) {
+  const selected = [];
+  groupRecordsByStudent(gradesData).forEach(records => {
+    const key = getCohortKey(records);
+    if (key.malla === cohort.malla && key.entryYear === cohort.entryYear) {
+      selected.push(...records);
+    }
+  });
+  return selected;
+}
+
+/**
+ * Percentile rank (0-100): share of values below, counting ties as half
+ */
+export function percentileRank(values, value) {
+  if (!values || values.length === 0) return 0;
+  let below = 0;
+  let equal = 0;
+  values.forEach(v => {
+    if (v < value) below++;
+    else if (v === value) equal++;
+  });
+  return ((below + equal / 2) / values.length) * 100;
+}
+
+/**
+ * Equal-width histogram over [min, max]: [{ from, to, count }]
+ */
+export function buildHistogram(values, { min = 0, max = 100, bins = 10 } = {}) {
+  const width = (max - min) / bins;
+  const histogram = Array.from({ length: bins }, (_, i) => ({
+    from: min + i * width,
+    to: min + (i + 1) * width,
+    count: 0
+  }));
+
+  (values || []).forEach(v => {
+    const idx = Math.min(bins - 1, Math.max(0, Math.floor((v - min) / width)));
+    histogram[idx].count++;
+  });
+
+  return histogram;
+}
+
+/**
+ * Position of a student within the computed cohort rows (see batch.js).
+ * Values are percentages (0-100) for the total and every component.
+ * Returns null when the student is not among the rows.
+ */
+export function summarizeCohortPosition(rows, rut) {
+  const student = (rows || []).find(r => String(r.rut) === String(rut));
+  if (!student) return null;
+
+  const describe = (values, value) => ({
+    value,
+    percentile: percentileRank(values, value),
+    histogram: buildHistogram(values)
+  });
+
+  const totals = rows.map(r => r.totalScore);
+  const components = {};
+  COMPONENT_KEYS.forEach(key => {
+    components[key] = describe(rows.map(r => r.components[key] * 100), student.components[key] * 100);
+  });
+
+  return {
+    size: rows.length,
+    rank: 1 + totals.filter(t => t > student.totalScore).length,
+    total: describe(totals, student.totalScore),
+    components
+  };
+}
@@ -0,0 +1,171 @@
+/**
+ * Course Equivalences
+ * Manual equivalence table kept in localStorage: a source course name or code
+ * mapped to a malla course, or marked as not part of the malla. Applied by
+ * enrichGradesWithTraza before any automatic matching.
+ */
+
+import { normalizeCourseName } from './mallaIndex.js';
+
+const STORAGE_KEY = 'uvm-analytics.courseEquivalences';
+
+// Key of a source name or code: case, accents, spacing and punctuation ignored
+function toKey(value) {
+  return normalizeCourseName(value, true);
+}
+
+function createEquivalence({ origen, destino, noEnMalla }) {
+  return {
+    id: `equivalencia-${toKey(origen)}`,
+    origen: String(origen).trim(),
+    clave: toKey(origen),
+    destino: noEnMalla || !destino ? null : { codigo: String(destino.codigo || ''), nombre: String(destino.nombre || '') },
+    noEnMalla: Boolean(noEnMalla),
+    updatedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Saved equivalences: [{ id, origen, clave, destino: { codigo, nombre } | null, noEnMalla, updatedAt }]
+ */
+export function loadCourseEquivalences() {
+  if (typeof localStorage === 'undefined') return [];
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(stored) ? stored.filter(e => e && e.clave && (e.destino || e.noEnMalla)) : [];
+  } catch (error) {
+    console.warn('[courseEquivalences] Equivalencias guardadas ilegibles, se ignoran:', error);
+    return [];
+  }
+}
+
+/**
+ * Store the table in this browser (the app saves it whenever it changes)
+ */
+export function persistCourseEquivalences(equivalences) {
+  if (typeof localStorage === 'undefined') return;
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(equivalences));
+}
+
+/**
+ * Add or replace (same source key) equivalences. Returns the updated list.
+ */
+export function mergeCourseEquivalences(equivalences, incoming) {
+  const keys = new Set(incoming.map(e => e.clave));
+  return [...(equivalences || []).filter(e => !keys.has(e.clave)), ...incoming];
+}
+
+/**
+ * Save one equivalence: { origen, destino: { codigo, nombre } } or { origen, noEnMalla: true }.
+ * Returns the updated list.
+ */
+export function saveCourseEquivalence(equivalences, equivalence) {
+  return mergeCourseEquivalences(equivalences, [createEquivalence(equivalence)]);
+}
+
+/**
+ * Remove an equivalence by id. Returns the updated list.
+ */
+export function deleteCourseEquivalence(equivalences, id) {
+  return (equivalences || []).filter(e => e.id !== id);
+}
+
+/**
+ * Read equivalences from a JSON payload: { equivalencias: [{ origen, destino: { codigo, nombre } }
+ * | { origen, noEnMalla: true }] }. Returns { equivalences, errors } with only valid entries.
+ */
+export function parseCourseEquivalences(data) {
+  const list = Array.isArray(data?.equivalencias) ? data.equivalencias : [];
+  const equivalences = [];
+  const errors = [];
+
+  list.forEach((item, idx) => {
+    const label = item?.origen || `#${idx + 1}`;
+    if (!item || !toKey(item.origen)) {
+      errors.push(`Equivalencia ${label}: falta "origen"`);
+    } else if (!item.noEnMalla && !(item.destino?.codigo || item.destino?.nombre)) {
+      errors.push(`Equivalencia "${label}": indica "destino" (código o nombre) o "noEnMalla": true`);
+    } else {
+      equivalences.push(createEquivalence(item));
+    }
+  });
+
+  if (list.length === 0) errors.push('No se encontraron equivalencias');
+  return { equivalences, errors };
+}
+
+/**
+ * Heuristic used by the upload step to recognize an equivalence table
+ */
+export function looksLikeCourseEquivalences(data) {
+  return Array.isArray(data?.equivalencias);
+}
+
+/**
+ * Download the table as JSON in the format parseCourseEquivalences reads
+ */
+export function downloadCourseEquivalences(equivalences) {
+  const data = {
+    equivalencias: (equivalences || []).map(({ origen, destino, noEnMalla }) => (
+      noEnMalla ? { origen, noEnMalla: true } : { origen, destino }
+    ))
+  };
+  const url = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = 'equivalencias_asignaturas.json';
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Lookup by source key, built once per enrichment
+ */
+export function indexCourseEquivalences(equivalences) {
+  return new Map((equivalences || []).map(e => [e.clave, e]));
+}
+
+/**
+ * Equivalence for a record: by course code first, then by course name
+ */
+export function findCourseEquivalence(equivalenceIndex, record) {
+  if (!equivalenceIndex || equivalenceIndex.size === 0 || !record) return null;
+  const codeKey = toKey(record.codigoAsignatura || record.codigoGenerico);
+  const nameKey = toKey(record.nombreAsignatura);
+  return (codeKey && equivalenceIndex.get(codeKey)) || (nameKey && equivalenceIndex.get(nameKey)) || null;
+}
+
+/**
+ * Malla course an equivalence points to (by code, then by name); null when the
+ * destination is not in this malla
+ */
+export function resolveEquivalenceCourse(equivalence, mallaIndex) {
+  if (!equivalence?.destino || !mallaIndex) return null;
+  const code = normalizeCourseName(equivalence.destino.codigo, true);
+  const name = normalizeCourseName(equivalence.destino.nombre);
+  return (code && mallaIndex.byCode.get(code)) || (name && mallaIndex.byName.get(name)) || null;
+}
+
+/**
+ * Course names (or codes) of enriched records that are not in the malla and have
+ * no manual decision yet: [{ origen, count, ambigua, candidatos }], most frequent first
+ */
+export function summarizeUnmatchedCourses(enrichedRecords) {
+  const byKey = new Map();
+  (enrichedRecords || []).forEach(r => {
+    if (r.enMalla || r.coincidenciaMalla?.metodo === 'manual') return;
+    const origen = r.nombreAsignatura || r.codigoAsignatura;
+    const key = toKey(origen);
+    if (!key) return;
+    if (!byKey.has(key)) {
+      byKey.set(key, {
+        origen,
+        count: 0,
+        ambigua: Boolean(r.coincidenciaMalla?.ambigua),
+        candidatos: r.coincidenciaMalla?.candidatos || []
+      });
+    }
+    byKey.get(key).count++;
+  });
+  return Array.from(byKey.values()).sort((a, b) => b.count - a.count);
+}
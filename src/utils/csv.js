@@ -0,0 +1,151 @@
+/**
+ * CSV Reader (RFC 4180)
+ * Quoted fields, escaped quotes, embedded newlines, CRLF and BOM.
+ * Detects the text encoding (UTF-8 / Latin-1), the delimiter and the decimal separator.
+ */
+
+const DELIMITER_CANDIDATES = [',', ';', '\t', '|'];
+
+// Lines sampled when detecting the delimiter
+const SAMPLE_LINES = 20;
+
+/**
+ * Decode file bytes. UTF-8 (with or without BOM) is tried first; bytes that are not
+ * valid UTF-8 are read as Latin-1 (windows-1252, what Excel uses for "CSV" in Spanish locales).
+ * Returns { text, encoding }
+ */
+export function decodeText(buffer) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+
+  if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+    return { text: new TextDecoder('utf-16le').decode(bytes), encoding: 'utf-16le' };
+  }
+  if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+    return { text: new TextDecoder('utf-16be').decode(bytes), encoding: 'utf-16be' };
+  }
+
+  try {
+    // TextDecoder strips the UTF-8 BOM by default
+    return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes), encoding: 'utf-8' };
+  } catch {
+    return { text: new TextDecoder('windows-1252').decode(bytes), encoding: 'latin-1' };
+  }
+}
+
+/**
+ * Split text into rows of fields (RFC 4180).
+ * Fully empty lines are skipped.
+ */
+export function parseCSV(text, delimiter = ',') {
+  const source = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const endField = () => {
+    row.push(field);
+    field = '';
+  };
+  const endRow = () => {
+    endField();
+    if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+    row = [];
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (source[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      endField();
+    } else if (char === '\r') {
+      if (source[i + 1] === '\n') i++;
+      endRow();
+    } else if (char === '\n') {
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) endRow();
+
+  return rows;
+}
+
+/**
+ * Pick the delimiter that gives the most consistent field count (>1) over the first lines.
+ * Title lines above the header (a single field) do not count.
+ */
+export function detectDelimiter(text) {
+  const sample = String(text || '').replace(/^\uFEFF/, '').slice(0, 64 * 1024);
+  let best = { delimiter: ',', score: -1 };
+
+  DELIMITER_CANDIDATES.forEach(delimiter => {
+    const counts = parseCSV(sample, delimiter).slice(0, SAMPLE_LINES).map(r => r.length);
+    if (counts.length === 0) return;
+
+    // Most frequent multi-field count, ties broken by more columns
+    const frequency = {};
+    counts.filter(c => c > 1).forEach(c => { frequency[c] = (frequency[c] || 0) + 1; });
+    Object.entries(frequency).forEach(([fields, lines]) => {
+      const score = (lines / counts.length) * 1000 + Number(fields);
+      if (score > best.score) best = { delimiter, score };
+    });
+  });
+
+  return best.delimiter;
+}
+
+/**
+ * ',' when decimal commas ("5,5") outnumber decimal points ("5.5") in the data rows
+ */
+export function detectDecimalSeparator(rows) {
+  let commas = 0;
+  let points = 0;
+
+  (rows || []).forEach(row => row.forEach(value => {
+    const v = String(value).trim();
+    if (/^-?\d+,\d+$/.test(v)) commas++;
+    else if (/^-?\d+\.\d+$/.test(v)) points++;
+  }));
+
+  return commas > points ? ',' : '.';
+}
+
+/**
+ * Number from a CSV field honoring the detected decimal separator (NaN when not numeric)
+ */
+export function parseNumber(value, decimalSeparator = '.') {
+  if (typeof value === 'number') return value;
+  let v = String(value ?? '').trim().replace(/\s/g, '');
+  // "1.234,5" -> 1234.5; a lone point is still read as a decimal point
+  if (decimalSeparator === ',' && v.includes(',')) v = v.replace(/\./g, '').replace(',', '.');
+  return v === '' ? NaN : Number(v);
+}
+
+/**
+ * Full read: decode and split with the detected delimiter.
+ * Returns { matrix, delimiter, encoding } (header detection is left to the caller)
+ */
+export function readCSV(buffer) {
+  const { text, encoding } = decodeText(buffer);
+  const delimiter = detectDelimiter(text);
+  return { matrix: parseCSV(text, delimiter), delimiter, encoding };
+}
@@ -0,0 +1,109 @@
+/**
+ * Curriculum Registry
+ * One malla per plan version ([{ plan, titulo, data }]) and the selection of the
+ * malla each student is evaluated against, from the `malla` field of their records.
+ */
+
+import { normalizePlanId } from './mallaIndex.js';
+import { enrichGradesWithTraza } from './parsers.js';
+
+// Records without a plan carry this value (see gradeColumns.js)
+const NO_PLAN = 'default';
+
+/**
+ * Plan of a curriculum file: an explicit plan field, else a year in its title,
+ * else a year in the file name, else 'default'
+ */
+export function getCurriculumPlanId(data, filename = '') {
+  const explicit = data?.plan ?? data?.malla ?? data?.codigo_plan ?? data?.version;
+  if (explicit !== undefined && explicit !== null && typeof explicit !== 'object' && String(explicit).trim()) {
+    return String(explicit).trim();
+  }
+  const year = /\b(19|20)\d{2}\b/;
+  const fromTitle = year.exec(String(data?.titulo || data?.nombre || ''));
+  if (fromTitle) return fromTitle[0];
+  const fromName = year.exec(String(filename).replace(/[_-]/g, ' '));
+  return fromName ? fromName[0] : NO_PLAN;
+}
+
+/**
+ * Registry entry for a curriculum file
+ */
+export function createCurriculumEntry(data, filename = '') {
+  const plan = getCurriculumPlanId(data, filename);
+  return { plan, titulo: String(data?.titulo || data?.nombre || `Malla ${plan}`), data };
+}
+
+/**
+ * Add a curriculum, replacing the one loaded for the same plan. Returns the updated list.
+ */
+export function addCurriculum(curricula, entry) {
+  const key = normalizePlanId(entry.plan);
+  return [...(curricula || []).filter(c => normalizePlanId(c.plan) !== key), entry];
+}
+
+/**
+ * Curriculum loaded for a plan (null when there is none)
+ */
+export function findCurriculum(curricula, plan) {
+  const key = normalizePlanId(plan);
+  if (!key) return null;
+  return (curricula || []).find(c => normalizePlanId(c.plan) === key) || null;
+}
+
+/**
+ * Plan a student is on: the malla of their most recent attempt with one (null when no record has it)
+ */
+export function getStudentPlan(records) {
+  const withPlan = (records || []).filter(r => r.malla && String(r.malla) !== NO_PLAN);
+  if (withPlan.length === 0) return null;
+  const latest = withPlan.reduce((best, r) => {
+    const period = (Number(r.anio) || 0) * 10 + (Number(r.semestre) || 0);
+    const bestPeriod = (Number(best.anio) || 0) * 10 + (Number(best.semestre) || 0);
+    return period >= bestPeriod ? r : best;
+  });
+  return String(latest.malla);
+}
+
+/**
+ * Malla for a student's records: { plan, entry, missing }.
+ * `entry` is the curriculum of the student's plan; when that plan has no curriculum
+ * (or the records carry no plan) it is the 'default' one, else the first loaded.
+ * `missing` is true when the student's plan is known but no curriculum was loaded for it.
+ */
+export function selectCurriculum(curricula, records) {
+  const plan = getStudentPlan(records);
+  const entry = findCurriculum(curricula, plan);
+  if (entry) return { plan, entry, missing: false };
+
+  const fallback = findCurriculum(curricula, NO_PLAN) || (curricula || [])[0] || null;
+  return { plan, entry: fallback, missing: Boolean(plan) };
+}
+
+/**
+ * Enrich a whole dataset, each student against the malla of their plan.
+ * Records are tagged with mallaAplicada (plan of the curriculum used, null when none)
+ * and mallaFaltante (the student's plan when it has no curriculum loaded).
+ * Records of an earlier plan are homologated into the plan of that curriculum.
+ * options: { equivalences, homologations } passed to enrichGradesWithTraza
+ */
+export function enrichGradesByPlan(gradesData, curricula, options = {}) {
+  const byRut = new Map();
+  (gradesData || []).forEach(record => {
+    const key = String(record.rut);
+    if (!byRut.has(key)) byRut.set(key, []);
+    byRut.get(key).push(record);
+  });
+
+  const enriched = [];
+  byRut.forEach(records => {
+    const { plan, entry, missing } = selectCurriculum(curricula, records);
+    const studentRecords = entry ? enrichGradesWithTraza(records, entry.data, { ...options, plan: entry.plan }) : records;
+    studentRecords.forEach(r => enriched.push({
+      ...r,
+      mallaAplicada: entry ? entry.plan : null,
+      mallaFaltante: missing ? plan : null
+    }));
+  });
+  return enriched;
+}
@@ -0,0 +1,77 @@
+/**
+ * Elective Slots
+ * Spreads a student's attempts at an elective group ("Formación General" in
+ * semesters 3, 4, 5 and 7) over its slots, so two approved electives fill two
+ * slots instead of counting as a repetition of one course.
+ */
+
+import { normalizeCourseName } from './mallaIndex.js';
+import { isApprovedRecord } from './calculators.js';
+
+function periodOrder(r) {
+  return (Number(r.anio) || 0) * 100 + (Number(r.semestre) || 0) * 10 + (Number(r.oportunidad) || 1);
+}
+
+/**
+ * Assign each enriched record of an elective group to one of its slots.
+ * In period order, an attempt goes to:
+ * 1. the open (not yet approved) slot the same source course already occupies (a retake),
+ * 2. else the first open slot not taken in that same period,
+ * 3. else the last slot (more electives than the plan asks for).
+ * Slot records get the slot's semestreCurricular / codigoMalla / nombreMalla and
+ * slotElectivo { grupo, indice, total, clave }. Other records are returned unchanged.
+ */
+export function assignElectiveSlots(records, mallaIndex) {
+  if (!mallaIndex?.slotGroups || mallaIndex.slotGroups.size === 0) return records;
+
+  const slotOf = new Map();
+  const byStudentGroup = new Map();
+  records.forEach((r, idx) => {
+    const slots = r.enMalla ? findSlotGroup(r, mallaIndex) : null;
+    if (!slots) return;
+    const key = `${r.rut}|${slots[0].slot.clave}`;
+    if (!byStudentGroup.has(key)) byStudentGroup.set(key, { slots, items: [] });
+    byStudentGroup.get(key).items.push({ r, idx });
+  });
+
+  byStudentGroup.forEach(({ slots, items }) => {
+    const state = slots.map(() => ({ approved: false, source: null, periods: new Set() }));
+    items
+      .sort((a, b) => periodOrder(a.r) - periodOrder(b.r) || a.idx - b.idx)
+      .forEach(({ r, idx }) => {
+        const source = normalizeCourseName(r.nombreAsignatura || r.codigoAsignatura, true);
+        const period = `${r.anio}-${r.semestre}`;
+        let slotIdx = state.findIndex(s => !s.approved && s.source === source);
+        if (slotIdx < 0) slotIdx = state.findIndex(s => !s.approved && !s.periods.has(period));
+        if (slotIdx < 0) slotIdx = state.length - 1;
+
+        const current = state[slotIdx];
+        current.source = source;
+        current.periods.add(period);
+        if (isApprovedRecord(r)) current.approved = true;
+        slotOf.set(idx, slots[slotIdx]);
+      });
+  });
+
+  if (slotOf.size === 0) return records;
+  return records.map((r, idx) => {
+    const course = slotOf.get(idx);
+    if (!course) return r;
+    return {
+      ...r,
+      semestreCurricular: course.semestre,
+      codigoMalla: course.codigo,
+      nombreMalla: course.nombre,
+      slotElectivo: { ...course.slot }
+    };
+  });
+}
+
+// Slots of the elective group a matched record belongs to (null for regular courses)
+function findSlotGroup(record, mallaIndex) {
+  const code = normalizeCourseName(record.codigoMalla, true);
+  const name = normalizeCourseName(record.nombreMalla);
+  const course = (code && mallaIndex.byCode.get(code)) || (name && mallaIndex.byName.get(name));
+  if (!course?.slot) return null;
+  return Array.from(mallaIndex.slotGroups.values()).find(slots => slots.includes(course)) || null;
+}
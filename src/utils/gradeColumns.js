@@ -0,0 +1,268 @@
+/**
+ * Grade Columns
+ * Single header-recognition and row-normalization engine shared by the
+ * Excel, CSV and JSON parsers, so one export gives the same records in any format.
+ */
+
+import { normalizeCourseName } from './mallaIndex.js';
+import { parseNumber, detectDecimalSeparator } from './csv.js';
+import { normalizeRut } from './rut.js';
+import { classifyAcademicState } from './academicStates.js';
+
+// Rows scanned when looking for the header row (exports often start with title lines)
+const HEADER_SCAN_ROWS = 20;
+
+/**
+ * Recognized fields in priority order. Each matcher receives the normalized header
+ * (no accents, upper case, only A-Z0-9). A column is assigned to at most one field.
+ */
+export const GRADE_FIELDS = [
+  { field: 'rut', label: 'RUT', matchers: [(k) => k.includes('RUT')] },
+  {
+    field: 'codigoAsignatura',
+    label: 'Código asignatura',
+    matchers: [
+      (k) => k.includes('CODIGOASIGNATURA'),
+      (k) => k.includes('SIGLAASIGNATURA'),
+      (k) => k.includes('CODIGO') && k.includes('ASIGNATURA'),
+      (k) => k.includes('SIGLA') && k.includes('ASIGNATURA'),
+      (k) => k === 'SIGLA',
+      (k) => k === 'CODPROGRAMA'
+    ]
+  },
+  // MATERIA + CURSO (partial notes file) combine into the course code, e.g. 'KINE' + '1052'
+  { field: 'materia', label: 'Materia', matchers: [(k) => k === 'MATERIA'] },
+  { field: 'curso', label: 'Curso', matchers: [(k) => k === 'CURSO'] },
+  {
+    field: 'nombreAsignatura',
+    label: 'Nombre asignatura',
+    matchers: [
+      (k) => k.includes('NOMBREASIGNATURA'),
+      (k) => k === 'ASIGNATURA',
+      (k) => k.includes('ASIGNATURA'),
+      (k) => k.includes('NOMBRE') && !/^NOMBRE\d+$/.test(k) // 'NOMBRE_1' is the evaluation name
+    ]
+  },
+  {
+    field: 'nota',
+    label: 'Nota',
+    matchers: [
+      (k) => k === 'NOTA',
+      (k) => k.includes('CALIFICACION'),
+      (k) => k.includes('NOTA'),
+      (k) => k.includes('PROMEDIO') && !k.includes('PROMEDIOFINAL')
+    ]
+  },
+  {
+    field: 'peso',
+    label: 'Peso',
+    matchers: [(k) => k === 'PESO', (k) => k.includes('PONDERACION'), (k) => k.includes('PORCENTAJE')]
+  },
+  { field: 'periodo', label: 'Período', matchers: [(k) => k.includes('PERIODO')] },
+  { field: 'semestre', label: 'Semestre', matchers: [(k) => k === 'SEMESTRE', (k) => k.includes('SEMESTRE')] },
+  { field: 'anio', label: 'Año', matchers: [(k) => k === 'ANIO', (k) => k === 'ANO', (k) => k.includes('ANIO')] },
+  { field: 'oportunidad', label: 'Oportunidad', matchers: [(k) => k.includes('OPORTUNIDAD'), (k) => k.includes('INTENTO')] },
+  { field: 'malla', label: 'Malla', matchers: [(k) => k.includes('MALLA'), (k) => k.includes('PLAN')] },
+  { field: 'estado', label: 'Estado', matchers: [(k) => k.includes('ESTADO'), (k) => k.includes('APROBADO')] },
+  // Name of a partial evaluation ('Control 1', 'Examen'), used by the consolidation rules
+  {
+    field: 'evaluacion',
+    label: 'Evaluación',
+    matchers: [(k) => k.includes('EVALUACION'), (k) => /^NOMBRE\d+$/.test(k), (k) => k.includes('INSTRUMENTO')]
+  },
+  { field: 'codigoGenerico', label: 'Código', matchers: [(k) => k === 'CODIGO'] }
+];
+
+const NUMERIC_FIELDS = ['nota', 'peso'];
+
+// "No se presentó" written in the grade column: NSP, N.S.P., NP
+const NO_SHOW_PATTERN = /^N\.?\s*S?\.?\s*P\.?$/i;
+
+/**
+ * True for a grade cell that records a no-show instead of a grade
+ */
+export function isNoShowGrade(value) {
+  return typeof value === 'string' && NO_SHOW_PATTERN.test(value.trim());
+}
+
+function normalizeHeader(header) {
+  return normalizeCourseName(header, true);
+}
+
+/**
+ * Assign headers to fields: { mapping: { field: header }, unmapped: [header] }
+ * Matchers run field by field, in order; a claimed header is not offered to later fields.
+ */
+export function recognizeColumns(headers) {
+  const entries = (headers || [])
+    .filter(h => h !== undefined && h !== null && String(h).trim() !== '')
+    .map(header => ({ header: String(header), key: normalizeHeader(header) }));
+  const claimed = new Set();
+  const mapping = {};
+
+  GRADE_FIELDS.forEach(({ field, matchers }) => {
+    for (const matcher of matchers) {
+      const hit = entries.find(e => !claimed.has(e.header) && matcher(e.key));
+      if (hit) {
+        mapping[field] = hit.header;
+        claimed.add(hit.header);
+        return;
+      }
+    }
+  });
+
+  return { mapping, unmapped: entries.filter(e => !claimed.has(e.header)).map(e => e.header) };
+}
+
+/**
+ * Index of the header row in a matrix (array of rows): first row with a RUT column
+ * and a grade/course column among the first rows. Defaults to 0.
+ */
+export function findHeaderRow(matrix) {
+  for (let i = 0; i < Math.min(HEADER_SCAN_ROWS, (matrix || []).length); i++) {
+    const keys = (matrix[i] || []).map(cell => normalizeHeader(cell));
+    const hasRut = keys.some(k => k.includes('RUT'));
+    const hasTarget = keys.some(k =>
+      k.includes('NOTA') || k.includes('ASIGNATURA') || k.includes('CODIGO') || k.includes('MATERIA')
+    );
+    if (hasRut && hasTarget) return i;
+  }
+  return 0;
+}
+
+/**
+ * Matrix -> { headers, rows, rowNumbers } with rows as objects keyed by header.
+ * rowNumbers holds the 1-based line of each row in the source file (empty lines are skipped).
+ * Repeated headers get a suffix like spreadsheet exports do ('NOMBRE', 'NOMBRE_1').
+ */
+export function matrixToObjects(matrix, headerIndex = findHeaderRow(matrix)) {
+  const seen = {};
+  const headers = (matrix?.[headerIndex] || []).map(cell => {
+    const base = String(cell ?? '').trim();
+    if (!base) return '';
+    const count = seen[base] || 0;
+    seen[base] = count + 1;
+    return count ? `${base}_${count}` : base;
+  });
+
+  const rows = [];
+  const rowNumbers = [];
+  (matrix || []).forEach((cells, lineIdx) => {
+    if (lineIdx <= headerIndex) return;
+    if (!(cells || []).some(cell => String(cell ?? '').trim() !== '')) return;
+
+    const row = {};
+    headers.forEach((header, idx) => {
+      if (header) row[header] = cells[idx] ?? '';
+    });
+    rows.push(row);
+    rowNumbers.push(lineIdx + 1);
+  });
+
+  return { headers: headers.filter(Boolean), rows, rowNumbers };
+}
+
+function hasValue(value) {
+  return value !== undefined && value !== null && String(value).trim() !== '';
+}
+
+/**
+ * Normalize one row (object keyed by header) into a grade record
+ */
+export function normalizeGradeRow(row, mapping, decimalSeparator = '.') {
+  const get = (field) => (mapping[field] !== undefined ? row[mapping[field]] : undefined);
+  const normalized = {};
+
+  const rutVal = get('rut');
+  if (hasValue(rutVal)) normalized.rut = normalizeRut(rutVal);
+
+  let codigoVal = get('codigoAsignatura');
+  if (!hasValue(codigoVal) && hasValue(get('materia')) && hasValue(get('curso'))) {
+    codigoVal = `${get('materia')}${get('curso')}`;
+  }
+  if (hasValue(codigoVal)) normalized.codigoAsignatura = String(codigoVal).trim();
+
+  const nombreVal = get('nombreAsignatura');
+  if (hasValue(nombreVal)) normalized.nombreAsignatura = String(nombreVal).trim();
+
+  normalized.nota = parseNumber(get('nota'), decimalSeparator) || 0;
+  if (isNoShowGrade(get('nota'))) normalized.nsp = true;
+  normalized.peso = parseNumber(get('peso'), decimalSeparator) || 0;
+
+  const periodoVal = get('periodo');
+  if (hasValue(periodoVal)) normalized.periodo = periodoVal;
+
+  normalized.semestre = parseInt(get('semestre'), 10) || 0;
+  normalized.anio = parseInt(get('anio'), 10) || 0;
+  normalized.oportunidad = parseInt(get('oportunidad'), 10) || 1;
+
+  const mallaVal = get('malla');
+  normalized.malla = hasValue(mallaVal) ? mallaVal : 'default';
+
+  const estadoVal = get('estado');
+  if (hasValue(estadoVal)) normalized.estado = estadoVal;
+  normalized.estadoAcademico = classifyAcademicState(estadoVal);
+
+  const evaluacionVal = get('evaluacion');
+  if (hasValue(evaluacionVal)) normalized.evaluacion = String(evaluacionVal).trim();
+
+  const codGen = get('codigoGenerico');
+  if (hasValue(codGen)) normalized.codigoGenerico = codGen;
+
+  // Derive anio/semestre from PERIODO (e.g. 202310 -> 2023-1, 202320 -> 2023-2)
+  if (normalized.periodo) {
+    const pStr = String(normalized.periodo).replace(/\D/g, '');
+    if (!normalized.anio && pStr.length >= 4) normalized.anio = parseInt(pStr.slice(0, 4), 10);
+    if (!normalized.semestre && pStr.length >= 6) {
+      normalized.semestre = pStr.slice(-2) === '20' ? 2 : 1;
+    }
+  }
+
+  // Safe defaults
+  normalized.semestre = normalized.semestre || 1;
+
+  return normalized;
+}
+
+/**
+ * Decimal separator of the mapped numeric columns (nota, peso) in text rows
+ */
+export function detectRowsDecimalSeparator(rows, mapping) {
+  return detectDecimalSeparator((rows || []).map(row => NUMERIC_FIELDS
+    .filter(field => mapping[field] !== undefined && typeof row[mapping[field]] === 'string')
+    .map(field => row[mapping[field]])));
+}
+
+/**
+ * Normalize every row with one column mapping.
+ * options: { mapping, decimalSeparator, onProgress(rowsRead, totalRows), progressEvery }
+ * The mapping defaults to recognizeColumns(headers) and the decimal separator is
+ * detected from the numeric columns when not given.
+ * Returns { records, mapping, decimalSeparator }
+ */
+export function normalizeGradeRows(rows, headers, options = {}) {
+  const list = rows || [];
+  const mapping = options.mapping || recognizeColumns(headers || Object.keys(list[0] || {})).mapping;
+
+  const decimalSeparator = options.decimalSeparator || detectRowsDecimalSeparator(list, mapping);
+
+  const progressEvery = options.progressEvery || 1000;
+  const records = list.map((row, idx) => {
+    if (options.onProgress && ((idx + 1) % progressEvery === 0 || idx + 1 === list.length)) {
+      options.onProgress(idx + 1, list.length);
+    }
+    return normalizeGradeRow(row, mapping, decimalSeparator);
+  });
+
+  return { records, mapping, decimalSeparator };
+}
+
+/**
+ * True when the headers look like a grades table (RUT + grade or course)
+ */
+export function looksLikeGradeColumns(headers) {
+  const { mapping } = recognizeColumns(headers);
+  return mapping.rut !== undefined && (
+    mapping.nota !== undefined || mapping.codigoAsignatura !== undefined || mapping.nombreAsignatura !== undefined
+  );
+}
@@ -0,0 +1,297 @@
+/**
+ * Grade Consolidation
+ * Partial evaluations -> one final grade per course attempt, following rules
+ * configurable per malla (exam weight and minimum, dropping the lowest quiz,
+ * NSP grade, rounding). Every attempt keeps its partial items and the steps
+ * applied, so the audit panel can show how the final grade was derived and the
+ * grades can be recomputed when other rules or grade scales are loaded.
+ */
+
+import { normalizeCourseName } from './mallaIndex.js';
+import { getAttemptKey } from './gradeMerge.js';
+import { INDICATOR_SCALE, findGradeScale, isIndicatorScale, convertGrade } from './gradeScales.js';
+
+export const ROUNDING_MODES = ['half-up', 'truncate', 'none'];
+
+/**
+ * Built-in rule: weighted average (simple when there are no weights), rounded
+ * half-up to one decimal. NSP items keep the grade they were read with (0).
+ */
+export const DEFAULT_CONSOLIDATION_RULE = {
+  malla: 'default',
+  nombre: 'Promedio ponderado',
+  examen: null,
+  eliminarMenor: null,
+  nsp: null,
+  redondeo: { modo: 'half-up', decimales: 1 }
+};
+
+function isValidPattern(pattern) {
+  try {
+    new RegExp(pattern, 'i');
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function matchesPattern(item, pattern) {
+  return Boolean(pattern) && new RegExp(pattern, 'i').test(normalizeCourseName(item.evaluacion));
+}
+
+/**
+ * Validate one rule and normalize it (exam weight as a fraction, defaults filled).
+ * Returns { rule, errors }; rule is null when invalid.
+ */
+export function validateConsolidationRule(data) {
+  if (!data || typeof data !== 'object') return { rule: null, errors: ['La regla no es un objeto'] };
+
+  const malla = data.malla !== undefined && data.malla !== null ? String(data.malla) : 'default';
+  const label = data.nombre || malla;
+  const errors = [];
+  const rule = { ...DEFAULT_CONSOLIDATION_RULE, malla, nombre: String(data.nombre || `Reglas malla ${malla}`) };
+
+  if (data.examen) {
+    const peso = Number(data.examen.peso);
+    const fraction = peso > 1 ? peso / 100 : peso;
+    if (!data.examen.patron || !isValidPattern(data.examen.patron)) {
+      errors.push(`Regla "${label}": "examen.patron" falta o no es una expresión válida`);
+    }
+    if (!Number.isFinite(fraction) || fraction <= 0 || fraction >= 1) {
+      errors.push(`Regla "${label}": "examen.peso" debe estar entre 0 y 100 (${data.examen.peso})`);
+    }
+    const notaMinima = data.examen.notaMinima === undefined || data.examen.notaMinima === null
+      ? null
+      : Number(data.examen.notaMinima);
+    if (notaMinima !== null && !Number.isFinite(notaMinima)) {
+      errors.push(`Regla "${label}": "examen.notaMinima" inválida (${data.examen.notaMinima})`);
+    }
+    rule.examen = { patron: String(data.examen.patron || ''), peso: fraction, notaMinima };
+  }
+
+  if (data.eliminarMenor) {
+    if (!data.eliminarMenor.patron || !isValidPattern(data.eliminarMenor.patron)) {
+      errors.push(`Regla "${label}": "eliminarMenor.patron" falta o no es una expresión válida`);
+    }
+    rule.eliminarMenor = { patron: String(data.eliminarMenor.patron || '') };
+  }
+
+  if (data.nsp) {
+    const nota = Number(data.nsp.nota);
+    if (!Number.isFinite(nota)) errors.push(`Regla "${label}": "nsp.nota" inválida (${data.nsp.nota})`);
+    rule.nsp = { nota };
+  }
+
+  if (data.redondeo) {
+    const modo = data.redondeo.modo || 'half-up';
+    const decimales = data.redondeo.decimales === undefined ? 1 : Number(data.redondeo.decimales);
+    if (!ROUNDING_MODES.includes(modo)) {
+      errors.push(`Regla "${label}": modo de redondeo desconocido "${modo}" (${ROUNDING_MODES.join(', ')})`);
+    }
+    if (!Number.isInteger(decimales) || decimales < 0 || decimales > 3) {
+      errors.push(`Regla "${label}": "redondeo.decimales" debe ser un entero entre 0 y 3`);
+    }
+    rule.redondeo = { modo, decimales };
+  }
+
+  return { rule: errors.length === 0 ? rule : null, errors };
+}
+
+/**
+ * Read rules from a JSON payload: { reglas: [...] }, [rule, ...] or a single rule.
+ * Returns { rules, errors } with only valid rules in `rules`.
+ */
+export function parseConsolidationRules(data) {
+  let list = [];
+  if (Array.isArray(data?.reglas)) list = data.reglas;
+  else if (Array.isArray(data)) list = data;
+  else if (data && typeof data === 'object') list = [data];
+
+  const rules = [];
+  const errors = [];
+  list.forEach(item => {
+    const { rule, errors: itemErrors } = validateConsolidationRule(item);
+    if (rule) rules.push(rule);
+    errors.push(...itemErrors);
+  });
+
+  if (list.length === 0) errors.push('No se encontraron reglas de consolidación');
+  return { rules, errors };
+}
+
+/**
+ * Heuristic used by the upload step to recognize a consolidation rules file
+ */
+export function looksLikeConsolidationRules(data) {
+  if (Array.isArray(data?.reglas)) return true;
+  const first = Array.isArray(data) ? data[0] : data;
+  return Boolean(first && typeof first === 'object' && (first.examen || first.eliminarMenor || first.redondeo || first.nsp));
+}
+
+/**
+ * Rule for a malla: exact match, then the rule for 'default', then the built-in rule
+ */
+export function findConsolidationRule(rules, malla) {
+  const list = rules || [];
+  return list.find(r => r.malla === String(malla ?? 'default')) ||
+    list.find(r => r.malla === 'default') ||
+    DEFAULT_CONSOLIDATION_RULE;
+}
+
+function roundGrade(value, redondeo) {
+  const { modo, decimales } = redondeo || DEFAULT_CONSOLIDATION_RULE.redondeo;
+  const factor = 10 ** decimales;
+  if (modo === 'none') return value;
+  // Offset absorbs float error (4.45 * 10 = 44.49999...)
+  if (modo === 'truncate') return Math.floor(value * factor + 1e-9) / factor;
+  return Math.round(value * factor + 1e-9) / factor;
+}
+
+// Weighted average, or simple average when no item has a weight
+function averageItems(items) {
+  if (items.length === 0) return 0;
+  const totalWeight = items.reduce((sum, i) => sum + i.peso, 0);
+  if (totalWeight > 0) return items.reduce((sum, i) => sum + i.notaAplicada * i.peso, 0) / totalWeight;
+  return items.reduce((sum, i) => sum + i.notaAplicada, 0) / items.length;
+}
+
+const formatGrade = (value) => value.toFixed(2);
+
+/**
+ * Final grade of one course attempt.
+ * items: [{ nota, peso, evaluacion, nsp }] with grades in `scale` (see gradeScales.js);
+ * rule grades (NSP, exam minimum) and the result are in the indicator scale.
+ * Returns { nota, parciales: [{ ...item, notaAplicada, tipo, descartada }], pasos: [string] }
+ */
+export function consolidateAttempt(items, rule = DEFAULT_CONSOLIDATION_RULE, scale = INDICATOR_SCALE) {
+  const pasos = [];
+  const parciales = items.map(item => {
+    const nsp = Boolean(item.nsp) && rule.nsp !== null;
+    let tipo = 'parcial';
+    if (rule.examen && matchesPattern(item, rule.examen.patron)) tipo = 'examen';
+    else if (rule.eliminarMenor && matchesPattern(item, rule.eliminarMenor.patron)) tipo = 'eliminable';
+    return { ...item, notaAplicada: nsp ? rule.nsp.nota : convertGrade(item.nota, scale), tipo, descartada: false };
+  });
+
+  if (!isIndicatorScale(scale)) {
+    const converted = parciales.filter(p => !(p.nsp && rule.nsp));
+    if (converted.length > 0) {
+      pasos.push(`Notas en escala ${scale.nombre} convertidas a ${INDICATOR_SCALE.nombre}: ${converted.map(p => `${p.nota} → ${formatGrade(p.notaAplicada)}`).join(', ')}`);
+    }
+  }
+
+  parciales.filter(p => p.nsp && rule.nsp).forEach(p => {
+    pasos.push(`NSP en "${p.evaluacion || 'evaluación'}" se califica con ${rule.nsp.nota}`);
+  });
+
+  // Drop the lowest of the matching evaluations (only when there are at least two)
+  const droppable = parciales.filter(p => p.tipo === 'eliminable');
+  if (droppable.length > 1) {
+    const lowest = droppable.reduce((min, p) => (p.notaAplicada < min.notaAplicada ? p : min));
+    lowest.descartada = true;
+    pasos.push(`Se descarta la nota más baja: "${lowest.evaluacion || 'evaluación'}" (${lowest.notaAplicada})`);
+  }
+
+  const active = parciales.filter(p => !p.descartada);
+  const exams = active.filter(p => p.tipo === 'examen');
+  const others = active.filter(p => p.tipo !== 'examen');
+  let nota;
+
+  if (rule.examen && exams.length > 0 && others.length > 0) {
+    const presentacion = averageItems(others);
+    const examen = averageItems(exams);
+    nota = presentacion * (1 - rule.examen.peso) + examen * rule.examen.peso;
+    pasos.push(`Presentación ${formatGrade(presentacion)} × ${Math.round((1 - rule.examen.peso) * 100)}% + examen ${formatGrade(examen)} × ${Math.round(rule.examen.peso * 100)}% = ${formatGrade(nota)}`);
+
+    if (rule.examen.notaMinima !== null && examen < rule.examen.notaMinima && examen < nota) {
+      nota = examen;
+      pasos.push(`Examen bajo la nota mínima ${rule.examen.notaMinima}: la nota final queda en la del examen (${formatGrade(examen)})`);
+    }
+  } else {
+    nota = averageItems(active);
+    if (active.length > 1) {
+      const weighted = active.some(p => p.peso > 0);
+      pasos.push(`${weighted ? 'Promedio ponderado' : 'Promedio simple'} de ${active.length} evaluaciones = ${formatGrade(nota)}`);
+    }
+  }
+
+  const rounded = roundGrade(nota, rule.redondeo);
+  if (rounded !== nota) pasos.push(`Redondeo (${rule.redondeo.modo}, ${rule.redondeo.decimales} decimal${rule.redondeo.decimales === 1 ? '' : 'es'}) = ${rounded}`);
+
+  return { nota: rounded, parciales, pasos };
+}
+
+// Raw fields of a partial item (what a later re-consolidation starts from)
+function toItem(record) {
+  return {
+    evaluacion: record.evaluacion || '',
+    nota: parseFloat(record.nota) || 0,
+    peso: parseFloat(record.peso) || 0,
+    nsp: Boolean(record.nsp)
+  };
+}
+
+function applyRule(meta, items, rules, scales) {
+  const rule = findConsolidationRule(rules, meta.malla);
+  const scale = findGradeScale(scales, meta.escala, meta.malla);
+  const { nota, parciales, pasos } = consolidateAttempt(items, rule, scale);
+  return {
+    ...meta,
+    nota,
+    parciales,
+    consolidacion: { regla: rule.nombre, escala: isIndicatorScale(scale) ? null : scale.nombre, pasos },
+    _consolidatedCount: items.length // Debug info
+  };
+}
+
+/**
+ * Consolidate partial grade rows into single course records (one per attempt,
+ * see getAttemptKey) with the rule and grade scale of each record's malla.
+ * A record's `escala` (scale chosen for its dataset) takes precedence over its malla's.
+ */
+export function consolidateGradeRecords(records, rules = [], scales = []) {
+  if (!records || records.length === 0) return [];
+
+  // Group partial evaluations of the SAME course instance
+  const groups = new Map();
+
+  records.forEach(r => {
+    const key = getAttemptKey(r);
+
+    if (!groups.has(key)) {
+      groups.set(key, {
+        meta: { ...r }, // Keep metadata from first row
+        items: []
+      });
+    }
+
+    const group = groups.get(key);
+    group.items.push(toItem(r));
+
+    // Update metadata if current row has better info (e.g. valid code)
+    if (group.meta.codigoAsignatura === undefined && r.codigoAsignatura) {
+      group.meta.codigoAsignatura = r.codigoAsignatura;
+    }
+  });
+
+  const consolidated = Array.from(groups.values()).map(({ meta, items }) => {
+    // Evaluation name and NSP belong to each partial item, not to the attempt
+    const { evaluacion: _evaluacion, nsp: _nsp, ...rest } = meta;
+    return applyRule(rest, items, rules, scales);
+  });
+
+  console.log(`[consolidateGradeRecords] Consolidated ${records.length} rows into ${consolidated.length} unique course attempts.`);
+  return consolidated;
+}
+
+/**
+ * Recompute final grades from the kept partial items with another set of rules or scales.
+ * Records without partial items (loaded before rules existed) are returned as they are.
+ */
+export function reconsolidateGradeRecords(records, rules = [], scales = []) {
+  return (records || []).map(record => {
+    if (!Array.isArray(record.parciales) || record.parciales.length === 0) return record;
+    const items = record.parciales.map(({ evaluacion, nota, peso, nsp }) => ({ evaluacion, nota, peso, nsp }));
+    return applyRule(record, items, rules, scales);
+  });
+}
@@ -0,0 +1,90 @@
+/**
+ * Grade Merge
+ * Dataset-level de-duplication of course attempts across uploads, so loading the
+ * same export twice does not double attempts, repetitions or approvals.
+ */
+
+import { normalizeCourseName } from './mallaIndex.js';
+
+// Grades closer than this are the same grade (rounding of the source system)
+const GRADE_TOLERANCE = 0.05;
+
+// Conflicts kept as examples for the import summary
+const MAX_CONFLICT_SAMPLES = 50;
+
+/**
+ * Identity of a course attempt: RUT + course (code, else name) + period + opportunity
+ */
+export function getAttemptKey(record) {
+  const code = record.codigoAsignatura || record.codigoGenerico;
+  const courseId = code || normalizeCourseName(record.nombreAsignatura || 'NONAME');
+  return [
+    record.rut || 'UNKNOWN',
+    courseId,
+    record.anio || 0,
+    record.semestre || 0,
+    record.oportunidad || 1
+  ].join('|');
+}
+
+// Source files of a set of records (_archivo, see buildGradeRecords)
+function getSourceFiles(records) {
+  return new Set((records || []).map(r => r._archivo).filter(Boolean));
+}
+
+function sameGrade(a, b) {
+  return Math.abs((Number(a.nota) || 0) - (Number(b.nota) || 0)) < GRADE_TOLERANCE;
+}
+
+/**
+ * Compare incoming records against the loaded dataset.
+ * Returns { existing, incoming, added, duplicates, conflicts, sameSource, conflictSamples: [{ key, record, previousNota }] }
+ * where duplicates repeat an attempt with the same grade, conflicts repeat it with another grade
+ * and sameSource counts the loaded records that came from the incoming file (dropped on replace).
+ */
+export function compareGradeRecords(existingRecords, incomingRecords) {
+  const existingByKey = new Map((existingRecords || []).map(r => [getAttemptKey(r), r]));
+  const incomingFiles = getSourceFiles(incomingRecords);
+  const summary = {
+    existing: existingByKey.size,
+    incoming: (incomingRecords || []).length,
+    added: 0,
+    duplicates: 0,
+    conflicts: 0,
+    sameSource: (existingRecords || []).filter(r => incomingFiles.has(r._archivo)).length,
+    conflictSamples: []
+  };
+
+  (incomingRecords || []).forEach(record => {
+    const key = getAttemptKey(record);
+    const previous = existingByKey.get(key);
+    if (!previous) summary.added++;
+    else if (sameGrade(previous, record)) summary.duplicates++;
+    else {
+      summary.conflicts++;
+      if (summary.conflictSamples.length < MAX_CONFLICT_SAMPLES) {
+        summary.conflictSamples.push({ key, record, previousNota: previous.nota });
+      }
+    }
+  });
+
+  return summary;
+}
+
+/**
+ * Merge incoming records into the dataset.
+ * mode 'merge': new attempts are added, duplicates dropped and conflicting grades
+ * take the incoming value (the latest export wins). mode 'replace': a new version of
+ * a file already loaded; the records read from that same file are dropped first, so
+ * attempts missing from the new version go away. Records of other files are kept.
+ */
+export function mergeGradeRecords(existingRecords, incomingRecords, mode = 'merge') {
+  const replacedFiles = mode === 'replace' ? getSourceFiles(incomingRecords) : new Set();
+
+  const byKey = new Map();
+  (existingRecords || [])
+    .filter(r => !replacedFiles.has(r._archivo))
+    .forEach(r => byKey.set(getAttemptKey(r), r));
+  (incomingRecords || []).forEach(r => byKey.set(getAttemptKey(r), r));
+  return Array.from(byKey.values());
+}
@@ -0,0 +1,164 @@
+/**
+ * Grade Scales
+ * Source grading scales (0–100, 1–10, a 60% passing requirement...) and their
+ * conversion to the 1,0–7,0 scale with a 4,0 passing grade every indicator
+ * component works on. A scale is chosen per imported dataset or attached to
+ * the mallas that use it.
+ */
+
+/**
+ * Scale the indicator uses; grades already in it are not converted
+ */
+export const INDICATOR_SCALE = {
+  id: 'chilena',
+  nombre: '1,0–7,0 (aprobación 4,0)',
+  min: 1,
+  max: 7,
+  aprobacion: 4,
+  tabla: null,
+  mallas: []
+};
+
+/**
+ * Built-in scales offered at import; a loaded scale with the same id replaces them
+ */
+export const PRESET_GRADE_SCALES = [
+  INDICATOR_SCALE,
+  { id: 'porcentaje', nombre: '0–100 (aprobación 60)', min: 0, max: 100, aprobacion: 60, tabla: null, mallas: [] },
+  { id: 'decimal', nombre: '1–10 (aprobación 6)', min: 1, max: 10, aprobacion: 6, tabla: null, mallas: [] }
+];
+
+const isNumber = (value) => value !== undefined && value !== null && value !== '' && Number.isFinite(Number(value));
+
+/**
+ * Validate one scale and normalize it (numbers, conversion table sorted, mallas as a list).
+ * Returns { scale, errors }; scale is null when invalid.
+ */
+export function validateGradeScale(data) {
+  if (!data || typeof data !== 'object') return { scale: null, errors: ['La escala no es un objeto'] };
+
+  const label = data.nombre || data.id || 'sin nombre';
+  const errors = [];
+  const min = Number(data.min);
+  const max = Number(data.max);
+  const aprobacion = Number(data.aprobacion);
+
+  if (!data.id) errors.push(`Escala "${label}": falta "id"`);
+  if (!isNumber(data.min) || !isNumber(data.max) || min >= max) {
+    errors.push(`Escala "${label}": "min" y "max" deben ser números con min < max`);
+  } else if (!isNumber(data.aprobacion) || aprobacion <= min || aprobacion >= max) {
+    errors.push(`Escala "${label}": "aprobacion" debe estar entre ${min} y ${max} (${data.aprobacion})`);
+  }
+
+  let tabla = null;
+  if (data.tabla !== undefined && data.tabla !== null) {
+    if (!Array.isArray(data.tabla) || data.tabla.length < 2) {
+      errors.push(`Escala "${label}": "tabla" debe tener al menos dos puntos { valor, nota }`);
+    } else {
+      tabla = data.tabla.map(point => ({ valor: Number(point?.valor), nota: Number(point?.nota) }));
+      tabla.forEach((point, idx) => {
+        if (!Number.isFinite(point.valor) || !Number.isFinite(point.nota)) {
+          errors.push(`Escala "${label}": punto ${idx + 1} de la tabla no es numérico`);
+        } else if (point.nota < INDICATOR_SCALE.min || point.nota > INDICATOR_SCALE.max) {
+          errors.push(`Escala "${label}": la nota ${point.nota} de la tabla está fuera de ${INDICATOR_SCALE.nombre}`);
+        }
+      });
+      tabla.sort((a, b) => a.valor - b.valor);
+      if (tabla.some((point, idx) => idx > 0 && point.valor === tabla[idx - 1].valor)) {
+        errors.push(`Escala "${label}": la tabla repite valores`);
+      }
+    }
+  }
+
+  const mallas = [].concat(data.mallas ?? data.malla ?? []).map(String);
+  const scale = {
+    id: String(data.id || ''),
+    nombre: String(data.nombre || data.id || ''),
+    min,
+    max,
+    aprobacion,
+    tabla,
+    mallas
+  };
+
+  return { scale: errors.length === 0 ? scale : null, errors };
+}
+
+/**
+ * Read scales from a JSON payload: { escalas: [...] }.
+ * Returns { scales, errors } with only valid scales in `scales`.
+ */
+export function parseGradeScales(data) {
+  const list = Array.isArray(data?.escalas) ? data.escalas : [];
+  const scales = [];
+  const errors = [];
+  list.forEach(item => {
+    const { scale, errors: itemErrors } = validateGradeScale(item);
+    if (scale) scales.push(scale);
+    errors.push(...itemErrors);
+  });
+
+  if (list.length === 0) errors.push('No se encontraron escalas de notas');
+  return { scales, errors };
+}
+
+/**
+ * Heuristic used by the upload step to recognize a grade scales file
+ */
+export function looksLikeGradeScales(data) {
+  return Array.isArray(data?.escalas);
+}
+
+/**
+ * Presets plus loaded scales (a loaded scale replaces the preset with its id)
+ */
+export function getAvailableGradeScales(scales = []) {
+  const loadedIds = new Set(scales.map(s => s.id));
+  return [...PRESET_GRADE_SCALES.filter(s => !loadedIds.has(s.id)), ...scales];
+}
+
+/**
+ * Scale of a record: the one chosen for its dataset, else the one attached to its
+ * malla, else the indicator scale
+ */
+export function findGradeScale(scales, escalaId, malla) {
+  const available = getAvailableGradeScales(scales || []);
+  if (escalaId) {
+    const chosen = available.find(s => s.id === escalaId);
+    if (chosen) return chosen;
+  }
+  if (malla !== undefined && malla !== null && malla !== '') {
+    const attached = (scales || []).find(s => s.mallas.includes(String(malla)));
+    if (attached) return attached;
+  }
+  return INDICATOR_SCALE;
+}
+
+export function isIndicatorScale(scale) {
+  return !scale || scale.id === INDICATOR_SCALE.id;
+}
+
+/**
+ * Grade in the indicator scale. Uses the scale's conversion table when it has one;
+ * otherwise maps [min, aprobacion] to [1,0, 4,0] and [aprobacion, max] to [4,0, 7,0]
+ * linearly (the usual "exigencia" formula). Values outside the scale are clamped.
+ * Missing grades (blank or unruled NSP, stored as 0 by normalizeGradeRow) are returned
+ * as they are, so they stay out of the averages instead of becoming the scale minimum.
+ */
+export function convertGrade(value, scale) {
+  const nota = Number(value);
+  if (isIndicatorScale(scale) || !Number.isFinite(nota) || nota === 0) return nota;
+
+  const points = scale.tabla || [
+    { valor: scale.min, nota: INDICATOR_SCALE.min },
+    { valor: scale.aprobacion, nota: INDICATOR_SCALE.aprobacion },
+    { valor: scale.max, nota: INDICATOR_SCALE.max }
+  ];
+  if (nota <= points[0].valor) return points[0].nota;
+  if (nota >= points[points.length - 1].valor) return points[points.length - 1].nota;
+
+  const upper = points.findIndex(point => point.valor >= nota);
+  const from = points[upper - 1];
+  const to = points[upper];
+  return from.nota + (nota - from.valor) * (to.nota - from.nota) / (to.valor - from.valor);
+}
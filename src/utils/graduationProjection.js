@@ -0,0 +1,78 @@
+/**
+ * Graduation Projection
+ * Earliest and expected semester of graduation from the courses already passed
+ * (getCourseBreakdown), the courses left in the malla and the student's historic
+ * pace, with the delay against the plan's nominal length (semestres_totales).
+ */
+
+import { getCourseBreakdown, getMaxPlanSemester } from './calculators.js';
+import { getMallaIndex } from './mallaIndex.js';
+import { isValidAcademicYear } from './academicYears.js';
+import { analyzePrerequisites, hasRequisites } from './prerequisites.js';
+
+// Same semester index as the permanence component: year * 2 + (semester - 1)
+function semesterIndex(r) {
+  if (!isValidAcademicYear(r.anio)) return null;
+  const y = parseInt(r.anio, 10);
+  const s = parseInt(r.semestre, 10) || 1;
+  return (y * 2) + Math.max(0, Math.min(1, s - 1));
+}
+
+function indexToPeriod(index) {
+  return `${Math.floor(index / 2)}-${(index % 2) + 1}`;
+}
+
+/**
+ * Projection for a student's enriched records (null without a malla or dated records):
+ * { aprobadas, totalPlan, pendientes, ritmo, semestresCursados, nominal, rutaCritica,
+ *   minima, esperada }
+ * minima: at the plan's nominal load (courses per semester), never shorter than the
+ * prerequisite critical path. esperada: at the student's own pace (null when nothing
+ * was passed yet). Both are { semestres (left), periodo, totalSemestres, retraso }
+ * with retraso in semesters over the nominal length.
+ */
+export function projectGraduation(records, curriculumData) {
+  if (!curriculumData || !Array.isArray(records)) return null;
+
+  const indices = records.filter(r => r.enMalla).map(semesterIndex).filter(i => i !== null);
+  if (indices.length === 0) return null;
+  const firstIndex = Math.min(...indices);
+  const lastIndex = Math.max(...indices);
+  const semestresCursados = lastIndex - firstIndex + 1;
+
+  const mallaIndex = getMallaIndex(curriculumData);
+  const totalPlan = mallaIndex.allCourses.length;
+  const nominal = getMaxPlanSemester(curriculumData);
+  const aprobadas = getCourseBreakdown(records, null).filter(course => course.aprobado).length;
+  const pendientes = Math.max(0, totalPlan - aprobadas);
+  const ritmo = aprobadas / semestresCursados;
+  const rutaCritica = hasRequisites(mallaIndex)
+    ? analyzePrerequisites(records, mallaIndex).rutaCritica
+    : { semestres: 0, cursos: [] };
+
+  const project = (semestres) => {
+    const totalSemestres = semestresCursados + semestres;
+    return {
+      semestres,
+      periodo: indexToPeriod(lastIndex + semestres),
+      totalSemestres,
+      retraso: Math.max(0, totalSemestres - nominal)
+    };
+  };
+
+  const nominalLoad = totalPlan / nominal;
+  const minimum = pendientes === 0 ? 0 : Math.max(Math.ceil(pendientes / nominalLoad), rutaCritica.semestres);
+  const expected = pendientes === 0 ? 0 : ritmo > 0 ? Math.max(Math.ceil(pendientes / ritmo), minimum) : null;
+
+  return {
+    aprobadas,
+    totalPlan,
+    pendientes,
+    ritmo,
+    semestresCursados,
+    nominal,
+    rutaCritica,
+    minima: project(minimum),
+    esperada: expected === null ? null : project(expected)
+  };
+}
@@ -0,0 +1,89 @@
+/**
+ * Import Profiles
+ * Named column mappings saved in localStorage and applied automatically to
+ * files whose header signature matches (same set of source columns).
+ */
+
+import { normalizeCourseName } from './mallaIndex.js';
+
+const STORAGE_KEY = 'uvm-analytics.importProfiles';
+
+/**
+ * Order-independent signature of a header row: normalized, sorted, '|' separated
+ */
+export function getHeaderSignature(headers) {
+  return Array.from(new Set((headers || [])
+    .map(h => normalizeCourseName(h, true))
+    .filter(Boolean)))
+    .sort()
+    .join('|');
+}
+
+/**
+ * Saved profiles: [{ id, nombre, signature, mapping, escala, updatedAt }]
+ * (escala: grade scale id of the dataset, null for the malla's / indicator scale)
+ */
+export function loadImportProfiles() {
+  if (typeof localStorage === 'undefined') return [];
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(stored) ? stored.filter(p => p && p.signature && p.mapping) : [];
+  } catch (error) {
+    console.warn('[importProfiles] Perfiles guardados ilegibles, se ignoran:', error);
+    return [];
+  }
+}
+
+function persistImportProfiles(profiles) {
+  if (typeof localStorage === 'undefined') return;
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(profiles));
+}
+
+/**
+ * Save (or replace, same signature) a profile. Returns the updated list.
+ */
+export function saveImportProfile(profiles, { nombre, headers, mapping, escala }) {
+  const signature = getHeaderSignature(headers);
+  const profile = {
+    id: `perfil-${Date.now()}`,
+    nombre: String(nombre || '').trim() || 'Perfil sin nombre',
+    signature,
+    mapping: { ...mapping },
+    escala: escala || null,
+    updatedAt: new Date().toISOString()
+  };
+
+  const updated = [...(profiles || []).filter(p => p.signature !== signature), profile];
+  persistImportProfiles(updated);
+  return updated;
+}
+
+/**
+ * Remove a profile by id. Returns the updated list.
+ */
+export function deleteImportProfile(profiles, id) {
+  const updated = (profiles || []).filter(p => p.id !== id);
+  persistImportProfiles(updated);
+  return updated;
+}
+
+/**
+ * Profile saved for exactly this set of headers (null when none)
+ */
+export function findImportProfile(profiles, headers) {
+  const signature = getHeaderSignature(headers);
+  return (profiles || []).find(p => p.signature === signature) || null;
+}
+
+/**
+ * Profile mapping translated to this file's header spelling (the signature ignores case and accents)
+ */
+export function applyImportProfile(profile, headers) {
+  const byKey = new Map((headers || []).map(h => [normalizeCourseName(h, true), h]));
+  const mapping = {};
+  Object.entries(profile?.mapping || {}).forEach(([field, header]) => {
+    const match = byKey.get(normalizeCourseName(header, true));
+    if (match !== undefined) mapping[field] = match;
+  });
+  return mapping;
+}
@@ -0,0 +1,148 @@
+/**
+ * Import Validation
+ * Row-level checks on a mapped grades table before consolidation, so values the
+ * parsers would silently coerce (blank or "NP" grades, missing years...) are reported.
+ */
+
+import * as XLSX from 'xlsx';
+import { parseNumber } from './csv.js';
+import { detectRowsDecimalSeparator, isNoShowGrade } from './gradeColumns.js';
+import { getRutIssue } from './rut.js';
+import { classifyAcademicState, isUngradedState } from './academicStates.js';
+import { findGradeScale } from './gradeScales.js';
+import { YEAR_MIN, YEAR_MAX } from './academicYears.js';
+
+// Weights may come as percentages (sum 100) or fractions (sum 1)
+const WEIGHT_SUM_TOLERANCE = 0.5;
+
+export const ISSUE_LABELS = {
+  'rut-missing': 'RUT vacío',
+  'rut-invalid': 'RUT inválido',
+  'nota-invalid': 'Nota no numérica',
+  'nota-range': 'Nota fuera de la escala',
+  'anio-missing': 'Sin año',
+  'anio-range': 'Año fuera de rango',
+  'semestre-invalid': 'Semestre inválido',
+  'periodo-invalid': 'Período ilegible',
+  'peso-sum': 'Pesos no suman 100'
+};
+
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+/**
+ * Parse a period like 202310, 202320, 2023-1 or 2023-2.
+ * Returns { anio, semestre } or null when it cannot be read.
+ */
+export function parsePeriod(value) {
+  const raw = String(value ?? '').trim();
+  let match = /^(\d{4})\s*[-/]?\s*(10|20|1|2)$/.exec(raw);
+  if (match) return { anio: Number(match[1]), semestre: match[2].startsWith('2') ? 2 : 1 };
+  match = /^(\d{4})$/.exec(raw);
+  if (match) return { anio: Number(match[1]), semestre: null };
+  return null;
+}
+
+function isYearInRange(anio, maxYear) {
+  return anio >= YEAR_MIN && anio <= Math.min(maxYear, YEAR_MAX);
+}
+
+/**
+ * Check every row of a mapped table.
+ * options: { rowNumbers (source line of each row), maxYear, escala (dataset scale id),
+ *            gradeScales } — grades are checked against each row's scale (see gradeScales.js)
+ * Returns { checked, flaggedRows: [{ index, rowNumber, issues: [{ code, message }], raw }], byCode: { code: count } }
+ */
+export function validateGradeRows(rows, mapping, options = {}) {
+  const list = rows || [];
+  const maxYear = options.maxYear || new Date().getFullYear() + 1;
+  const decimalSeparator = detectRowsDecimalSeparator(list, mapping);
+  const get = (row, field) => (mapping[field] !== undefined ? row[mapping[field]] : undefined);
+  const issuesByIndex = new Map();
+
+  const flag = (idx, code, detail) => {
+    if (!issuesByIndex.has(idx)) issuesByIndex.set(idx, []);
+    issuesByIndex.get(idx).push({ code, message: detail ? `${ISSUE_LABELS[code]} (${detail})` : ISSUE_LABELS[code] });
+  };
+
+  const weightGroups = new Map();
+
+  list.forEach((row, idx) => {
+    if (mapping.rut !== undefined) {
+      const rutRaw = get(row, 'rut');
+      const rutIssue = isBlank(rutRaw) ? null : getRutIssue(rutRaw);
+      if (isBlank(rutRaw)) flag(idx, 'rut-missing');
+      else if (rutIssue) flag(idx, 'rut-invalid', `${rutRaw}: ${rutIssue === 'dv' ? 'dígito verificador no coincide' : 'formato no reconocido'}`);
+    }
+
+    // NSP is a valid value (the consolidation rules decide its grade) and
+    // convalidated, withdrawn or in-progress courses have no grade to check
+    const ungraded = isUngradedState(classifyAcademicState(get(row, 'estado')));
+    if (mapping.nota !== undefined && !ungraded && !isNoShowGrade(get(row, 'nota'))) {
+      const notaRaw = get(row, 'nota');
+      const nota = parseNumber(notaRaw, decimalSeparator);
+      if (isBlank(notaRaw) || !Number.isFinite(nota)) flag(idx, 'nota-invalid', isBlank(notaRaw) ? 'vacía' : String(notaRaw));
+      else {
+        const scale = findGradeScale(options.gradeScales, options.escala, get(row, 'malla'));
+        if (nota < scale.min || nota > scale.max) flag(idx, 'nota-range', `${notaRaw}; escala ${scale.nombre}`);
+      }
+    }
+
+    const periodoRaw = get(row, 'periodo');
+    const period = isBlank(periodoRaw) ? null : parsePeriod(periodoRaw);
+    if (!isBlank(periodoRaw) && !period) flag(idx, 'periodo-invalid', String(periodoRaw));
+
+    const anioRaw = get(row, 'anio');
+    const anio = parseInt(anioRaw, 10) || period?.anio || 0;
+    if (!anio) flag(idx, 'anio-missing');
+    else if (!isYearInRange(anio, maxYear)) flag(idx, 'anio-range', String(anio));
+
+    const semestreRaw = get(row, 'semestre');
+    if (!isBlank(semestreRaw) && ![1, 2].includes(parseInt(semestreRaw, 10))) flag(idx, 'semestre-invalid', String(semestreRaw));
+
+    // Partial grades of one course attempt: their weights must add up
+    const peso = parseNumber(get(row, 'peso'), decimalSeparator);
+    if (mapping.peso !== undefined && Number.isFinite(peso) && peso > 0) {
+      const course = get(row, 'codigoAsignatura') || `${get(row, 'materia') ?? ''}${get(row, 'curso') ?? ''}` || get(row, 'nombreAsignatura');
+      const key = [get(row, 'rut'), course, anio, semestreRaw || period?.semestre || 1, get(row, 'oportunidad') || 1].join('|');
+      if (!weightGroups.has(key)) weightGroups.set(key, { sum: 0, indexes: [] });
+      const group = weightGroups.get(key);
+      group.sum += peso;
+      group.indexes.push(idx);
+    }
+  });
+
+  weightGroups.forEach(({ sum, indexes }) => {
+    const asPercent = Math.abs(sum - 100) <= WEIGHT_SUM_TOLERANCE;
+    const asFraction = Math.abs(sum - 1) <= WEIGHT_SUM_TOLERANCE / 100;
+    if (!asPercent && !asFraction) {
+      indexes.forEach(idx => flag(idx, 'peso-sum', `suma ${Number(sum.toFixed(2))}`));
+    }
+  });
+
+  const byCode = {};
+  const flaggedRows = Array.from(issuesByIndex.entries())
+    .sort((a, b) => a[0] - b[0])
+    .map(([index, issues]) => {
+      issues.forEach(issue => { byCode[issue.code] = (byCode[issue.code] || 0) + 1; });
+      return { index, rowNumber: options.rowNumbers?.[index] ?? index + 1, issues, raw: list[index] };
+    });
+
+  return { checked: list.length, flaggedRows, byCode };
+}
+
+/**
+ * Download flagged rows as a spreadsheet: source line, problems and the original columns
+ */
+export function downloadFlaggedRows(report, fileName) {
+  const data = report.flaggedRows.map(row => ({
+    Fila: row.rowNumber,
+    Problemas: row.issues.map(i => i.message).join('; '),
+    ...row.raw
+  }));
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(data), 'Filas observadas');
+  XLSX.writeFile(workbook, `${String(fileName || 'notas').replace(/\.[^.]+$/, '')}_filas_observadas.xlsx`);
+}
@@ -0,0 +1,118 @@
+/**
+ * Indicator Jobs
+ * Heavy work (file parsing, malla enrichment, cohort computation) as named jobs.
+ * The calculation worker runs them; the worker client falls back to running them
+ * on the main thread with the same progress and cancel contract.
+ */
+
+import { readGradeTable, buildGradeRecords } from './parsers.js';
+import { enrichGradesByPlan } from './curriculumRegistry.js';
+import { iterateCohortIndicators } from './batch.js';
+import { validateGradeRows } from './importValidation.js';
+
+// Students computed between progress reports / cancel checks
+const COHORT_CHUNK_SIZE = 25;
+
+/**
+ * Error used to reject a cancelled job (same name as fetch's AbortError)
+ */
+export function createCancelledError() {
+  const error = new Error('Operación cancelada');
+  error.name = 'AbortError';
+  return error;
+}
+
+export function isCancelledError(error) {
+  return error?.name === 'AbortError';
+}
+
+// Give pending messages (e.g. a cancel) a chance to be delivered
+function yieldToEventLoop() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+const JOB_HANDLERS = {
+  // payload: { file } -> raw table { kind: 'table', headers, rows }, grade sheets
+  // { kind: 'sheets', sheets } or { kind: 'json', data }
+  async readTable({ file }, { onProgress, throwIfCancelled }) {
+    const table = await readGradeTable(file);
+    throwIfCancelled();
+    const rowCount = table.kind === 'table' ? table.rows.length
+      : table.kind === 'sheets' ? table.sheets.reduce((sum, sheet) => sum + sheet.table.rows.length, 0)
+        : 0;
+    if (rowCount) onProgress({ stage: 'parse', done: rowCount, total: rowCount });
+    return table;
+  },
+
+  // payload: { table, mapping, escala, gradeScales } -> row-level validation report
+  async validate({ table, mapping, escala, gradeScales }, { onProgress, throwIfCancelled }) {
+    const report = validateGradeRows(table.rows, mapping, { rowNumbers: table.rowNumbers, escala, gradeScales });
+    throwIfCancelled();
+    onProgress({ stage: 'validate', done: report.checked, total: report.checked });
+    return report;
+  },
+
+  // payload: { table, mapping, excludeRows, consolidationRules, escala, gradeScales } -> consolidated grade records
+  async buildGrades({ table, mapping, excludeRows, consolidationRules, escala, gradeScales }, { onProgress, throwIfCancelled }) {
+    const records = buildGradeRecords(table, {
+      mapping,
+      excludeRows,
+      consolidationRules,
+      escala,
+      gradeScales,
+      onProgress: (done, total) => onProgress({ stage: 'normalize', done, total })
+    });
+    throwIfCancelled();
+    return records;
+  },
+
+  // payload: { gradesData, curricula, equivalences, homologations } -> records with enMalla /
+  // semestreCurricular / codigoMalla / coincidenciaMalla / homologacion / mallaAplicada / mallaFaltante
+  async enrich({ gradesData, curricula, equivalences, homologations }, { onProgress, throwIfCancelled }) {
+    onProgress({ stage: 'enrich', done: 0, total: gradesData.length });
+    const enriched = enrichGradesByPlan(gradesData, curricula, { equivalences, homologations });
+    throwIfCancelled();
+    onProgress({ stage: 'enrich', done: enriched.length, total: gradesData.length });
+    return enriched;
+  },
+
+  // payload: { gradesData, criticalityData, curricula, weightProfile, levelScheme, equivalences, homologations } -> cohort rows
+  async cohort(payload, { onProgress, throwIfCancelled }) {
+    const { gradesData, criticalityData, curricula, weightProfile, levelScheme, equivalences, homologations } = payload;
+    const rows = [];
+
+    for (const { row, done, total } of iterateCohortIndicators(
+      gradesData, criticalityData, curricula, { weightProfile, levelScheme, equivalences, homologations }
+    )) {
+      rows.push(row);
+      if (done % COHORT_CHUNK_SIZE === 0 || done === total) {
+        onProgress({ stage: 'compute', done, total });
+        await yieldToEventLoop();
+        throwIfCancelled();
+      }
+    }
+
+    return rows;
+  }
+};
+
+/**
+ * Run a job by name.
+ * options: { onProgress({ stage, done, total }), isCancelled() }
+ * Rejects with an AbortError when isCancelled() turns true between steps.
+ */
+export async function runIndicatorJob(type, payload, options = {}) {
+  const handler = JOB_HANDLERS[type];
+  if (!handler) throw new Error(`Tipo de tarea desconocido: ${type}`);
+
+  const isCancelled = options.isCancelled || (() => false);
+  const context = {
+    onProgress: options.onProgress || (() => {}),
+    throwIfCancelled: () => {
+      if (isCancelled()) throw createCancelledError();
+    }
+  };
+
+  context.throwIfCancelled();
+  return handler(payload || {}, context);
+}
@@ -0,0 +1,189 @@
+/**
+ * Level Taxonomy
+ * Single definition of the indicator levels (thresholds, labels, colors, descriptions).
+ * Used by the calculators, score cards, PDF export and recommendations.
+ */
+
+// Recommendation/visual tone a level maps to
+export const LEVEL_TONES = ['success', 'warning', 'danger'];
+
+/**
+ * Default classification (Alto ≥ 80, Medio ≥ 60, Bajo < 60)
+ */
+export const DEFAULT_LEVEL_SCHEME = {
+  id: 'uvm-2026',
+  nombre: 'Clasificación UVM 2026',
+  niveles: [
+    {
+      id: 'high',
+      label: 'Alto',
+      min: 80,
+      color: '#10b981',
+      tono: 'success',
+      descripcion: 'Excelente desempeño académico',
+      resumen: 'excelente desempeño'
+    },
+    {
+      id: 'medium',
+      label: 'Medio',
+      min: 60,
+      color: '#f59e0b',
+      tono: 'warning',
+      descripcion: 'Desempeño satisfactorio con oportunidades de mejora',
+      resumen: 'desempeño satisfactorio con oportunidades de mejora'
+    },
+    {
+      id: 'low',
+      label: 'Bajo',
+      min: 0,
+      color: '#ef4444',
+      tono: 'danger',
+      descripcion: 'Requiere atención prioritaria',
+      resumen: 'desempeño que requiere atención prioritaria'
+    }
+  ]
+};
+
+/**
+ * Validate a level scheme.
+ * Each level needs id, label, numeric min (0-100), hex color and a known tono.
+ * The lowest level must start at 0 so every score gets classified.
+ */
+export function validateLevelScheme(scheme) {
+  const errors = [];
+  const niveles = scheme?.niveles;
+
+  if (!Array.isArray(niveles) || niveles.length === 0) {
+    return { valid: false, errors: ['La clasificación no define "niveles"'] };
+  }
+
+  const ids = new Set();
+  const thresholds = new Set();
+  niveles.forEach((lvl, i) => {
+    const label = lvl?.label || lvl?.id || `#${i + 1}`;
+    if (!lvl?.id) errors.push(`Nivel ${label}: falta "id"`);
+    else if (ids.has(lvl.id)) errors.push(`Nivel ${label}: id duplicado "${lvl.id}"`);
+    else ids.add(lvl.id);
+
+    if (!lvl?.label) errors.push(`Nivel ${label}: falta "label"`);
+
+    const min = Number(lvl?.min);
+    if (!Number.isFinite(min) || min < 0 || min > 100) {
+      errors.push(`Nivel ${label}: umbral "min" inválido (${lvl?.min})`);
+    } else if (thresholds.has(min)) {
+      // Two levels from the same threshold would overlap; the winner would depend on order
+      errors.push(`Nivel ${label}: umbral "min" duplicado (${min})`);
+    } else {
+      thresholds.add(min);
+    }
+
+    if (!/^#[0-9a-f]{6}$/i.test(String(lvl?.color || ''))) {
+      errors.push(`Nivel ${label}: color inválido (use formato #RRGGBB)`);
+    }
+
+    if (!LEVEL_TONES.includes(lvl?.tono)) {
+      errors.push(`Nivel ${label}: "tono" debe ser ${LEVEL_TONES.join('/')}`);
+    }
+  });
+
+  if (errors.length === 0 && Math.min(...niveles.map(l => Number(l.min))) > 0) {
+    errors.push('El nivel más bajo debe comenzar en 0');
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Read a level scheme from JSON ({ id, nombre, niveles: [...] } or a bare array of levels)
+ * Returns { scheme, errors }; scheme is null when invalid.
+ */
+export function parseLevelScheme(data) {
+  const raw = Array.isArray(data) ? { niveles: data } : data;
+  const { valid, errors } = validateLevelScheme(raw);
+  if (!valid) return { scheme: null, errors };
+
+  const scheme = {
+    id: String(raw.id || 'custom'),
+    nombre: String(raw.nombre || 'Clasificación personalizada'),
+    niveles: raw.niveles
+      .map(lvl => ({
+        id: String(lvl.id),
+        label: String(lvl.label),
+        min: Number(lvl.min),
+        color: String(lvl.color),
+        tono: lvl.tono,
+        descripcion: lvl.descripcion || '',
+        resumen: lvl.resumen || String(lvl.descripcion || lvl.label).toLowerCase()
+      }))
+      .sort((a, b) => b.min - a.min)
+  };
+
+  return { scheme, errors: [] };
+}
+
+/**
+ * Heuristic used by the upload step to recognize a level scheme file
+ */
+export function looksLikeLevelScheme(data) {
+  return Boolean(data && !Array.isArray(data) && typeof data === 'object' && Array.isArray(data.niveles));
+}
+
+/**
+ * Levels sorted from highest to lowest threshold
+ */
+function sortedLevels(scheme) {
+  const niveles = scheme?.niveles?.length ? scheme.niveles : DEFAULT_LEVEL_SCHEME.niveles;
+  return [...niveles].sort((a, b) => b.min - a.min);
+}
+
+/**
+ * Level for a percentage score (0-100)
+ */
+export function getLevelForScore(percentage, scheme = DEFAULT_LEVEL_SCHEME) {
+  const levels = sortedLevels(scheme);
+  const score = Number(percentage);
+  if (!Number.isFinite(score)) return levels[levels.length - 1];
+  return levels.find(lvl => score >= lvl.min) || levels[levels.length - 1];
+}
+
+/**
+ * Next level above the given one (null when already at the top)
+ */
+export function getNextLevel(level, scheme = DEFAULT_LEVEL_SCHEME) {
+  const levels = sortedLevels(scheme);
+  const idx = levels.findIndex(lvl => lvl.id === level?.id);
+  return idx > 0 ? levels[idx - 1] : null;
+}
+
+/**
+ * Range text for legends: "≥ 80%", "60-79.9%", "< 60%"
+ */
+export function describeLevelRange(level, scheme = DEFAULT_LEVEL_SCHEME) {
+  const levels = sortedLevels(scheme);
+  const idx = levels.findIndex(lvl => lvl.id === level.id);
+  if (idx === 0) return `≥ ${level.min}%`;
+  const upper = levels[idx - 1].min;
+  if (level.min <= 0) return `< ${upper}%`;
+  return `${level.min}-${(upper - 0.1).toFixed(1)}%`;
+}
+
+/**
+ * Score ranges of every level for chart backgrounds: [{ level, from, to }] (0-100, highest first)
+ */
+export function getLevelBands(scheme = DEFAULT_LEVEL_SCHEME) {
+  const levels = sortedLevels(scheme);
+  return levels.map((level, idx) => ({
+    level,
+    from: Math.max(0, level.min),
+    to: idx === 0 ? 100 : levels[idx - 1].min
+  }));
+}
+
+/**
+ * "#10b981" -> [16, 185, 129] (for jsPDF)
+ */
+export function hexToRgb(hex) {
+  const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(String(hex || ''));
+  if (!match) return [128, 128, 128];
+  return match.slice(1).map(h => parseInt(h, 16));
+}
@@ -30,20 +30,55 @@ export function normalizeCourseName(str, removeAllSpaces = false) {
   return normalized;
 }
 
+/**
+ * Comparable plan key: "Plan 2015", "MALLA-2015" and "2015" are the same plan
+ */
+export function normalizePlanId(value) {
+  return normalizeCourseName(value, true).replace(/^(PLAN|MALLA)/, '');
+}
+
 // Legacy support
 export function normalizeString(str, removeSpaces = false) {
   return normalizeCourseName(str, removeSpaces);
 }
 
+// Keys of an elective's pool of eligible courses (not courses of the plan themselves)
+const POOL_KEYS = ['OPCIONES', 'POOL'];
+
+// Keys listing the courses a course depends on: passed before, or passed or taken alongside
+const PREREQUISITE_KEYS = ['PRERREQUISITOS', 'PREREQUISITOS', 'REQUISITOS'];
+const COREQUISITE_KEYS = ['CORREQUISITOS', 'COREQUISITOS'];
+
+// Requisites as a list of names or codes: ["KIN101", "Anatomía"] or "KIN101, Anatomía"
+function readRequisites(obj, keys) {
+  const key = Object.keys(obj).find(k => keys.includes(normalizeCourseName(k, true)));
+  const value = key ? obj[key] : null;
+  const list = Array.isArray(value) ? value : typeof value === 'string' ? value.split(/[,;]/) : [];
+  return list
+    .map(item => (item && typeof item === 'object' ? item.codigo || item.nombre : item))
+    .map(item => String(item ?? '').trim())
+    .filter(Boolean);
+}
+
 /**
  * Build an index for the Malla (Curriculum)
  * Expects mallaJson to be an array of objects or an object with years/semesters.
  * Returns an object with lookups by code and name.
+ *
+ * Elective slots: a course listed again in another semester ("Formación General" in
+ * semesters 3 and 4) or marked `electivo: true` is one slot of an elective group, and
+ * every slot is a course of the plan (course.slot = { grupo, indice, total, clave }).
+ * `opciones: [name | { codigo, nombre }]` lists the pool of courses that fill the slots.
+ * Returns also slotGroups (group key -> slot courses) and poolIndex (pool course -> group key).
+ *
+ * Requisites: `prerrequisitos` and `correquisitos` (names or codes) per course build
+ * requisiteGraph { prerequisites, corequisites: Map(course -> [course]), unresolved: [{ curso, referencia, tipo }] }.
  */
 export function buildMallaIndex(mallaJson) {
   const byCode = new Map();
   const byName = new Map();
   const allCourses = [];
+  const occurrences = new Map();
 
   const nameKeys = [
     'ASIGNATURA', 'NOMBRE', 'NAME', 'MATERIA', 'DESC', 'DESCRIPCION', 'DESCRIPCIÓN', 'ASIG'
@@ -73,9 +108,10 @@ export function buildMallaIndex(mallaJson) {
 
     const objKeys = Object.keys(obj);
 
-    // Detect fields by scanning keys
+    // Detect fields by scanning keys (lists such as "asignaturas" hold courses, not a name)
     for (const k of objKeys) {
       const normK = normalizeKey(k);
+      if (obj[k] && typeof obj[k] === 'object') continue;
 
       if (!name && nameKeys.some(nk => normK.includes(normalizeKey(nk)))) {
         name = obj[k];
@@ -105,28 +141,44 @@ export function buildMallaIndex(mallaJson) {
       semestre = parseInt(obj.semestre || obj.nivel || obj.indice_semestre, 10) || 0;
     }
 
-    if (!name && !code) return;
+    if (!name && !code) return false;
 
     const courseInfo = {
       nombre: String(name || ''),
       codigo: String(code || ''),
       semestre: semestre || 0,
+      electivo: obj.electivo === true || normalizeCourseName(obj.tipo) === 'ELECTIVO',
+      opciones: Array.isArray(obj.opciones ?? obj.pool) ? (obj.opciones ?? obj.pool) : [],
+      requisitos: { pre: readRequisites(obj, PREREQUISITE_KEYS), co: readRequisites(obj, COREQUISITE_KEYS) },
+      slot: null,
       original: obj
     };
 
     const normName = normalizeCourseName(courseInfo.nombre);
     const normCode = normalizeCourseName(courseInfo.codigo, true);
 
-    if (normCode) byCode.set(normCode, courseInfo);
-    if (normName) byName.set(normName, courseInfo);
-
-    const isDuplicate = allCourses.some(c => {
+    // Same code or name as a course already indexed: another slot of it, or a duplicate entry
+    const previous = allCourses.find(c => {
       const cNormName = normalizeCourseName(c.nombre);
       const cNormCode = normalizeCourseName(c.codigo, true);
       return (normCode && cNormCode === normCode) || (normName && cNormName === normName);
     });
 
-    if (!isDuplicate) allCourses.push(courseInfo);
+    if (!previous) {
+      if (normCode) byCode.set(normCode, courseInfo);
+      if (normName) byName.set(normName, courseInfo);
+      occurrences.set(normCode || normName, [courseInfo]);
+      allCourses.push(courseInfo);
+      return true;
+    }
+
+    const group = occurrences.get(normalizeCourseName(previous.codigo, true) || normalizeCourseName(previous.nombre));
+    const isSlot = courseInfo.electivo || previous.electivo || group.every(c => c.semestre !== courseInfo.semestre);
+    if (isSlot) {
+      group.push(courseInfo);
+      allCourses.push(courseInfo);
+    }
+    return true;
   };
 
   const isCourse = (obj) => {
@@ -144,11 +196,15 @@ export function buildMallaIndex(mallaJson) {
   };
 
   // ✅ FIX CRÍTICO: heredar semestre desde data.semestre (VALOR), no desde el nombre de la clave
-  const traverse = (data, depth = 0, currentSem = 0) => {
+  const traverse = (data, depth = 0, currentSem = 0, insideCourse = false) => {
     if (!data || depth > 20) return;
 
     if (Array.isArray(data)) {
-      data.forEach(item => traverse(item, depth + 1, currentSem));
+      data.forEach(item => {
+        // Plain names in a semester list ("asignaturas": ["Inglés I", ...]) are courses
+        if (typeof item === 'string' && !insideCourse) addCourse({ nombre: item }, currentSem);
+        else traverse(item, depth + 1, currentSem, insideCourse);
+      });
       return;
     }
 
@@ -175,13 +231,12 @@ export function buildMallaIndex(mallaJson) {
     }
 
     // 3) Agregar curso si corresponde
-    if (isCourse(data)) {
-      addCourse(data, detectedSem);
-    }
+    const added = isCourse(data) && addCourse(data, detectedSem);
 
     // 4) Recursión
     for (const [key, val] of Object.entries(data)) {
       if (!val || typeof val !== 'object') continue;
+      if (added && [...POOL_KEYS, ...PREREQUISITE_KEYS, ...COREQUISITE_KEYS].includes(normalizeKey(key))) continue;
 
       let nextSem = detectedSem;
 
@@ -197,27 +252,214 @@ export function buildMallaIndex(mallaJson) {
         }
       }
 
-      traverse(val, depth + 1, nextSem);
+      traverse(val, depth + 1, nextSem, insideCourse || added);
     }
   };
 
   traverse(mallaJson);
 
-  return { byCode, byName, allCourses };
+  // Slots of each elective group, in plan order, and the pool courses that fill them
+  const slotGroups = new Map();
+  const poolIndex = new Map();
+  occurrences.forEach((group, key) => {
+    if (group.length < 2 && !group[0].electivo) return;
+    const slots = [...group].sort((a, b) => a.semestre - b.semestre);
+    slots.forEach((course, idx) => {
+      course.slot = { grupo: slots[0].nombre || slots[0].codigo, indice: idx + 1, total: slots.length, clave: `${key}#${idx + 1}` };
+    });
+    slotGroups.set(key, slots);
+    slots.flatMap(course => course.opciones).forEach(option => {
+      const names = typeof option === 'object' && option ? [option.codigo, option.nombre] : [option];
+      names.map(value => normalizeCourseName(value, true)).filter(Boolean).forEach(poolKey => poolIndex.set(poolKey, key));
+    });
+  });
+  // The first slot answers code and name lookups; attempts are spread over the slots later
+  slotGroups.forEach(slots => {
+    const first = slots[0];
+    const normCode = normalizeCourseName(first.codigo, true);
+    const normName = normalizeCourseName(first.nombre);
+    if (normCode) byCode.set(normCode, first);
+    if (normName) byName.set(normName, first);
+  });
+
+  // Requisite references resolved to courses of this malla (by code, then by name)
+  const requisiteGraph = { prerequisites: new Map(), corequisites: new Map(), unresolved: [] };
+  const resolve = (reference) => byCode.get(normalizeCourseName(reference, true)) || byName.get(normalizeCourseName(reference)) || null;
+  allCourses.forEach(course => {
+    [['pre', requisiteGraph.prerequisites, 'prerrequisito'], ['co', requisiteGraph.corequisites, 'correquisito']]
+      .forEach(([field, edges, tipo]) => {
+        const resolved = [];
+        course.requisitos[field].forEach(referencia => {
+          const target = resolve(referencia);
+          if (target && target !== course) resolved.push(target);
+          else if (!target) requisiteGraph.unresolved.push({ curso: course.nombre || course.codigo, referencia, tipo });
+        });
+        if (resolved.length > 0) edges.set(course, resolved);
+      });
+  });
+
+  return { byCode, byName, allCourses, slotGroups, poolIndex, requisiteGraph };
 }
 
+const mallaIndexCache = new WeakMap();
+
 /**
- * Match a student record to a course in the Malla
+ * buildMallaIndex, built once per curriculum object (batch enrichment runs once per student)
+ */
+export function getMallaIndex(mallaJson) {
+  if (!mallaJson || typeof mallaJson !== 'object') return buildMallaIndex(mallaJson);
+  if (!mallaIndexCache.has(mallaJson)) mallaIndexCache.set(mallaJson, buildMallaIndex(mallaJson));
+  return mallaIndexCache.get(mallaJson);
+}
+
+// Minimum score to accept an approximate name match, and the lead the best
+// candidate needs over the runner-up; anything closer is reported as ambiguous
+export const MATCH_THRESHOLD = 0.8;
+export const AMBIGUITY_MARGIN = 0.05;
+
+// Candidates below this score are not worth showing
+const MIN_CANDIDATE_SCORE = 0.5;
+const MAX_CANDIDATES = 3;
+
+// Abbreviations found in exports and in truncated malla names
+const ABBREVIATIONS = {
+  HERR: 'HERRAMIENTAS',
+  EVAL: 'EVALUACION',
+  EJERC: 'EJERCICIO',
+  INTERVEN: 'INTERVENCION',
+  INTRO: 'INTRODUCCION',
+  FUND: 'FUNDAMENTOS',
+  FUNDAM: 'FUNDAMENTOS',
+  KINE: 'KINESIOLOGIA',
+  KINES: 'KINESIOLOGIA',
+  ANAT: 'ANATOMIA',
+  FISIOL: 'FISIOLOGIA',
+  FISIOPAT: 'FISIOPATOLOGIA',
+  BIOQ: 'BIOQUIMICA',
+  METOD: 'METODOLOGIA',
+  INVEST: 'INVESTIGACION',
+  PRACT: 'PRACTICA',
+  PROF: 'PROFESIONAL',
+  TERAP: 'TERAPEUTICO',
+  GRAL: 'GENERAL',
+  FORM: 'FORMACION',
+  CS: 'CIENCIAS'
+};
+
+const STOPWORDS = new Set(['DE', 'DEL', 'LA', 'LAS', 'EL', 'LOS', 'Y', 'E', 'EN', 'A', 'AL', 'PARA', 'POR', 'CON']);
+
+const ROMAN_NUMERALS = { I: 1, II: 2, III: 3, IV: 4, V: 5, VI: 6, VII: 7, VIII: 8, IX: 9, X: 10 };
+
+/**
+ * Course name -> { words, numbers }: abbreviations expanded, stopwords dropped and
+ * roman numerals read as numbers, so "Inglés II" and "INGLES 2" compare equal
+ */
+export function tokenizeCourseName(str) {
+  const words = [];
+  const numbers = [];
+  normalizeCourseName(str).split(' ').filter(Boolean).forEach(token => {
+    if (/^\d+$/.test(token)) numbers.push(String(Number(token)));
+    else if (ROMAN_NUMERALS[token]) numbers.push(String(ROMAN_NUMERALS[token]));
+    else if (!STOPWORDS.has(token)) words.push(ABBREVIATIONS[token] || token);
+  });
+  return { words, numbers };
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function stringSimilarity(a, b) {
+  const longest = Math.max(a.length, b.length);
+  return longest === 0 ? 1 : 1 - editDistance(a, b) / longest;
+}
+
+// Words closer than this are typos of each other; below it they are different words
+// (FISIOLOGIA / FISIOPATOLOGIA)
+const WORD_SIMILARITY_FLOOR = 0.8;
+
+// Truncated words ("BIOETIC", "IM") count as nearly equal, less the shorter the stub
+function wordSimilarity(a, b) {
+  if (a === b) return 1;
+  const shorter = a.length < b.length ? a : b;
+  if (a.startsWith(b) || b.startsWith(a)) return Math.min(0.9, 0.6 + 0.1 * shorter.length);
+  const similarity = stringSimilarity(a, b);
+  return similarity >= WORD_SIMILARITY_FLOOR ? similarity : 0;
+}
+
+// A source name whose words all appear in a malla name at most twice as long
+// ("Biomecánica" / "Biomecánica Aplicada") is that course written short; it scores at
+// least this, so it is accepted unless another course contains it too. Not the other
+// way round: "Neurofisiología Avanzada" is another course, not "Neurofisiología".
+const CONTAINED_NAME_SCORE = 0.85;
+
+// Average best similarity of each word of `from` against the words of `to`
+function coverage(from, to) {
+  if (from.length === 0) return 0;
+  return from.reduce((sum, word) => sum + Math.max(0, ...to.map(other => wordSimilarity(word, other))), 0) / from.length;
+}
+
+/**
+ * Similarity (0-1) between a source course name `a` and a malla name `b`: token
+ * similarity both ways plus the edit distance of the whole name. Different numerals
+ * ("Inglés I" vs "Inglés II") never match; a numeral on one side only lowers the score.
+ * A short form of the malla name (all words of `a` in `b`) scores at least CONTAINED_NAME_SCORE.
+ */
+export function scoreCourseNames(a, b) {
+  const left = tokenizeCourseName(a);
+  const right = tokenizeCourseName(b);
+  if (left.words.length === 0 || right.words.length === 0) return 0;
+
+  const sameNumbers = left.numbers.join(' ') === right.numbers.join(' ');
+  if (!sameNumbers && left.numbers.length > 0 && right.numbers.length > 0) return 0;
+
+  const tokenScore = (coverage(left.words, right.words) + coverage(right.words, left.words)) / 2;
+  const wholeScore = stringSimilarity(left.words.join(' '), right.words.join(' '));
+  let score = (0.75 * tokenScore + 0.25 * wholeScore) * (sameNumbers ? 1 : 0.85);
+
+  const contained = left.words.length <= right.words.length &&
+    left.words.length * 2 >= right.words.length &&
+    left.words.every(word => right.words.includes(word));
+  if (sameNumbers && contained) score = Math.max(score, CONTAINED_NAME_SCORE);
+  return Math.round(score * 1000) / 1000;
+}
+
+/**
+ * Malla courses ranked by name similarity: [{ course, confianza }], best first
+ */
+export function rankMallaCandidates(name, mallaIndex, limit = MAX_CANDIDATES) {
+  return Array.from(mallaIndex.byName.values())
+    .map(course => ({ course, confianza: scoreCourseNames(name, course.nombre) }))
+    .filter(candidate => candidate.confianza >= MIN_CANDIDATE_SCORE)
+    .sort((x, y) => y.confianza - x.confianza || x.course.nombre.localeCompare(y.course.nombre))
+    .slice(0, limit);
+}
+
+/**
+ * Match a student record to a course in the Malla, with how it was found.
  * Priority:
  * 1. Exact Code Match
- * 2. Exact Name Match (Normalized)
- * 3. Fuzzy Name Match
+ * 2. Exact Name Match (Normalized), then a course of an elective pool (first slot of the group)
+ * 3. Best-scored name (see scoreCourseNames), accepted only above MATCH_THRESHOLD
+ *    and clearly ahead of the runner-up
+ * Returns { course, metodo: 'codigo' | 'nombre' | 'electivo' | 'aproximado' | null, confianza,
+ *           ambigua, candidatos: [{ codigo, nombre, semestre, confianza }] }
  */
-export function matchAsignaturaToMalla(record, mallaIndex) {
-  if (!mallaIndex || !record) return null;
+export function findMallaMatch(record, mallaIndex) {
+  const none = { course: null, metodo: null, confianza: 0, ambigua: false, candidatos: [] };
+  if (!mallaIndex || !record) return none;
 
   const recordCode = normalizeCourseName(
-    record.codigoAsignatura || record.CODIGO_ASIGNATURA || record.codigo || record.sigla || '',
+    record.codigoAsignatura || record.CODIGO_ASIGNATURA || record.codigo || record.sigla || record.codigoGenerico || '',
     true
   );
 
@@ -228,31 +470,53 @@ export function matchAsignaturaToMalla(record, mallaIndex) {
 
   // 1) Code match
   if (recordCode && mallaIndex.byCode.has(recordCode)) {
-    return mallaIndex.byCode.get(recordCode);
+    return { ...none, course: mallaIndex.byCode.get(recordCode), metodo: 'codigo', confianza: 1 };
   }
 
   // 2) Exact name match
   if (recordName && mallaIndex.byName.has(recordName)) {
-    return mallaIndex.byName.get(recordName);
+    return { ...none, course: mallaIndex.byName.get(recordName), metodo: 'nombre', confianza: 1 };
   }
 
-  // 3) Fuzzy match
-  if (recordName && recordName.length > 3) {
-    for (const [normName, info] of mallaIndex.byName.entries()) {
-      if (normName.includes(recordName) || recordName.includes(normName)) {
-        const recordNum = recordName.match(/\d+/);
-        const mallaNum = normName.match(/\d+/);
-        if (recordNum && mallaNum && recordNum[0] !== mallaNum[0]) continue;
-        return info;
-      }
+  const poolGroup = mallaIndex.poolIndex &&
+    (mallaIndex.poolIndex.get(recordCode) || mallaIndex.poolIndex.get(normalizeCourseName(recordName, true)));
+  if (poolGroup) {
+    return { ...none, course: mallaIndex.slotGroups.get(poolGroup)[0], metodo: 'electivo', confianza: 1 };
+  }
 
-      if (normName.startsWith(recordName) || recordName.startsWith(normName)) {
-        if (Math.abs(normName.length - recordName.length) < 20) {
-          return info;
-        }
-      }
-    }
+  // 3) Scored match (same name -> same result, so it is computed once per index)
+  if (!recordName || recordName.length <= 3) return none;
+  if (!mallaIndex.matchCache) mallaIndex.matchCache = new Map();
+  if (mallaIndex.matchCache.has(recordName)) return mallaIndex.matchCache.get(recordName);
+
+  const ranked = rankMallaCandidates(recordName, mallaIndex);
+  const [best, runnerUp] = ranked;
+  const candidatos = ranked.map(({ course, confianza }) => ({
+    codigo: course.codigo,
+    nombre: course.nombre,
+    semestre: course.semestre,
+    confianza
+  }));
+
+  let result = none;
+  if (best) {
+    const clearLead = !runnerUp || best.confianza - runnerUp.confianza >= AMBIGUITY_MARGIN;
+    const accepted = best.confianza >= MATCH_THRESHOLD && clearLead;
+    result = {
+      course: accepted ? best.course : null,
+      metodo: accepted ? 'aproximado' : null,
+      confianza: best.confianza,
+      ambigua: !accepted,
+      candidatos
+    };
   }
+  mallaIndex.matchCache.set(recordName, result);
+  return result;
+}
 
-  return null;
+/**
+ * Malla course of a student record, or null when there is none or it is ambiguous
+ */
+export function matchAsignaturaToMalla(record, mallaIndex) {
+  return findMallaMatch(record, mallaIndex).course;
 }
@@ -1,368 +1,190 @@
 import * as XLSX from 'xlsx';
-import { buildMallaIndex, matchAsignaturaToMalla, normalizeCourseName } from './mallaIndex.js';
-
-// Helper to consolidate partial grades into single course records
-function consolidateGradeRecords(records) {
-  if (!records || records.length === 0) return [];
-
-  // Group by unique course attempt
-  const groups = new Map();
-
-  records.forEach(r => {
-    // Key components: RUT + Code/Name + Period + Opportunity
-    // We strive to group partial evaluations of the SAME course instance.
-    const rut = r.rut || 'UNKNOWN';
-    const code = r.codigoAsignatura || r.codigoGenerico || 'NOCODE';
-    const name = normalizeCourseName(r.nombreAsignatura || 'NONAME');
-    const anio = r.anio || 0;
-    const sem = r.semestre || 0;
-    const oport = r.oportunidad || 1;
-
-    // Composite key
-    // Use code if available, otherwise name. Code is safer.
-    const courseId = (code !== 'NOCODE') ? code : name;
-    const key = `${rut}|${courseId}|${anio}|${sem}|${oport}`;
-
-    if (!groups.has(key)) {
-      groups.set(key, {
-        meta: { ...r }, // Keep metadata from first row
-        items: []
-      });
-    }
-
-    const group = groups.get(key);
-    // Add grade info
-    const nota = parseFloat(r.nota) || 0;
-    const peso = parseFloat(r.peso) || 0; // Will be 0 if not found
-    group.items.push({ nota, peso });
-
-    // Update metadata if current row has better info (e.g. valid code)
-    if (group.meta.codigoAsignatura === undefined && r.codigoAsignatura) {
-      group.meta.codigoAsignatura = r.codigoAsignatura;
-    }
+import { getMallaIndex, findMallaMatch } from './mallaIndex.js';
+import { indexCourseEquivalences, findCourseEquivalence, resolveEquivalenceCourse } from './courseEquivalences.js';
+import { indexPlanHomologations, findPlanHomologation } from './planHomologations.js';
+import { assignElectiveSlots } from './electiveSlots.js';
+import { readCSV } from './csv.js';
+import { findHeaderRow, matrixToObjects, normalizeGradeRows, looksLikeGradeColumns } from './gradeColumns.js';
+import { normalizeRut, getRutSearchKeys } from './rut.js';
+import { consolidateGradeRecords } from './gradeConsolidation.js';
+
+// Read a file as an ArrayBuffer or text (FileReader works on the page and in workers)
+function readFileAs(file, mode) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => resolve(e.target.result);
+    reader.onerror = () => reject(new Error('Error reading file'));
+    if (mode === 'text') reader.readAsText(file);
+    else reader.readAsArrayBuffer(file);
   });
+}
 
-  // Calculate final grades for each group
-  const consolidated = Array.from(groups.values()).map(({ meta, items }) => {
-    let finalGrade = 0;
-
-    // Check if we have weights
-    const totalWeight = items.reduce((sum, i) => sum + i.peso, 0);
+// Matrix (header row somewhere in the first rows) -> raw table.
+// source: { archivo, hoja } tagged onto every record built from the table
+function matrixToTable(matrix, source = null) {
+  const headerRowIndex = findHeaderRow(matrix);
+  const { headers, rows, rowNumbers } = matrixToObjects(matrix, headerRowIndex);
+  return { kind: 'table', headers, rows, rowNumbers, headerRowIndex, source };
+}
 
-    if (totalWeight > 0) {
-      // Weighted Average
-      const weightedSum = items.reduce((sum, i) => sum + (i.nota * i.peso), 0);
-      finalGrade = weightedSum / totalWeight;
-    } else {
-      // Simple Average (if no weights, or all weights 0)
-      const validItems = items.length;
-      const sum = items.reduce((s, i) => s + i.nota, 0);
-      finalGrade = validItems > 0 ? sum / validItems : 0;
-    }
+// Grade arrays in JSON: headers are the keys seen in the first objects
+function jsonToTable(data, source = null) {
+  const headers = Array.from(new Set(data.slice(0, 50).flatMap(r => Object.keys(r || {}))));
+  return { kind: 'table', headers, rows: data, rowNumbers: data.map((_, idx) => idx + 1), headerRowIndex: 0, source };
+}
 
-    // Standard academic rounding to 1 decimal place (e.g. 3.95 -> 4.0)
-    finalGrade = Math.round(finalGrade * 10) / 10;
+// Workbook -> its grades sheet, or { kind: 'sheets' } to pick from when several sheets
+// have a recognizable header. Without any, the first sheet is returned for manual mapping.
+function sheetsToTable(fileName, sheets) {
+  const tables = sheets.map(({ name, matrix }) => ({ name, table: matrixToTable(matrix, { archivo: fileName, hoja: name }) }));
+  const recognized = tables.filter(sheet => looksLikeGradeColumns(sheet.table.headers));
 
+  if (recognized.length > 1) {
     return {
-      ...meta,
-      nota: finalGrade,
-      _consolidatedCount: items.length // Debug info
+      kind: 'sheets',
+      sheets: recognized,
+      ignored: tables.filter(sheet => !recognized.includes(sheet)).map(sheet => sheet.name)
     };
-  });
+  }
+  return (recognized[0] || tables[0])?.table || matrixToTable([], { archivo: fileName });
+}
 
-  console.log(`[consolidateGradeRecords] Consolidated ${records.length} rows into ${consolidated.length} unique course attempts.`);
-  return consolidated;
+function isGradesJSON(data) {
+  return Array.isArray(data) && data.length > 0 && looksLikeGradeColumns(Object.keys(data[0] || {}));
 }
 
 /**
- * Parse an Excel file (.xlsx) containing student grades
+ * Every sheet of an Excel file as [{ name, matrix }] (matrix = array of rows)
  */
-export function parseGradesExcel(file) {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-
-    reader.onload = (e) => {
-      try {
-        const data = new Uint8Array(e.target.result);
-        const workbook = XLSX.read(data, { type: 'array' });
-        const sheetName = workbook.SheetNames[0];
-        const worksheet = workbook.Sheets[sheetName];
-
-        // Convert to array of arrays to find header row
-        const rawData = XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: '' });
-
-        let headerRowIndex = 0;
-        let headers = [];
-
-        // Find header row by looking for known columns
-        for (let i = 0; i < Math.min(20, rawData.length); i++) {
-          const row = rawData[i].map(cell => String(cell).toUpperCase());
-          const hasRut = row.some(cell => cell.includes('RUT'));
-          // Add 'MATERIA' check for the partial notes file format
-          const hasTarget = row.some(cell =>
-            cell.includes('NOTA') || cell.includes('ASIGNATURA') || cell.includes('CODIGO') || cell.includes('MATERIA')
-          );
-
-          if (hasRut && hasTarget) {
-            headerRowIndex = i;
-            headers = rawData[i];
-            console.log(`[parseGradesExcel] Detected header at row ${i}:`, headers);
-            break;
-          }
-        }
-
-        const jsonData = XLSX.utils.sheet_to_json(worksheet, {
-          range: headerRowIndex,
-          defval: ''
-        });
-
-        const normalizedData = jsonData.map((row) => {
-          const normalized = {};
-
-          // 1) Pre-normalizamos headers
-          const entries = Object.entries(row).map(([key, value]) => {
-            const normKey = normalizeCourseName(key, true);
-            return { key, normKey, value };
-          });
-
-          // Helpers
-          const pickFirst = (predicates) => {
-            for (const pred of predicates) {
-              const hit = entries.find(({ normKey }) => pred(normKey));
-              if (hit) return hit.value;
-            }
-            return undefined;
-          };
-
-          // --- EXTRACT FIELDS ---
-
-          // RUT
-          const rutVal = pickFirst([(k) => k.includes('RUT')]);
-          if (rutVal) normalized.rut = String(rutVal).replace(/\./g, '').split('-')[0];
-
-          // CODE: MATERIA + CURSO (Special Case for Partial Notes File)
-          const materiaVal = pickFirst([(k) => k === 'MATERIA']);
-          const cursoVal = pickFirst([(k) => k === 'CURSO']);
-
-          let codigoAsignaturaVal = pickFirst([
-            (k) => k.includes('CODIGOASIGNATURA'),
-            (k) => k.includes('SIGLAASIGNATURA'),
-            (k) => (k.includes('CODIGO') && k.includes('ASIGNATURA')),
-            (k) => (k.includes('SIGLA') && k.includes('ASIGNATURA')),
-            (k) => k === 'SIGLA',
-            (k) => k === 'COD_PROGRAMA',
-          ]);
-
-          // If we have distinct MATERIA and CURSO columns (e.g. 'KINE' and '1052'), combine them
-          if (!codigoAsignaturaVal && materiaVal && cursoVal) {
-            codigoAsignaturaVal = `${materiaVal}${cursoVal}`;
-          }
-
-          if (codigoAsignaturaVal) normalized.codigoAsignatura = codigoAsignaturaVal;
-
-          // NAME
-          const nombreVal = pickFirst([
-            (k) => k.includes('NOMBREASIGNATURA'), // Prefer specific
-            (k) => k === 'ASIGNATURA', // Common in partial file
-            (k) => k.includes('ASIGNATURA'),
-            (k) => k.includes('NOMBRE') && !k.includes('NOMBRE_1'), // Avoid 'NOMBRE_1' (evaluation name)
-          ]);
-          if (nombreVal) normalized.nombreAsignatura = nombreVal;
-
-          // GRADE
-          const notaVal = pickFirst([
-            (k) => k === 'NOTA',
-            (k) => k.includes('CALIFICACION'),
-            (k) => k.includes('PROMEDIO') && !k.includes('PROMEDIOFINAL'),
-          ]);
-          normalized.nota = parseFloat(notaVal) || 0;
-
-          // WEIGHT (Important for partial consolidation)
-          const pesoVal = pickFirst([
-            (k) => k === 'PESO',
-            (k) => k.includes('PONDERACION'),
-            (k) => k.includes('PORCENTAJE'),
-          ]);
-          normalized.peso = parseFloat(pesoVal) || 0;
-
-          // SEMESTRE / ANIO / PERIODO
-          const periodoVal = pickFirst([(k) => k.includes('PERIODO')]);
-          if (periodoVal) normalized.periodo = periodoVal;
-
-          const semestreVal = pickFirst([(k) => k === 'SEMESTRE', (k) => k.includes('SEMESTRE')]);
-          normalized.semestre = parseInt(semestreVal) || 0;
-
-          const anioVal = pickFirst([(k) => k === 'ANIO', (k) => k === 'AÑO', (k) => k.includes('ANIO')]);
-          normalized.anio = parseInt(anioVal) || 0;
-
-          // OPORTUNIDAD
-          const oportVal = pickFirst([(k) => k.includes('OPORTUNIDAD'), (k) => k.includes('INTENTO')]);
-          normalized.oportunidad = parseInt(oportVal) || 1;
-
-          // MALLA
-          const mallaVal = pickFirst([(k) => k.includes('MALLA'), (k) => k.includes('PLAN')]);
-          normalized.malla = mallaVal || 'default';
-
-          // ESTADO (Usually not present in partial files until calculated)
-          const estadoVal = pickFirst([(k) => k.includes('ESTADO'), (k) => k.includes('APROBADO')]);
-          if (estadoVal) normalized.estado = estadoVal;
-
-          // GENERIC CODE
-          const codGen = pickFirst([(k) => k === 'CODIGO']);
-          if (codGen) normalized.codigoGenerico = codGen;
+export async function readExcelSheets(file) {
+  const buffer = await readFileAs(file, 'buffer');
+  try {
+    const workbook = XLSX.read(new Uint8Array(buffer), { type: 'array' });
+    return workbook.SheetNames.map(name => ({
+      name,
+      matrix: XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1, defval: '' })
+    }));
+  } catch (error) {
+    throw new Error('Error parsing Excel file: ' + error.message);
+  }
+}
 
-          // Derive Period logic
-          if (normalized.periodo) {
-            const pStr = String(normalized.periodo).replace(/\D/g, '');
-            if (!normalized.anio && pStr.length >= 4) normalized.anio = parseInt(pStr.slice(0, 4), 10);
-            if (!normalized.semestre && pStr.length >= 6) {
-              const suffix = pStr.slice(-2);
-              normalized.semestre = (suffix === '10') ? 1 : (suffix === '20') ? 2 : 1;
-            }
-          }
+/**
+ * First sheet of an Excel file as a matrix (array of rows)
+ */
+export async function readExcelMatrix(file) {
+  const sheets = await readExcelSheets(file);
+  return sheets[0]?.matrix || [];
+}
 
-          // Safe defaults
-          normalized.semestre = normalized.semestre || 1;
-          normalized.anio = normalized.anio || 0;
-          normalized.oportunidad = normalized.oportunidad || 1;
+/**
+ * CSV file as a matrix. RFC 4180 quoting, delimiter and Latin-1 detection live in csv.js
+ */
+export async function readCSVMatrix(file) {
+  const buffer = await readFileAs(file, 'buffer');
+  try {
+    return readCSV(buffer).matrix;
+  } catch (error) {
+    throw new Error('Error parsing CSV file: ' + error.message);
+  }
+}
 
-          return normalized;
-        });
+async function readJSONData(file) {
+  const text = await readFileAs(file, 'text');
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error('Error parsing JSON file: ' + error.message);
+  }
+}
 
-        // CONSOLIDATION STEP: Aggregate partial records
-        const consolidatedData = consolidateGradeRecords(normalizedData);
+/**
+ * Read a file as a raw table, before any field mapping.
+ * Returns { kind: 'table', headers, rows, rowNumbers, headerRowIndex, source } for grade files,
+ * { kind: 'sheets', sheets: [{ name, table }], ignored } for workbooks with several grade sheets
+ * or { kind: 'json', data } for JSON that is not a grades array (config files).
+ */
+export async function readGradeTable(file) {
+  const extension = file.name.split('.').pop().toLowerCase();
+  const source = { archivo: file.name };
 
-        console.log(`[parseGradesExcel] Final valid course records: ${consolidatedData.length}`);
+  switch (extension) {
+    case 'xlsx':
+    case 'xls':
+      return sheetsToTable(file.name, await readExcelSheets(file));
+    case 'csv':
+      return matrixToTable(await readCSVMatrix(file), source);
+    case 'json': {
+      const data = await readJSONData(file);
+      return isGradesJSON(data) ? jsonToTable(data, source) : { kind: 'json', data };
+    }
+    default:
+      throw new Error(`Unsupported file type: ${extension}`);
+  }
+}
 
-        resolve(consolidatedData);
-      } catch (error) {
-        reject(new Error('Error parsing Excel file: ' + error.message));
-      }
-    };
+/**
+ * Raw table -> consolidated course records.
+ * Column recognition and row normalization are shared by every format (gradeColumns.js).
+ * options: { mapping (automatic recognition when omitted), excludeRows (row indexes to drop),
+ *            consolidationRules (see gradeConsolidation.js), gradeScales and escala (id of the
+ *            dataset's scale, see gradeScales.js), onProgress(rowsRead, totalRows) }
+ */
+export function buildGradeRecords(table, options = {}) {
+  const excluded = new Set(options.excludeRows || []);
+  const rows = excluded.size ? table.rows.filter((_, idx) => !excluded.has(idx)) : table.rows;
+
+  const { records, mapping } = normalizeGradeRows(rows, table.headers, options);
+  console.log(`[buildGradeRecords] Header at row ${table.headerRowIndex}:`, mapping);
+
+  // Source file and sheet, kept through consolidation for the audit view
+  if (table.source?.archivo) records.forEach(r => { r._archivo = table.source.archivo; });
+  if (table.source?.hoja) records.forEach(r => { r._hoja = table.source.hoja; });
+  // Scale chosen for the whole dataset; kept so a re-consolidation converts the same way
+  if (options.escala) records.forEach(r => { r.escala = options.escala; });
+
+  // CONSOLIDATION STEP: Aggregate partial records with the rules and grade scale of each malla
+  const consolidatedData = consolidateGradeRecords(records, options.consolidationRules, options.gradeScales);
+  console.log(`[buildGradeRecords] Final valid course records: ${consolidatedData.length}`);
+  return consolidatedData;
+}
 
-    reader.onerror = () => reject(new Error('Error reading file'));
-    reader.readAsArrayBuffer(file);
-  });
+/**
+ * Parse an Excel file (.xlsx) containing student grades: every sheet with a grades header
+ * options: { mapping, onProgress(rowsRead, totalRows) }
+ */
+export async function parseGradesExcel(file, options = {}) {
+  const result = sheetsToTable(file.name, await readExcelSheets(file));
+  const tables = result.kind === 'sheets' ? result.sheets.map(sheet => sheet.table) : [result];
+  return tables.flatMap(table => buildGradeRecords(table, options));
 }
 
 /**
  * Parse a CSV file containing student grades
- * (Also updated with consolidation)
+ * options: { mapping, onProgress(rowsRead, totalRows) }
  */
-export function parseGradesCSV(file) {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      try {
-        const text = e.target.result;
-        const lines = text.split('\n').filter(line => line.trim());
-        if (lines.length === 0) {
-          resolve([]);
-          return;
-        }
-
-        const headers = lines[0].split(/[,;]/).map(h => normalizeCourseName(h, true));
-        const data = [];
-
-        for (let i = 1; i < lines.length; i++) {
-          const values = lines[i].split(/[,;]/);
-          const row = {};
-
-          headers.forEach((header, index) => {
-            const value = values[index]?.trim() || '';
-
-            if (header.includes('RUT')) row.rut = value.replace(/\./g, '').split('-')[0];
-
-            // Basic mapping (simplified for CSV compared to Excel logic above, assuming cleaner data usually)
-            else if (header.includes('CODIGOASIGNATURA') || header.includes('SIGLA')) row.codigoAsignatura = value;
-            else if (header.includes('ASIGNATURA') || header.includes('NOMBRE')) row.nombreAsignatura = value;
-            else if (header.includes('NOTA') || header.includes('CALIFICACION')) row.nota = parseFloat(value) || 0;
-            else if (header.includes('PESO') || header.includes('PONDERACION')) row.peso = parseFloat(value) || 0;
-            else if (header.includes('SEMESTRE')) row.semestre = parseInt(value) || 1;
-            else if (header.includes('ANIO') || header.includes('AÑO')) row.anio = parseInt(value) || 0;
-            else if (header.includes('OPORTUNIDAD')) row.oportunidad = parseInt(value) || 1;
-            else if (header.includes('PERIODO')) row.periodo = value;
-
-            // Handle MATERIA/CURSO in CSV if needed? Less likely, keeping simple.
-          });
-
-          if (row.periodo) {
-            const pStr = String(row.periodo).replace(/\D/g, '');
-            if (!row.anio) row.anio = parseInt(pStr.slice(0, 4)) || 0;
-            if (!row.semestre) row.semestre = pStr.endsWith('20') ? 2 : 1;
-          }
-
-          data.push(row);
-        }
-
-        const consolidated = consolidateGradeRecords(data);
-        resolve(consolidated);
-      } catch (error) {
-        reject(new Error('Error parsing CSV file: ' + error.message));
-      }
-    };
-    reader.onerror = () => reject(new Error('Error reading file'));
-    reader.readAsText(file);
-  });
+export async function parseGradesCSV(file, options = {}) {
+  return buildGradeRecords(matrixToTable(await readCSVMatrix(file), { archivo: file.name }), options);
 }
 
 /**
  * Parse JSON file (for grades or config)
+ * Grade arrays go through the same normalization as Excel/CSV.
  */
-export function parseJSON(file) {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      try {
-        const data = JSON.parse(e.target.result);
-        if (Array.isArray(data) && data.length > 0) {
-          const sample = data[0];
-          // Heuristic: is this a grades file?
-          if (sample.rut || sample.RUT || sample.nota || sample.Nota) {
-            // If JSON grades, assume they might need normalization but typically JSON is cleaner.
-            // We'll wrap them in our normalization structure if keys match.
-            // Implemented simplistic mapping for JSON grades:
-            const normalized = data.map(r => ({
-              rut: r.rut || r.RUT,
-              codigoAsignatura: r.codigoAsignatura || r.CODIGO_ASIGNATURA || r.codigo,
-              nombreAsignatura: r.nombreAsignatura || r.ASIGNATURA || r.nombre,
-              nota: parseFloat(r.nota || r.NOTA) || 0,
-              peso: parseFloat(r.peso || r.PESO) || 0,
-              anio: parseInt(r.anio || r.ANIO) || 0,
-              semestre: parseInt(r.semestre || r.SEMESTRE) || 1,
-              oportunidad: parseInt(r.oportunidad || r.OPORTUNIDAD) || 1
-            }));
-            const consolidated = consolidateGradeRecords(normalized);
-            resolve(consolidated);
-            return;
-          }
-        }
-        resolve(data);
-      } catch (error) {
-        reject(new Error('Error parsing JSON file: ' + error.message));
-      }
-    };
-    reader.readAsText(file);
-  });
+export async function parseJSON(file, options = {}) {
+  const data = await readJSONData(file);
+  return isGradesJSON(data) ? buildGradeRecords(jsonToTable(data, { archivo: file.name }), options) : data;
 }
 
 /**
  * Detect file type and parse accordingly
+ * options: { mapping, onProgress(rowsRead, totalRows) } for grade files
  */
-export async function parseFile(file) {
-  const extension = file.name.split('.').pop().toLowerCase();
-
-  switch (extension) {
-    case 'xlsx':
-    case 'xls':
-      return await parseGradesExcel(file);
-    case 'csv':
-      return await parseGradesCSV(file);
-    case 'json':
-      return await parseJSON(file);
-    default:
-      throw new Error(`Unsupported file type: ${extension}`);
-  }
+export async function parseFile(file, options = {}) {
+  const table = await readGradeTable(file);
+  if (table.kind === 'json') return table.data;
+  if (table.kind === 'sheets') return table.sheets.flatMap(sheet => buildGradeRecords(sheet.table, options));
+  return buildGradeRecords(table, options);
 }
 
 export function getUniqueStudents(gradesData) {
@@ -375,34 +197,83 @@ export function getUniqueStudents(gradesData) {
   return Array.from(students.values());
 }
 
+/**
+ * Records of one student; the RUT may come in any formatting (with or without dots or DV)
+ */
 export function getStudentRecords(gradesData, rut) {
-  const normalizedRut = String(rut).replace(/\./g, '').split('-')[0];
-  return gradesData.filter(record =>
-    String(record.rut).replace(/\./g, '').split('-')[0] === normalizedRut
-  );
+  for (const key of getRutSearchKeys(rut)) {
+    const records = gradesData.filter(record => normalizeRut(record.rut) === key);
+    if (records.length > 0) return records;
+  }
+  return [];
 }
 
-export function enrichGradesWithTraza(gradesData, curriculumData) {
+// Match decided by a manual equivalence; null to fall back to automatic matching
+// (destination not in this malla)
+function matchByEquivalence(equivalence, mallaIndex) {
+  if (!equivalence) return null;
+  const course = equivalence.noEnMalla ? null : resolveEquivalenceCourse(equivalence, mallaIndex);
+  if (!equivalence.noEnMalla && !course) return null;
+  return { course, metodo: 'manual', confianza: 1, ambigua: false, candidatos: [] };
+}
+
+// Match decided by a cross-plan homologation; null when its destination is not in this malla
+function matchByHomologation(homologation, mallaIndex) {
+  const course = homologation ? resolveEquivalenceCourse(homologation, mallaIndex) : null;
+  if (!course) return null;
+  return { course, metodo: 'homologacion', confianza: 1, ambigua: false, candidatos: [] };
+}
+
+/**
+ * Records with their malla course (enMalla, semestreCurricular, codigoMalla, nombreMalla)
+ * and how it was found: coincidenciaMalla { metodo, confianza, ambigua, candidatos }
+ * (see findMallaMatch). Ambiguous names are left out of the malla.
+ * Records of another plan covered by a homologation into `plan` are re-mapped to its
+ * destination course and tagged homologacion { origen, planOrigen, planDestino }.
+ * Attempts at an elective group get their slot (slotElectivo, see electiveSlots.js).
+ * options: { homologations, plan } cross-plan table (see planHomologations.js) and the
+ * plan of curriculumData, applied first; { equivalences } manual table (see
+ * courseEquivalences.js), applied next
+ */
+export function enrichGradesWithTraza(gradesData, curriculumData, options = {}) {
   if (!curriculumData || !gradesData) return gradesData;
 
-  const mallaIndex = buildMallaIndex(curriculumData);
+  const mallaIndex = getMallaIndex(curriculumData);
+  const equivalenceIndex = indexCourseEquivalences(options.equivalences);
+  const homologationIndex = indexPlanHomologations(options.homologations, options.plan);
   console.log(`Enrichment: Malla Index built with ${mallaIndex.allCourses.length} courses`);
 
-  const enriched = gradesData.map(record => {
-    const match = matchAsignaturaToMalla(record, mallaIndex);
+  const matched = gradesData.map(record => {
+    const homologation = findPlanHomologation(homologationIndex, record);
+    const homologated = matchByHomologation(homologation, mallaIndex);
+    const manual = homologated || matchByEquivalence(findCourseEquivalence(equivalenceIndex, record), mallaIndex);
+    const { course: match, metodo, confianza, ambigua, candidatos } = manual || findMallaMatch(record, mallaIndex);
 
     return {
       ...record,
       enMalla: Boolean(match),
       semestreCurricular: match ? match.semestre : null,
       codigoMalla: match ? match.codigo : null,
-      nombreMalla: match ? match.nombre : null
+      nombreMalla: match ? match.nombre : null,
+      coincidenciaMalla: { metodo, confianza, ambigua, candidatos },
+      homologacion: homologated
+        ? {
+          origen: record.nombreAsignatura || record.codigoAsignatura,
+          planOrigen: homologation.planOrigen,
+          planDestino: homologation.planDestino
+        }
+        : null
     };
   });
 
+  // Attempts at an elective group are spread over its slots
+  const enriched = assignElectiveSlots(matched, mallaIndex);
+
   // Debug info
   const inMalla = enriched.filter(r => r.enMalla).length;
-  console.log(`[enrichGradesWithTraza] Records processed: ${enriched.length}, Matches: ${inMalla}`);
+  const ambiguous = enriched.filter(r => r.coincidenciaMalla.ambigua).length;
+  const homologated = enriched.filter(r => r.homologacion).length;
+  console.log(`[enrichGradesWithTraza] Records processed: ${enriched.length}, Matches: ${inMalla}, Ambiguous: ${ambiguous}, Homologated: ${homologated}`);
 
   return enriched;
 }
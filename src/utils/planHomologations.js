@@ -0,0 +1,122 @@
+/**
+ * Plan Homologations
+ * Cross-plan course equivalences for students who migrated between plan versions:
+ * one or more courses of the old plan mapped to one course of the new plan.
+ * Applied by enrichGradesWithTraza so old-plan attempts are re-mapped into the
+ * malla of the student's current plan instead of falling out of it.
+ */
+
+import { normalizeCourseName, normalizePlanId } from './mallaIndex.js';
+
+// Key of a source name or code: case, accents, spacing and punctuation ignored
+function toKey(value) {
+  return normalizeCourseName(value, true);
+}
+
+function toDestination(destino) {
+  if (typeof destino === 'string') return { codigo: '', nombre: destino.trim() };
+  return { codigo: String(destino?.codigo || ''), nombre: String(destino?.nombre || '') };
+}
+
+/**
+ * Read homologations from a JSON payload:
+ * { homologaciones: [{ planOrigen, planDestino, origen: "name or code" | [...], destino: { codigo, nombre } | "name" }] }.
+ * Several origins on one entry map many old courses to one new course.
+ * Returns { homologations, errors } with only valid entries:
+ * [{ id, planOrigen, planDestino, origen: [...], claves: [...], destino: { codigo, nombre } }]
+ */
+export function parsePlanHomologations(data) {
+  const list = Array.isArray(data?.homologaciones) ? data.homologaciones : [];
+  const homologations = [];
+  const errors = [];
+
+  list.forEach((item, idx) => {
+    const origen = [].concat(item?.origen ?? []).map(value => String(value).trim()).filter(toKey);
+    const destino = toDestination(item?.destino);
+    const label = origen.length > 0 ? origen.join(' + ') : `#${idx + 1}`;
+
+    if (!item?.planOrigen || !item?.planDestino) {
+      errors.push(`Homologación ${label}: faltan "planOrigen" y "planDestino"`);
+    } else if (normalizePlanId(item.planOrigen) === normalizePlanId(item.planDestino)) {
+      errors.push(`Homologación ${label}: "planOrigen" y "planDestino" son el mismo plan (${item.planOrigen})`);
+    } else if (origen.length === 0) {
+      errors.push(`Homologación ${label}: falta "origen"`);
+    } else if (!destino.codigo && !destino.nombre) {
+      errors.push(`Homologación ${label}: falta "destino" (código o nombre)`);
+    } else {
+      const claves = origen.map(toKey);
+      homologations.push({
+        id: `homologacion-${normalizePlanId(item.planOrigen)}-${normalizePlanId(item.planDestino)}-${claves.join('-')}`,
+        planOrigen: String(item.planOrigen),
+        planDestino: String(item.planDestino),
+        origen,
+        claves,
+        destino
+      });
+    }
+  });
+
+  if (list.length === 0) errors.push('No se encontraron homologaciones');
+  return { homologations, errors };
+}
+
+/**
+ * Heuristic used by the upload step to recognize a homologation file
+ */
+export function looksLikePlanHomologations(data) {
+  return Array.isArray(data?.homologaciones);
+}
+
+/**
+ * Add or replace (same plans and origins) homologations. Returns the updated list.
+ */
+export function mergePlanHomologations(homologations, incoming) {
+  const ids = new Set(incoming.map(h => h.id));
+  return [...(homologations || []).filter(h => !ids.has(h.id)), ...incoming];
+}
+
+/**
+ * Lookup of the homologations into one plan, keyed by "origin plan|origin course"
+ */
+export function indexPlanHomologations(homologations, plan) {
+  const index = new Map();
+  const target = normalizePlanId(plan);
+  if (!target) return index;
+  (homologations || [])
+    .filter(h => normalizePlanId(h.planDestino) === target)
+    .forEach(h => {
+      const planKey = normalizePlanId(h.planOrigen);
+      h.claves.forEach(clave => index.set(`${planKey}|${clave}`, h));
+    });
+  return index;
+}
+
+/**
+ * Homologation for a record of another plan: by course code first, then by course name
+ */
+export function findPlanHomologation(homologationIndex, record) {
+  if (!homologationIndex || homologationIndex.size === 0 || !record?.malla) return null;
+  const planKey = normalizePlanId(record.malla);
+  const codeKey = toKey(record.codigoAsignatura || record.codigoGenerico);
+  const nameKey = toKey(record.nombreAsignatura);
+  return (codeKey && homologationIndex.get(`${planKey}|${codeKey}`)) ||
+    (nameKey && homologationIndex.get(`${planKey}|${nameKey}`)) ||
+    null;
+}
+
+/**
+ * Homologated rows of enriched records, for the audit:
+ * [{ origen, planOrigen, destino, planDestino, periodo, nota }]
+ */
+export function listHomologatedRecords(enrichedRecords) {
+  return (enrichedRecords || [])
+    .filter(r => r.homologacion)
+    .map(r => ({
+      origen: r.homologacion.origen,
+      planOrigen: r.homologacion.planOrigen,
+      destino: r.nombreMalla || r.codigoMalla,
+      planDestino: r.homologacion.planDestino,
+      periodo: `${r.anio || '?'}-${r.semestre || '?'}`,
+      nota: r.nota
+    }));
+}
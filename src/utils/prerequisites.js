@@ -0,0 +1,142 @@
+/**
+ * Prerequisites
+ * Reads a student's record against the requisite graph of the malla (see
+ * buildMallaIndex): attempts taken before their prerequisites were passed,
+ * courses still blocked, and the critical path (longest prerequisite chain of
+ * pending courses), which bounds the semesters left to graduate.
+ */
+
+import { normalizeCourseName } from './mallaIndex.js';
+import { getAcademicState } from './academicStates.js';
+import { isApprovedRecord } from './calculators.js';
+
+function periodOf(r) {
+  return (Number(r.anio) || 0) * 10 + (Number(r.semestre) || 0);
+}
+
+function courseLabel(course) {
+  const name = course.nombre || course.codigo;
+  return course.slot ? `${name} (${course.slot.indice}/${course.slot.total})` : name;
+}
+
+// Malla course of an enriched record (its slot for elective groups)
+function courseOfRecord(r, mallaIndex) {
+  if (r.slotElectivo) {
+    for (const slots of mallaIndex.slotGroups.values()) {
+      const slot = slots.find(course => course.slot.clave === r.slotElectivo.clave);
+      if (slot) return slot;
+    }
+  }
+  const code = normalizeCourseName(r.codigoMalla, true);
+  const name = normalizeCourseName(r.nombreMalla);
+  return (code && mallaIndex.byCode.get(code)) || (name && mallaIndex.byName.get(name)) || null;
+}
+
+/**
+ * True when the malla declares at least one prerequisite or corequisite
+ */
+export function hasRequisites(mallaIndex) {
+  const graph = mallaIndex?.requisiteGraph;
+  return Boolean(graph && (graph.prerequisites.size > 0 || graph.corequisites.size > 0));
+}
+
+/**
+ * Longest chain of pending courses linked by prerequisites (each link is one more
+ * semester; corequisites are taken alongside). Returns { semestres, cursos } with
+ * the course names along the chain, first to last.
+ */
+export function findCriticalPath(pendingCourses, requisiteGraph) {
+  const pending = new Set(pendingCourses);
+  const memo = new Map();
+  const visiting = new Set();
+
+  const chainTo = (course) => {
+    if (memo.has(course)) return memo.get(course);
+    if (visiting.has(course)) return []; // cyclic requisites: the cycle is not followed
+    visiting.add(course);
+    let longest = [];
+    (requisiteGraph?.prerequisites.get(course) || [])
+      .filter(prerequisite => pending.has(prerequisite))
+      .forEach(prerequisite => {
+        const chain = chainTo(prerequisite);
+        if (chain.length > longest.length) longest = chain;
+      });
+    visiting.delete(course);
+    const chain = [...longest, course];
+    memo.set(course, chain);
+    return chain;
+  };
+
+  let critical = [];
+  pending.forEach(course => {
+    const chain = chainTo(course);
+    if (chain.length > critical.length) critical = chain;
+  });
+  return { semestres: critical.length, cursos: critical.map(courseLabel) };
+}
+
+/**
+ * Requisite analysis of a student's enriched records:
+ * - violaciones: attempts taken without a prerequisite passed in an earlier period, or
+ *   without a corequisite passed before or taken in the same period
+ *   [{ curso, periodo, tipo: 'prerrequisito' | 'correquisito', faltantes: [name] }]
+ * - bloqueados: pending courses with a prerequisite not yet passed [{ curso, semestre, faltantes }]
+ * - rutaCritica: { semestres, cursos } over the pending courses (see findCriticalPath)
+ * - pendientes: number of malla courses not yet passed
+ * Recognized attempts (convalidado, homologado) were not taken here and are not checked.
+ */
+export function analyzePrerequisites(records, mallaIndex) {
+  const empty = { violaciones: [], bloqueados: [], rutaCritica: { semestres: 0, cursos: [] }, pendientes: 0 };
+  if (!mallaIndex?.requisiteGraph) return empty;
+  const { prerequisites, corequisites } = mallaIndex.requisiteGraph;
+
+  // Earliest approval and every period each course was taken in
+  const approvedAt = new Map();
+  const takenIn = new Map();
+  const attempts = [];
+  (records || []).filter(r => r.enMalla).forEach(r => {
+    const course = courseOfRecord(r, mallaIndex);
+    if (!course) return;
+    const period = periodOf(r);
+    if (!takenIn.has(course)) takenIn.set(course, new Set());
+    takenIn.get(course).add(period);
+    if (isApprovedRecord(r) && (!approvedAt.has(course) || period < approvedAt.get(course))) {
+      approvedAt.set(course, period);
+    }
+    if (!getAcademicState(r).aprobado) attempts.push({ r, course, period });
+  });
+
+  const violaciones = [];
+  attempts.forEach(({ r, course, period }) => {
+    const missingPre = (prerequisites.get(course) || [])
+      .filter(p => !(approvedAt.has(p) && approvedAt.get(p) < period));
+    const missingCo = (corequisites.get(course) || [])
+      .filter(c => !(approvedAt.has(c) && approvedAt.get(c) <= period) && !takenIn.get(c)?.has(period));
+    [['prerrequisito', missingPre], ['correquisito', missingCo]].forEach(([tipo, missing]) => {
+      if (missing.length === 0) return;
+      violaciones.push({
+        curso: courseLabel(course),
+        periodo: `${r.anio || '?'}-${r.semestre || '?'}`,
+        tipo,
+        faltantes: missing.map(courseLabel)
+      });
+    });
+  });
+
+  const pending = mallaIndex.allCourses.filter(course => !approvedAt.has(course));
+  const bloqueados = pending
+    .map(course => ({
+      course,
+      missing: (prerequisites.get(course) || []).filter(p => !approvedAt.has(p))
+    }))
+    .filter(({ missing }) => missing.length > 0)
+    .sort((a, b) => a.course.semestre - b.course.semestre)
+    .map(({ course, missing }) => ({ curso: courseLabel(course), semestre: course.semestre, faltantes: missing.map(courseLabel) }));
+
+  return {
+    violaciones,
+    bloqueados,
+    rutaCritica: findCriticalPath(pending, mallaIndex.requisiteGraph),
+    pendientes: pending.length
+  };
+}
@@ -1,17 +1,20 @@
 /**
  * UVM Kinesiology Personalized Recommendations Engine
  * Generates tailored improvement strategies based on student profile
+ * Strategies follow the tone of the student's level (see utils/levels.js)
  */
 
+import { getNextLevel } from './levels.js';
+
 /**
  * Generate comprehensive recommendations based on Exit Indicator results
  */
 export function generateRecommendations(indicatorResult, studentRecords, demographicData) {
     const recommendations = [];
-    const { components, level, totalScore, stats } = indicatorResult;
+    const { components, levelInfo, levelScheme, totalScore, stats } = indicatorResult;
 
     // A. Academic Achievement Recommendations
-    recommendations.push(...getAcademicRecommendations(components, level, stats));
+    recommendations.push(...getAcademicRecommendations(components, levelInfo, stats));
 
     // B. Curricular Structure Recommendations
     recommendations.push(...getCurriculumRecommendations(studentRecords, stats));
@@ -22,7 +25,7 @@ export function generateRecommendations(indicatorResult, studentRecords, demogra
     }
 
     // D. Overall Profile Strategy
-    recommendations.push(...getProfileStrategy(level, totalScore, components));
+    recommendations.push(...getProfileStrategy(levelInfo, getNextLevel(levelInfo, levelScheme), totalScore, components));
 
     return recommendations;
 }
@@ -30,10 +33,10 @@ export function generateRecommendations(indicatorResult, studentRecords, demogra
 /**
  * A. Academic Achievement Recommendations
  */
-function getAcademicRecommendations(components, level, stats) {
+function getAcademicRecommendations(components, levelInfo, stats) {
     const recommendations = [];
 
-    if (level === 'Alto') {
+    if (levelInfo.tono === 'success') {
         recommendations.push({
             category: 'Logros Académicos',
             type: 'success',
@@ -47,7 +50,7 @@ function getAcademicRecommendations(components, level, stats) {
                 'Inicia networking con profesionales del campo para prácticas avanzadas'
             ]
         });
-    } else if (level === 'Medio') {
+    } else if (levelInfo.tono === 'warning') {
         recommendations.push({
             category: 'Logros Académicos',
             type: 'warning',
@@ -245,7 +248,7 @@ function getContextualRecommendations(demographicData) {
 /**
  * D. Overall Profile Strategy
  */
-function getProfileStrategy(level, totalScore, components) {
+function getProfileStrategy(levelInfo, nextLevel, totalScore, components) {
     const recommendations = [];
 
     // Find weakest components
@@ -255,7 +258,7 @@ function getProfileStrategy(level, totalScore, components) {
 
     const weakestComponents = sortedComponents.slice(0, 2);
 
-    if (level === 'Bajo') {
+    if (levelInfo.tono === 'danger') {
         recommendations.push({
             category: 'Estrategia General',
             type: 'danger',
@@ -270,13 +273,14 @@ function getProfileStrategy(level, totalScore, components) {
                 'Establece un sistema de acompañamiento cercano con tutor asignado'
             ]
         });
-    } else if (level === 'Medio') {
+    } else if (levelInfo.tono === 'warning') {
+        const goal = nextLevel ? `Objetivo: alcanzar el ${nextLevel.min}% (Nivel ${nextLevel.label}).` : 'Objetivo: consolidar tu nivel.';
         recommendations.push({
             category: 'Estrategia General',
             type: 'warning',
             icon: '⚡',
             title: 'Plan de Optimización',
-            description: `Indicador actual: ${totalScore.toFixed(1)}%. Objetivo: superar el 80%.`,
+            description: `Indicador actual: ${totalScore.toFixed(1)}%. ${goal}`,
             actions: [
                 `Fortalece: ${weakestComponents[0].label} (${(weakestComponents[0].value * 100).toFixed(0)}%)`,
                 `Mejora: ${weakestComponents[1].label} (${(weakestComponents[1].value * 100).toFixed(0)}%)`,
@@ -308,22 +312,9 @@ function getProfileStrategy(level, totalScore, components) {
  * Get a summary text for the student's overall situation
  */
 export function getSummaryText(indicatorResult, demographicData) {
-    const { level, totalScore, stats, malla } = indicatorResult;
-
-    let levelText;
-    switch (level) {
-        case 'Alto':
-            levelText = 'excelente desempeño';
-            break;
-        case 'Medio':
-            levelText = 'desempeño satisfactorio con oportunidades de mejora';
-            break;
-        case 'Bajo':
-            levelText = 'desempeño que requiere atención prioritaria';
-            break;
-        default:
-            levelText = 'desempeño evaluado';
-    }
+    const { level, levelInfo, totalScore, stats } = indicatorResult;
+
+    const levelText = levelInfo?.resumen || 'desempeño evaluado';
 
     const demographicNote = demographicData ?
         `\n\n📋 Datos demográficos considerados: Género: ${demographicData.genero || 'No especificado'}, ` +
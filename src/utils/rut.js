@@ -0,0 +1,99 @@
+/**
+ * RUT
+ * Chilean RUT handling: parsing any common formatting, module-11 check digit,
+ * and canonical display (12.345.678-5). Records keep the body (digits without
+ * the verifier digit) as the student key, so files with and without DV match.
+ */
+
+/**
+ * Module-11 verifier digit of a RUT body: '0'-'9' or 'K'
+ */
+export function computeRutDV(body) {
+  const digits = String(body ?? '').replace(/\D/g, '');
+  let sum = 0;
+  let factor = 2;
+  for (let i = digits.length - 1; i >= 0; i--) {
+    sum += Number(digits[i]) * factor;
+    factor = factor === 7 ? 2 : factor + 1;
+  }
+  const dv = 11 - (sum % 11);
+  if (dv === 11) return '0';
+  if (dv === 10) return 'K';
+  return String(dv);
+}
+
+/**
+ * Split a RUT in any formatting ('12.345.678-5', '12345678-5', '123456785', '12345678', 12345678)
+ * into { body, dv }. dv is null when not given. Without a hyphen, the last character is
+ * read as the DV only for 9 characters or a trailing K (bodies have up to 8 digits).
+ * Returns null when there is no body.
+ */
+export function parseRut(value) {
+  const raw = String(value ?? '').trim().toUpperCase().replace(/[.\s]/g, '');
+  if (!raw) return null;
+
+  let body = raw;
+  let dv = null;
+  const hyphen = raw.lastIndexOf('-');
+  if (hyphen >= 0) {
+    body = raw.slice(0, hyphen);
+    dv = raw.slice(hyphen + 1) || null;
+  } else if (raw.endsWith('K') || raw.length >= 9) {
+    body = raw.slice(0, -1);
+    dv = raw.slice(-1);
+  }
+
+  if (!/^\d+$/.test(body)) return null;
+  body = body.replace(/^0+(?=\d)/, '');
+  return { body, dv };
+}
+
+/**
+ * Problem with a RUT value: null when valid, or
+ * 'format' (not a RUT) / 'dv' (verifier digit does not match the body)
+ */
+export function getRutIssue(value) {
+  const parsed = parseRut(value);
+  if (!parsed || parsed.body.length > 8 || (parsed.dv !== null && !/^[\dK]$/.test(parsed.dv))) return 'format';
+  if (parsed.dv !== null && parsed.dv !== computeRutDV(parsed.body)) return 'dv';
+  return null;
+}
+
+export function isValidRut(value) {
+  return getRutIssue(value) === null;
+}
+
+/**
+ * Student key for a RUT in any formatting: the body without dots, DV or leading zeros.
+ * Values that are not a RUT are kept trimmed so they still group together.
+ */
+export function normalizeRut(value) {
+  const parsed = parseRut(value);
+  return parsed ? parsed.body : String(value ?? '').trim();
+}
+
+/**
+ * Canonical display: 12.345.678-5. The DV is rebuilt from the body when missing.
+ */
+export function formatRut(value) {
+  const parsed = parseRut(value);
+  if (!parsed) return String(value ?? '');
+  const dv = parsed.dv ?? computeRutDV(parsed.body);
+  return `${parsed.body.replace(/\B(?=(\d{3})+(?!\d))/g, '.')}-${dv}`;
+}
+
+/**
+ * Student keys a search text may refer to. An unseparated value whose last digit
+ * is a valid DV of the rest ('12345675') may also be a 7-digit body with its DV.
+ */
+export function getRutSearchKeys(value) {
+  const parsed = parseRut(value);
+  if (!parsed) return [];
+  const keys = [parsed.body];
+  const raw = String(value).trim();
+  if (parsed.dv === null && !raw.includes('-') && parsed.body.length > 1) {
+    const body = parsed.body.slice(0, -1);
+    if (computeRutDV(body) === parsed.body.slice(-1)) keys.push(body);
+  }
+  return keys;
+}
@@ -0,0 +1,126 @@
+/**
+ * What-if Simulator
+ * Applies hypothetical changes (new attempts, edited grades, demographic inputs)
+ * to a student's records and compares the resulting indicator with the real one.
+ */
+
+/**
+ * Empty scenario: no changes
+ */
+export function createEmptyScenario(demographicData = null) {
+  return {
+    addedAttempts: [],
+    gradeEdits: {},
+    demographic: demographicData ? { ...demographicData } : { genero: '', ciudad: '', tipoColegio: '' }
+  };
+}
+
+/**
+ * Period right after the latest record (e.g. 2023-2 -> 2024-1)
+ */
+export function getNextPeriod(studentRecords) {
+  let anio = 0;
+  let semestre = 0;
+
+  (studentRecords || []).forEach(r => {
+    const y = parseInt(r.anio, 10) || 0;
+    const s = parseInt(r.semestre, 10) || 1;
+    if (y > anio || (y === anio && s > semestre)) {
+      anio = y;
+      semestre = s;
+    }
+  });
+
+  if (!anio) return { anio: new Date().getFullYear(), semestre: 1 };
+  return semestre >= 2 ? { anio: anio + 1, semestre: 1 } : { anio, semestre: 2 };
+}
+
+/**
+ * Build a hypothetical attempt for a malla course.
+ * The opportunity number continues the student's attempts for that course.
+ */
+export function buildHypotheticalAttempt(course, { nota, anio, semestre }, studentRecords = []) {
+  const previousAttempts = studentRecords.filter(r =>
+    (course.codigo && (r.codigoMalla === course.codigo || r.codigoAsignatura === course.codigo)) ||
+    (r.nombreMalla && r.nombreMalla === course.nombre)
+  ).length;
+
+  return {
+    rut: studentRecords[0]?.rut,
+    malla: studentRecords[0]?.malla || 'default',
+    codigoAsignatura: course.codigo || undefined,
+    nombreAsignatura: course.nombre,
+    nota: Number(nota),
+    anio: Number(anio),
+    semestre: Number(semestre),
+    oportunidad: previousAttempts + 1,
+    _simulado: true
+  };
+}
+
+/**
+ * Apply a scenario to the (raw) student records.
+ * gradeEdits is keyed by the record index in studentRecords.
+ * Returns a new array; the input is not modified.
+ */
+export function applyScenario(studentRecords, scenario) {
+  if (!Array.isArray(studentRecords)) return [];
+  if (!scenario) return studentRecords;
+
+  const edited = studentRecords.map((r, idx) => {
+    const edit = scenario.gradeEdits?.[idx];
+    if (edit === undefined || edit === null || edit === '') return r;
+    const nota = Number(edit);
+    if (!Number.isFinite(nota)) return r;
+    return { ...r, nota, _simulado: true };
+  });
+
+  return [...edited, ...(scenario.addedAttempts || [])];
+}
+
+/**
+ * True when the scenario changes anything compared to the real inputs
+ */
+export function isScenarioActive(scenario, demographicData) {
+  if (!scenario) return false;
+  if (scenario.addedAttempts?.length) return true;
+  if (Object.keys(scenario.gradeEdits || {}).length) return true;
+
+  const real = demographicData || {};
+  const sim = scenario.demographic || {};
+  return ['genero', 'ciudad', 'tipoColegio'].some(k => (real[k] || '') !== (sim[k] || ''));
+}
+
+/**
+ * Delta between the real and simulated indicator results.
+ * Component values are ratios (0-1); total is a percentage.
+ */
+export function compareIndicatorResults(baseResult, simResult) {
+  const components = {};
+
+  Object.entries(baseResult?.components || {}).forEach(([key, comp]) => {
+    const simComp = simResult?.components?.[key];
+    const base = comp.value;
+    const sim = simComp ? simComp.value : base;
+    components[key] = {
+      label: comp.label,
+      base,
+      sim,
+      delta: sim - base,
+      weightedDelta: (simComp ? simComp.weightedValue : comp.weightedValue) - comp.weightedValue
+    };
+  });
+
+  const baseTotal = baseResult?.totalScore || 0;
+  const simTotal = simResult?.totalScore ?? baseTotal;
+
+  return {
+    components,
+    total: { base: baseTotal, sim: simTotal, delta: simTotal - baseTotal },
+    level: {
+      base: baseResult?.level,
+      sim: simResult?.level,
+      changed: baseResult?.level !== simResult?.level
+    }
+  };
+}
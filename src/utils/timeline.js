@@ -0,0 +1,70 @@
+/**
+ * Indicator Timeline
+ * Re-computes the exit indicator at every academic period (anio/semestre cut-off)
+ * using only the records up to that period.
+ */
+
+import { calculateExitIndicator } from './calculators.js';
+import { COMPONENT_KEYS } from './weightProfiles.js';
+
+function periodOf(record) {
+  return {
+    anio: parseInt(record.anio, 10) || 0,
+    semestre: parseInt(record.semestre, 10) || 1
+  };
+}
+
+function comparePeriods(a, b) {
+  return a.anio !== b.anio ? a.anio - b.anio : a.semestre - b.semestre;
+}
+
+/**
+ * Distinct periods present in the records, oldest first: [{ anio, semestre, label }]
+ * Records without a year are not placed on the timeline.
+ */
+export function getAcademicPeriods(records) {
+  const byKey = new Map();
+  (records || []).forEach(r => {
+    const period = periodOf(r);
+    if (!period.anio) return;
+    const label = `${period.anio}-${period.semestre}`;
+    if (!byKey.has(label)) byKey.set(label, { ...period, label });
+  });
+  return Array.from(byKey.values()).sort(comparePeriods);
+}
+
+/**
+ * Records taken up to (and including) the given period
+ */
+export function getRecordsUpToPeriod(records, period) {
+  return (records || []).filter(r => {
+    const p = periodOf(r);
+    return p.anio > 0 && comparePeriods(p, period) <= 0;
+  });
+}
+
+/**
+ * One indicator result per period cut-off.
+ * The last point uses every record (including undated ones) so it matches the official result.
+ * Returns [{ period, label, records, totalScore, level, levelClass, levelInfo, components: { key: value } }]
+ */
+export function calculateIndicatorTimeline(enrichedRecords, criticalityData, curriculumData, demographicData, weightProfile, levelScheme) {
+  const periods = getAcademicPeriods(enrichedRecords);
+
+  return periods.map((period, idx) => {
+    const isLast = idx === periods.length - 1;
+    const records = isLast ? enrichedRecords : getRecordsUpToPeriod(enrichedRecords, period);
+    const result = calculateExitIndicator(records, criticalityData, curriculumData, demographicData, weightProfile, levelScheme);
+
+    return {
+      period,
+      label: period.label,
+      records: records.length,
+      totalScore: result.totalScore,
+      level: result.level,
+      levelClass: result.levelClass,
+      levelInfo: result.levelInfo,
+      components: Object.fromEntries(COMPONENT_KEYS.map(key => [key, result.components[key]?.value ?? 0]))
+    };
+  });
+}
@@ -0,0 +1,161 @@
+/**
+ * Weighting Profiles
+ * Named, versioned sets of component weights for the exit indicator.
+ * Profiles can be loaded from JSON and every result records the profile that produced it.
+ */
+
+// Component keys in the order the indicator reports them
+export const COMPONENT_KEYS = [
+  'approvalRate',
+  'performance',
+  'permanence',
+  'repetition',
+  'criticality',
+  'relevance',
+  'demographic'
+];
+
+// Short labels for charts and compact tables
+export const COMPONENT_SHORT_LABELS = {
+  approvalRate: 'Aprobación',
+  performance: 'Rendimiento',
+  permanence: 'Permanencia',
+  repetition: 'Repetición',
+  criticality: 'Criticidad',
+  relevance: 'Semestre',
+  demographic: 'Demográfico'
+};
+
+// Max allowed deviation of the weight sum from 1 (rounding in hand-edited JSON)
+const WEIGHT_SUM_TOLERANCE = 0.001;
+
+/**
+ * Default profile (spec Jan 2026)
+ */
+export const DEFAULT_WEIGHT_PROFILE = {
+  id: 'spec-2026-01',
+  nombre: 'Spec Jan 2026',
+  version: '2026.01',
+  descripcion: 'Ponderación oficial según especificación de enero 2026',
+  pesos: {
+    approvalRate: 0.25,
+    performance: 0.20,
+    permanence: 0.20,
+    repetition: 0.10,
+    criticality: 0.10,
+    relevance: 0.10,
+    demographic: 0.05
+  }
+};
+
+/**
+ * Validate a profile: id, nombre, all 7 weights as non-negative numbers summing to 1.
+ * Returns { valid, errors }
+ */
+export function validateWeightProfile(profile) {
+  const errors = [];
+
+  if (!profile || typeof profile !== 'object') {
+    return { valid: false, errors: ['El perfil no es un objeto'] };
+  }
+
+  const label = profile.nombre || profile.id || 'sin nombre';
+
+  if (!profile.id) errors.push(`Perfil "${label}": falta "id"`);
+  if (!profile.nombre) errors.push(`Perfil "${label}": falta "nombre"`);
+
+  const pesos = profile.pesos;
+  if (!pesos || typeof pesos !== 'object') {
+    errors.push(`Perfil "${label}": falta el objeto "pesos"`);
+    return { valid: false, errors };
+  }
+
+  let sum = 0;
+  COMPONENT_KEYS.forEach(key => {
+    const w = Number(pesos[key]);
+    if (pesos[key] === undefined || pesos[key] === null || pesos[key] === '') {
+      errors.push(`Perfil "${label}": falta el peso de "${key}"`);
+    } else if (!Number.isFinite(w) || w < 0) {
+      errors.push(`Perfil "${label}": peso inválido para "${key}" (${pesos[key]})`);
+    } else {
+      sum += w;
+    }
+  });
+
+  const unknownKeys = Object.keys(pesos).filter(k => !COMPONENT_KEYS.includes(k));
+  if (unknownKeys.length) {
+    errors.push(`Perfil "${label}": componentes desconocidos (${unknownKeys.join(', ')})`);
+  }
+
+  if (errors.length === 0 && Math.abs(sum - 1) > WEIGHT_SUM_TOLERANCE) {
+    errors.push(`Perfil "${label}": los pesos suman ${sum.toFixed(3)} (deben sumar 1)`);
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Read profiles from a JSON payload.
+ * Supports: [profile, ...], { perfiles: [...] } or a single profile object.
+ * Returns { profiles, errors } with only valid profiles in `profiles`.
+ */
+export function parseWeightProfiles(data) {
+  let list = [];
+  if (Array.isArray(data)) list = data;
+  else if (Array.isArray(data?.perfiles)) list = data.perfiles;
+  else if (data?.pesos) list = [data];
+
+  const profiles = [];
+  const errors = [];
+
+  list.forEach(item => {
+    const { valid, errors: itemErrors } = validateWeightProfile(item);
+    if (valid) {
+      profiles.push({
+        id: String(item.id),
+        nombre: String(item.nombre),
+        version: item.version ? String(item.version) : '1',
+        descripcion: item.descripcion || '',
+        pesos: Object.fromEntries(COMPONENT_KEYS.map(k => [k, Number(item.pesos[k])]))
+      });
+    } else {
+      errors.push(...itemErrors);
+    }
+  });
+
+  if (list.length === 0) errors.push('No se encontraron perfiles de ponderación');
+
+  return { profiles, errors };
+}
+
+/**
+ * Heuristic used by the upload step to recognize a profiles file
+ */
+export function looksLikeWeightProfiles(data) {
+  if (Array.isArray(data)) return data.length > 0 && Boolean(data[0]?.pesos);
+  return Boolean(data && typeof data === 'object' && (Array.isArray(data.perfiles) || data.pesos));
+}
+
+/**
+ * Merge newly loaded profiles into a list (same id replaces the old entry)
+ */
+export function mergeWeightProfiles(current, incoming) {
+  const byId = new Map((current || []).map(p => [p.id, p]));
+  (incoming || []).forEach(p => byId.set(p.id, p));
+  return Array.from(byId.values());
+}
+
+/**
+ * Find a profile by id, falling back to the default profile
+ */
+export function findWeightProfile(profiles, id) {
+  return (profiles || []).find(p => p.id === id) || DEFAULT_WEIGHT_PROFILE;
+}
+
+/**
+ * Human readable label: "Spec Jan 2026 (v2026.01)"
+ */
+export function describeWeightProfile(profile) {
+  if (!profile) return '';
+  return profile.version ? `${profile.nombre} (v${profile.version})` : profile.nombre;
+}
@@ -0,0 +1,102 @@
+/**
+ * Worker Client
+ * Page-side half of the indicator worker protocol (see workers/indicatorWorker.js).
+ * A single worker is shared by every job; each job gets an id so progress, results
+ * and errors reach the right caller. Without Worker support the job runs inline.
+ */
+
+import { runIndicatorJob, createCancelledError } from './indicatorJobs.js';
+
+let worker = null;
+let nextJobId = 1;
+const pendingJobs = new Map();
+
+function handleWorkerMessage(event) {
+  const { type, jobId, ...data } = event.data || {};
+  const entry = pendingJobs.get(jobId);
+  if (!entry) return; // cancelled on this side already
+
+  if (type === 'progress') {
+    entry.onProgress?.(data);
+    return;
+  }
+
+  pendingJobs.delete(jobId);
+  if (type === 'result') entry.resolve(data.result);
+  else if (data.cancelled) entry.reject(createCancelledError());
+  else entry.reject(new Error(data.error));
+}
+
+// A crashed worker fails every pending job; the next job starts a fresh worker
+function handleWorkerCrash(event) {
+  const error = new Error(event.message || 'El proceso de cálculo se detuvo inesperadamente');
+  pendingJobs.forEach(entry => entry.reject(error));
+  pendingJobs.clear();
+  worker?.terminate();
+  worker = null;
+}
+
+function getWorker() {
+  if (worker || typeof Worker === 'undefined') return worker;
+
+  try {
+    worker = new Worker(new URL('../workers/indicatorWorker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = handleWorkerMessage;
+    worker.onerror = handleWorkerCrash;
+  } catch (error) {
+    console.warn('[workerClient] Worker no disponible, se calcula en el hilo principal:', error);
+    worker = null;
+  }
+  return worker;
+}
+
+/**
+ * Start a job ('readTable' | 'validate' | 'buildGrades' | 'enrich' | 'cohort').
+ * options: { onProgress({ stage, done, total }) }
+ * Returns { promise, cancel }; cancel() rejects the promise with an AbortError.
+ */
+export function runInWorker(job, payload, options = {}) {
+  const target = getWorker();
+
+  if (!target) {
+    // The job polls this flag through throwIfCancelled, so cancel() stops the
+    // remaining steps on the main thread instead of only rejecting the promise
+    const entry = { cancelled: false };
+    const promise = new Promise((resolve, reject) => {
+      entry.resolve = resolve;
+      entry.reject = reject;
+    });
+    runIndicatorJob(job, payload, {
+      onProgress: (progress) => {
+        if (!entry.cancelled) options.onProgress?.(progress);
+      },
+      isCancelled: () => entry.cancelled
+    }).then(
+      result => { if (!entry.cancelled) entry.resolve(result); },
+      error => { if (!entry.cancelled) entry.reject(error); }
+    );
+
+    const cancel = () => {
+      if (entry.cancelled) return;
+      entry.cancelled = true;
+      entry.reject(createCancelledError());
+    };
+    return { promise, cancel };
+  }
+
+  const jobId = nextJobId++;
+  const promise = new Promise((resolve, reject) => {
+    pendingJobs.set(jobId, { resolve, reject, onProgress: options.onProgress });
+  });
+  target.postMessage({ type: 'run', jobId, job, payload });
+
+  const cancel = () => {
+    const entry = pendingJobs.get(jobId);
+    if (!entry) return;
+    pendingJobs.delete(jobId);
+    target.postMessage({ type: 'cancel', jobId });
+    entry.reject(createCancelledError());
+  };
+
+  return { promise, cancel };
+}
@@ -0,0 +1,44 @@
+/**
+ * Indicator Worker
+ * Runs parsing, enrichment and indicator computation off the main thread.
+ *
+ * Messages from the page:
+ *   { type: 'run', jobId, job: 'readTable' | 'validate' | 'buildGrades' | 'enrich' | 'cohort', payload }
+ *   { type: 'cancel', jobId }
+ * Messages to the page:
+ *   { type: 'progress', jobId, stage, done, total }
+ *   { type: 'result', jobId, result }
+ *   { type: 'error', jobId, error, cancelled }
+ */
+
+import { runIndicatorJob, isCancelledError } from '../utils/indicatorJobs.js';
+
+const cancelledJobs = new Set();
+
+self.onmessage = async (event) => {
+  const { type, jobId, job, payload } = event.data || {};
+
+  if (type === 'cancel') {
+    cancelledJobs.add(jobId);
+    return;
+  }
+
+  if (type !== 'run') return;
+
+  try {
+    const result = await runIndicatorJob(job, payload, {
+      onProgress: (progress) => self.postMessage({ type: 'progress', jobId, ...progress }),
+      isCancelled: () => cancelledJobs.has(jobId)
+    });
+    self.postMessage({ type: 'result', jobId, result });
+  } catch (error) {
+    self.postMessage({
+      type: 'error',
+      jobId,
+      error: error?.message || String(error),
+      cancelled: isCancelledError(error)
+    });
+  } finally {
+    cancelledJobs.delete(jobId);
+  }
+};
@@ -10,8 +10,19 @@ import {
     calculateRepetition,
     calculateCriticality,
     calculateRelevance,
+    calculateExitIndicator,
     calculateExitIndicatorWithAudit
 } from './src/utils/calculators.js';
+import { validateWeightProfile } from './src/utils/weightProfiles.js';
+import { consolidateGradeRecords } from './src/utils/gradeConsolidation.js';
+import { parseLevelScheme } from './src/utils/levels.js';
+import { readCSV, detectDecimalSeparator, parseNumber } from './src/utils/csv.js';
+import { computeRutDV, parseRut, normalizeRut, getRutSearchKeys } from './src/utils/rut.js';
+import { buildMallaIndex, findMallaMatch, scoreCourseNames } from './src/utils/mallaIndex.js';
+import { assignElectiveSlots } from './src/utils/electiveSlots.js';
+import { enrichGradesWithTraza } from './src/utils/parsers.js';
+import { analyzePrerequisites } from './src/utils/prerequisites.js';
+import { readFileSync } from 'fs';
 
 // Test data - Student with 2 years of study
 const student12345678 = [
@@ -131,4 +142,144 @@ if (auditResult.audit) {
     console.log("- Audit Repetition:", auditResult.audit.repetition.value);
 }
 
+
+// --- WEIGHTING PROFILES ---
+console.log("\n--- TEST 8: Weighting Profiles ---");
+const comite2025 = {
+    id: 'comite-2025', nombre: 'Comité 2025', version: '2025.2',
+    pesos: { approvalRate: 0.20, performance: 0.30, permanence: 0.15, repetition: 0.10, criticality: 0.10, relevance: 0.10, demographic: 0.05 }
+};
+const profileResult = calculateExitIndicatorWithAudit(student12345678, criticalityData, curriculumData, null, comite2025);
+console.log(`Profile stored with result: ${profileResult.weightProfile.nombre} v${profileResult.weightProfile.version} (Expected: Comité 2025 v2025.2)`);
+console.log(`Performance weight: ${profileResult.components.performance.weight} (Expected: 0.3)`);
+const badProfile = { ...comite2025, pesos: { ...comite2025.pesos, performance: 0.5 } };
+console.log(`Invalid profile rejected: ${!validateWeightProfile(badProfile).valid} (Expected: true)`);
+
+// --- LEVEL TAXONOMY ---
+console.log("\n--- TEST 9: Level Taxonomy ---");
+const { scheme: fourLevels } = parseLevelScheme({
+    id: 'test-4', nombre: 'Cuatro niveles',
+    niveles: [
+        { id: 'top', label: 'Destacado', min: 85, color: '#2563eb', tono: 'success' },
+        { id: 'high', label: 'Alto', min: 70, color: '#10b981', tono: 'success' },
+        { id: 'medium', label: 'Medio', min: 50, color: '#f59e0b', tono: 'warning' },
+        { id: 'low', label: 'Bajo', min: 0, color: '#ef4444', tono: 'danger' }
+    ]
+});
+const levelResult = calculateExitIndicatorWithAudit(student12345678, criticalityData, curriculumData, null, undefined, fourLevels);
+// Total without demographic data: 83.63 - 5 = 78.63 -> Alto (70-84.9)
+console.log(`Level: ${levelResult.level} / ${levelResult.levelClass} (Expected: Alto / high)`);
+const { scheme: overlapping, errors: overlapErrors } = parseLevelScheme({
+    id: 'test-dup', nombre: 'Umbral repetido',
+    niveles: [
+        { id: 'high', label: 'Alto', min: 70, color: '#10b981', tono: 'success' },
+        { id: 'medium', label: 'Medio', min: 70, color: '#f59e0b', tono: 'warning' },
+        { id: 'low', label: 'Bajo', min: 0, color: '#ef4444', tono: 'danger' }
+    ]
+});
+console.log(`Duplicate threshold rejected: ${overlapping === null && overlapErrors.some(e => e.includes('duplicado'))} (Expected: true)`);
+
+// --- PURE PIPELINE ---
+console.log("\n--- TEST 10: No state shared between students ---");
+const aloneResult = calculateExitIndicator(student98765432, criticalityData, curriculumData, null);
+calculateRelevance(student12345678, curriculumData);
+const afterOtherResult = calculateExitIndicator(student98765432, criticalityData, curriculumData, null);
+console.log(`Current semester: ${afterOtherResult.stats.currentSemester} (Expected: ${aloneResult.stats.currentSemester})`);
+console.log(`Same total: ${aloneResult.totalScore === afterOtherResult.totalScore} (Expected: true)`);
+const auditTotal = calculateExitIndicatorWithAudit(student98765432, criticalityData, curriculumData, null).totalScore;
+console.log(`Both entry points agree: ${auditTotal === aloneResult.totalScore} (Expected: true)`);
+
+// --- CSV READER ---
+console.log("\n--- TEST 11: CSV Reader ---");
+const csvBytes = (text) => new TextEncoder().encode(text);
+const quoted = readCSV(csvBytes('\uFEFFrut,asignatura,nota\r\n11111111,"Anatomía, I","dice ""hola""\nsegunda línea"\r\n'));
+console.log(`BOM stripped from header: ${quoted.matrix[0][0] === 'rut'} (Expected: true)`);
+console.log(`Quoted delimiter kept: ${quoted.matrix[1][1]} (Expected: Anatomía, I)`);
+console.log(`Escaped quotes and newline: ${JSON.stringify(quoted.matrix[1][2])} (Expected: "dice \\"hola\\"\\nsegunda línea")`);
+console.log(`Rows: ${quoted.matrix.length} (Expected: 2)`);
+const semicolon = readCSV(csvBytes('rut;nota;asistencia\n11111111;5,5;90\n22222222;4,0;85\n'));
+const decimal = detectDecimalSeparator(semicolon.matrix.slice(1));
+console.log(`Delimiter: ${semicolon.delimiter} / decimal: ${decimal} (Expected: ; / ,)`);
+console.log(`Comma decimal read: ${parseNumber(semicolon.matrix[1][1], decimal)} (Expected: 5.5)`);
+// "Fisiología;6,1" saved by Excel in a Spanish locale: 0xED is "í" in windows-1252
+const latin1 = readCSV(new Uint8Array([...csvBytes('asignatura;nota\nFisiolog'), 0xED, ...csvBytes('a;6,1\n')]));
+console.log(`Encoding fallback: ${latin1.encoding} / ${latin1.matrix[1][0]} (Expected: latin-1 / Fisiología)`);
+
+// --- RUT ---
+console.log("\n--- TEST 12: RUT Parsing ---");
+console.log(`DV: ${computeRutDV('12345678')} / ${computeRutDV('10000013')} (Expected: 5 / K)`);
+console.log(`Trailing K without hyphen: ${JSON.stringify(parseRut('10000013k'))} (Expected: {"body":"10000013","dv":"K"})`);
+console.log(`Leading zeros: ${normalizeRut('05.126.663-3')} (Expected: 5126663)`);
+console.log(`9 characters without hyphen: ${JSON.stringify(parseRut('123456785'))} (Expected: {"body":"12345678","dv":"5"})`);
+console.log(`Formattings share a key: ${['12.345.678-5', '12345678-5', '123456785', 12345678].every(v => normalizeRut(v) === '12345678')} (Expected: true)`);
+// 8 characters without hyphen: an 8-digit body, or a 7-digit body whose DV (4) is the last digit
+console.log(`8-character search keys: ${getRutSearchKeys('12345674').join(', ')} (Expected: 12345674, 1234567)`);
+console.log(`No second key when the DV does not fit: ${getRutSearchKeys('12345678').join(', ')} (Expected: 12345678)`);
+
+// --- GRADE SCALES ---
+console.log("\n--- TEST 13: Grade Scales ---");
+const scaledAttempt = { rut: '1', codigoAsignatura: 'KIN101', anio: 2022, semestre: 1, oportunidad: 1, escala: 'porcentaje' };
+const [passedPct] = consolidateGradeRecords([{ ...scaledAttempt, nota: 60 }]);
+console.log(`60% on the 0-100 scale: ${passedPct.nota} (Expected: 4)`);
+const [blankPct] = consolidateGradeRecords([{ ...scaledAttempt, nota: 0 }]);
+const [blankChilean] = consolidateGradeRecords([{ ...scaledAttempt, nota: 0, escala: undefined }]);
+console.log(`Missing grade stays missing: ${blankPct.nota} / ${blankChilean.nota} (Expected: 0 / 0)`);
+
+// --- MALLA MATCHING (bundled malla and sample grades) ---
+console.log("\n--- TEST 14: Malla Name Matching ---");
+const readJSON = (path) => JSON.parse(readFileSync(new URL(path, import.meta.url), 'utf8'));
+const malla2015 = buildMallaIndex(readJSON('./public/malla_kine_2015.json'));
+const matchName = (nombreAsignatura) => findMallaMatch({ nombreAsignatura }, malla2015);
+console.log(`Inglés II ~ INGLES 2: ${scoreCourseNames('Inglés II', 'INGLES 2')} -> ${matchName('INGLES 2').course?.nombre} (Expected: 1 -> Inglés II)`);
+console.log(`Inglés I ~ Inglés II: ${scoreCourseNames('Inglés I', 'Inglés II')} (Expected: 0)`);
+console.log(`Abbreviations expanded: ${matchName('Fisiol. Clínica del Ejercicio').course?.nombre} (Expected: FISIOLOGÍA CLÍNICA DEL EJERC)`);
+const biomecanica = matchName('Biomecánica');
+console.log(`Short name: ${biomecanica.course?.nombre} ${biomecanica.confianza} ambiguous=${biomecanica.ambigua} (Expected: Biomecánica Aplicada 0.85 ambiguous=false)`);
+const advanced = matchName('Neurofisiología Avanzada');
+console.log(`Longer name not forced onto a malla course: ${advanced.course?.nombre ?? 'none'} ambiguous=${advanced.ambigua} (Expected: none ambiguous=true)`);
+const sampleMatched = new Set(readJSON('./public/sample_notas.json')
+    .map(r => findMallaMatch(r, malla2015).course?.nombre)
+    .filter(Boolean));
+console.log(`Sample courses matched: ${[...sampleMatched].sort().join(', ')} (Expected: Biomecánica Aplicada, Neurofisiología)`);
+
+// --- ELECTIVE SLOTS ---
+console.log("\n--- TEST 15: Elective Slots ---");
+const electiveMalla = readJSON('./public/malla_ejemplo.json');
+const electiveIndex = buildMallaIndex(electiveMalla);
+const generalElective = (rut, nombreAsignatura, nota, anio, semestre, oportunidad = 1) => ({
+    rut, nombreAsignatura, nota, anio, semestre, oportunidad, enMalla: true, codigoMalla: 'FG', nombreMalla: 'Formación General'
+});
+const slotsOf = (records) => assignElectiveSlots(records, electiveIndex).map(r => `${r.slotElectivo.indice}/S${r.semestreCurricular}`).join(', ');
+console.log(`Retake stays in its slot: ${slotsOf([
+    generalElective('1', 'Ética y Sociedad', 3.5, 2022, 2),
+    generalElective('1', 'Ética y Sociedad', 5.0, 2023, 1, 2)
+])} (Expected: 1/S2, 1/S2)`);
+console.log(`Two electives fill two slots: ${slotsOf([
+    generalElective('2', 'Ética y Sociedad', 5.5, 2022, 2),
+    generalElective('2', 'Arte y Cultura', 6.0, 2023, 1)
+])} (Expected: 1/S2, 2/S3)`);
+const [poolRecord] = enrichGradesWithTraza([{ rut: '3', codigoAsignatura: 'FG103', nombreAsignatura: 'Deporte y Vida Saludable', nota: 5.0, anio: 2022, semestre: 2 }], electiveMalla);
+console.log(`Pool course matched: ${poolRecord.enMalla} slot ${poolRecord.slotElectivo?.indice}/${poolRecord.slotElectivo?.total} (Expected: true slot 1/2)`);
+
+// --- PREREQUISITES ---
+console.log("\n--- TEST 16: Prerequisites ---");
+const chainMalla = {
+    semestres: [
+        { semestre: 1, asignaturas: [{ codigo: 'A', nombre: 'Curso A' }] },
+        { semestre: 2, asignaturas: [{ codigo: 'B', nombre: 'Curso B', prerrequisitos: ['A'] }] },
+        { semestre: 3, asignaturas: [{ codigo: 'C', nombre: 'Curso C', prerrequisitos: ['B'] }] }
+    ]
+};
+const chainIndex = buildMallaIndex(chainMalla);
+const chainGraph = chainIndex.requisiteGraph;
+console.log(`Requisite graph: ${[...chainGraph.prerequisites].map(([course, pre]) => `${pre.map(p => p.codigo).join('+')}→${course.codigo}`).join(', ')} (Expected: A→B, B→C)`);
+const failedA = enrichGradesWithTraza([{ rut: '1', codigoAsignatura: 'A', nombreAsignatura: 'Curso A', nota: 3.0, anio: 2022, semestre: 1 }], chainMalla);
+const chainAnalysis = analyzePrerequisites(failedA, chainIndex);
+console.log(`Critical path: ${chainAnalysis.rutaCritica.semestres} (${chainAnalysis.rutaCritica.cursos.join(' → ')}) (Expected: 3 (Curso A → Curso B → Curso C))`);
+console.log(`C blocked: ${chainAnalysis.bloqueados.some(b => b.curso === 'Curso C' && b.faltantes.includes('Curso B'))} (Expected: true)`);
+const passedA = enrichGradesWithTraza([{ rut: '1', codigoAsignatura: 'A', nombreAsignatura: 'Curso A', nota: 5.0, anio: 2022, semestre: 1 }], chainMalla);
+console.log(`Critical path after passing A: ${analyzePrerequisites(passedA, chainIndex).rutaCritica.semestres} (Expected: 2)`);
+const exampleGraph = buildMallaIndex(readJSON('./public/malla_ejemplo.json')).requisiteGraph;
+console.log(`Example malla requisites: ${exampleGraph.prerequisites.size} with prerequisites, ${exampleGraph.unresolved.length} unresolved (Expected: 7 with prerequisites, 0 unresolved)`);
+
 console.log("\n=== TESTS COMPLETE ===");